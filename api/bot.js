@@ -0,0 +1,65 @@
+// /api/bot.js
+
+/**
+ * Telegram bot webhook.
+ * Register it once with the secret Telegram should send back on every update:
+ *
+ *   https://api.telegram.org/bot<BOT_TOKEN>/setWebhook?url=https://<host>/api/bot&secret_token=<TELEGRAM_WEBHOOK_SECRET>
+ *
+ * Updates without the matching X-Telegram-Bot-Api-Secret-Token header are
+ * refused. See lib/bot.js for the commands.
+ */
+const crypto = require('crypto');
+const bot = require('../lib/bot');
+
+function sendJson(res, statusCode, payload) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(payload));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => {
+      data += chunk.toString();
+    });
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+  });
+}
+
+function hasValidSecret(req, secret) {
+  const received = Buffer.from(String(req.headers['x-telegram-bot-api-secret-token'] || ''));
+  const expected = Buffer.from(secret);
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+module.exports = async (req, res) => {
+  if (req.method !== 'POST') {
+    return sendJson(res, 405, { ok: false, error: `Method ${req.method} not allowed.` });
+  }
+
+  const secret = process.env.TELEGRAM_WEBHOOK_SECRET;
+  if (!secret) {
+    console.error('TELEGRAM_WEBHOOK_SECRET is not configured; refusing bot updates.');
+    return sendJson(res, 503, { ok: false, error: 'Webhook is not configured.' });
+  }
+  if (!hasValidSecret(req, secret)) {
+    return sendJson(res, 401, { ok: false, error: 'Invalid secret token.' });
+  }
+
+  let update;
+  try {
+    update = JSON.parse(await readBody(req) || '{}');
+  } catch (error) {
+    return sendJson(res, 400, { ok: false, error: 'Invalid update payload.' });
+  }
+
+  try {
+    await bot.handleUpdate(update);
+  } catch (error) {
+    // Still answer 200: Telegram would otherwise redeliver the update and hold back newer ones
+    console.error(`Bot update ${update.update_id} failed:`, error.message);
+  }
+  sendJson(res, 200, { ok: true });
+};
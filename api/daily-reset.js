@@ -0,0 +1,58 @@
+// /api/daily-reset.js
+
+/**
+ * Scheduled job: notifies users whose daily limits just reset, and deletes
+ * expired rate limit hits (see lib/rateLimit).
+ * Run it every hour (a Vercel cron job or any scheduler) with the CRON_SECRET
+ * as bearer token:
+ *
+ *   curl -H "Authorization: Bearer <CRON_SECRET>" https://<host>/api/daily-reset
+ *
+ * See notifyDailyResets in lib/notifications.js.
+ */
+const crypto = require('crypto');
+const notifications = require('../lib/notifications');
+const rateLimit = require('../lib/rateLimit');
+
+function sendJson(res, statusCode, payload) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(payload));
+}
+
+function isAuthorized(req, secret) {
+  const received = Buffer.from(String(req.headers.authorization || ''));
+  const expected = Buffer.from(`Bearer ${secret}`);
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+module.exports = async (req, res) => {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return sendJson(res, 405, { ok: false, error: `Method ${req.method} not allowed.` });
+  }
+
+  const secret = process.env.CRON_SECRET;
+  if (!secret) {
+    console.error('CRON_SECRET is not configured; refusing to run the daily reset job.');
+    return sendJson(res, 503, { ok: false, error: 'Job is not configured.' });
+  }
+  if (!isAuthorized(req, secret)) {
+    return sendJson(res, 401, { ok: false, error: 'Unauthorized.' });
+  }
+
+  try {
+    const { checked, sent } = await notifications.notifyDailyResets();
+
+    // Housekeeping must not fail the notifications run
+    let rateLimitHitsPurged = 0;
+    try {
+      rateLimitHitsPurged = await rateLimit.purgeExpired();
+    } catch (error) {
+      console.error('Rate limit purge failed:', error.message);
+    }
+
+    sendJson(res, 200, { ok: true, checked, sent, rate_limit_hits_purged: rateLimitHitsPurged });
+  } catch (error) {
+    console.error('Daily reset notifications failed:', error.message);
+    sendJson(res, 500, { ok: false, error: 'Failed to send daily reset notifications.' });
+  }
+};
@@ -3,34 +3,55 @@
 /**
  * SHIB Ads WebApp Backend API
  * Handles all POST requests from the Telegram Mini App frontend.
- * Uses the Supabase REST API for persistence.
+ * Persistence goes through the repository layer in /lib (Supabase REST API by default).
  */
 const crypto = require('crypto');
-
-// Load environment variables for Supabase connection
-const SUPABASE_URL = process.env.NEXT_PUBLIC_SUPABASE_URL;
-const SUPABASE_ANON_KEY = process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY;
-// ⚠️ BOT_TOKEN must be set in Vercel environment variables
-const BOT_TOKEN = process.env.BOT_TOKEN;
+const db = require('../lib/repositories');
+const ledger = require('../lib/ledger');
+const admin = require('../lib/admin');
+const withdrawals = require('../lib/withdrawals');
+const referrals = require('../lib/referrals');
+const fairness = require('../lib/fairness');
+const wheel = require('../lib/wheel');
+const settings = require('../lib/settings');
+const dailyLimits = require('../lib/dailyLimits');
+const adPostbacks = require('../lib/adPostbacks');
+const auth = require('../lib/auth');
+const spinSessions = require('../lib/spinSessions');
+const adProviders = require('../lib/adProviders');
+const checkIns = require('../lib/checkIns');
+const tasks = require('../lib/tasks');
+const notifications = require('../lib/notifications');
+const leaderboards = require('../lib/leaderboards');
+const withdrawalMethods = require('../lib/withdrawalMethods');
+const withdrawalRisk = require('../lib/withdrawalRisk');
+const fraud = require('../lib/fraud');
+const rateLimit = require('../lib/rateLimit');
+const activity = require('../lib/activity');
+const { validatePayload } = require('../lib/requestSchema');
+const { statusFor } = require('../lib/errors');
 
 // ------------------------------------------------------------------
 // Fully secured and defined server-side constants
+// Rewards and limits are runtime settings (see lib/settings.js)
 // ------------------------------------------------------------------
-const REWARD_PER_AD = 3;
-const REFERRAL_COMMISSION_RATE = 0.05;
-const DAILY_MAX_ADS = 100; // Max ads limit
-const DAILY_MAX_SPINS = 15; // Max spins limit
-const MIN_TIME_BETWEEN_ACTIONS_MS = 3000; // 3 seconds minimum time between watchAd/spin requests
 const ACTION_ID_EXPIRY_MS = 60000; // 60 seconds for Action ID to be valid
-const SPIN_SECTORS = [5, 10, 15, 20, 5];
+const AD_ACTION_ID_EXPIRY_MS = 300000; // 5 minutes for ad-gated actions (the ad and its postback take time)
+const AD_GATED_ACTION_TYPES = adPostbacks.AD_GATED_ACTIONS;
+
+function actionIdExpiryMs(actionType) {
+    return AD_GATED_ACTION_TYPES.includes(actionType) ? AD_ACTION_ID_EXPIRY_MS : ACTION_ID_EXPIRY_MS;
+}
 
 /**
- * Helper function to randomly select a prize from the defined sectors and return its index.
+ * Draws the user's next provably fair outcome (see lib/fairness.js) on the active wheel
+ * (see lib/wheel.js) and returns the winning sector.
  */
-function calculateRandomSpinPrize() {
-    const randomIndex = Math.floor(Math.random() * SPIN_SECTORS.length);
-    const prize = SPIN_SECTORS[randomIndex];
-    return { prize, prizeIndex: randomIndex };
+async function calculateSpinPrize(userId) {
+    const activeWheel = await wheel.getActiveWheel();
+    const outcome = await fairness.drawSpinOutcome(userId, activeWheel.sectors);
+    const sector = activeWheel.sectors[outcome.index];
+    return { prize: sector.value, prizeIndex: outcome.index, sector, wheelId: activeWheel.id, outcome };
 }
 
 // --- Helper Functions ---
@@ -40,121 +61,58 @@ function sendSuccess(res, data = {}) {
   res.end(JSON.stringify({ ok: true, data }));
 }
 
-function sendError(res, message, statusCode = 400) {
-  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
-  res.end(JSON.stringify({ ok: false, error: message }));
+/**
+ * code: stable error code, which also sets the HTTP status (see lib/errors.js).
+ * details: machine-readable fields for the client (limits, when to retry, ...).
+ */
+function sendError(res, code, message, details = null) {
+  res.writeHead(statusFor(code), { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ ok: false, error: message, code, ...(details ? { details } : {}) }));
 }
 
-async function supabaseFetch(tableName, method, body = null, queryParams = '?select=*') {
-  if (!SUPABASE_URL || !SUPABASE_ANON_KEY) {
-    throw new Error('Supabase environment variables are not configured.');
-  }
-
-  const url = `${SUPABASE_URL}/rest/v1/${tableName}${queryParams}`;
-
-  const headers = {
-    'apikey': SUPABASE_ANON_KEY,
-    'Authorization': `Bearer ${SUPABASE_ANON_KEY}`,
-    'Content-Type': 'application/json',
-    'Prefer': 'return=representation'
-  };
-
-  const options = {
-    method,
-    headers,
-    body: body ? JSON.stringify(body) : null,
-  };
-
-  const response = await fetch(url, options);
-
-  if (response.ok) {
-      const responseText = await response.text();
-      try {
-          const jsonResponse = JSON.parse(responseText);
-          return Array.isArray(jsonResponse) ? jsonResponse : { success: true };
-      } catch (e) {
-          return { success: true };
-      }
-  }
-
-  let data;
-  try {
-      data = await response.json();
-  } catch (e) {
-      const errorMsg = `Supabase error: ${response.status} ${response.statusText}`;
-      throw new Error(errorMsg);
-  }
-
-  const errorMsg = data.message || `Supabase error: ${response.status} ${response.statusText}`;
-  throw new Error(errorMsg);
+/**
+ * Sends a { ok, reason, message, details } result of a subsystem; the reason is the error code.
+ */
+function sendResult(res, result) {
+    if (result.ok) {
+        const { ok, ...data } = result;
+        return sendSuccess(res, data);
+    }
+    sendError(res, result.reason, result.message, result.details || null);
 }
 
 /**
- * Daily Reset Logic: Resets ad/spin counters if 24 hours passed since last activity.
+ * Daily Limits: the user's current calendar day and what they used of it (see lib/dailyLimits.js).
+ * Also brings the cached users.ads_watched_today / spins_today counters in line with that day.
+ * `user` needs: id, timezone, ads_watched_today, spins_today.
  */
-async function resetDailyLimitsIfExpired(userId) {
-    const twentyFourHours = 24 * 60 * 60 * 1000;
-    const now = Date.now();
+async function getDailyUsage(user) {
+    const period = await dailyLimits.getPeriod(user);
+    const usage = await dailyLimits.getUsage(user.id, period.day);
 
-    try {
-        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${userId}&select=ads_watched_today,spins_today,last_activity`);
-        if (!Array.isArray(users) || users.length === 0) {
-            return;
-        }
-
-        const user = users[0];
-        const lastActivity = user.last_activity ? new Date(user.last_activity).getTime() : 0;
-
-        if (now - lastActivity > twentyFourHours) {
-            const updatePayload = {};
-            if (user.ads_watched_today > 0) {
-                updatePayload.ads_watched_today = 0;
-            }
-            if (user.spins_today > 0) {
-                updatePayload.spins_today = 0;
-            }
-
-            if (Object.keys(updatePayload).length > 0) {
-                console.log(`Resetting limits for user ${userId}.`);
-                await supabaseFetch('users', 'PATCH',
-                    updatePayload,
-                    `?id=eq.${userId}`);
-            }
-        }
-    } catch (error) {
-        console.error(`Failed to check/reset daily limits for user ${userId}:`, error.message);
+    if (user.ads_watched_today !== usage.ads_watched || user.spins_today !== usage.spins) {
+        await db.users.update(user.id, { ads_watched_today: usage.ads_watched, spins_today: usage.spins });
     }
+    return { period, usage };
 }
 
 /**
- * Rate Limiting Check for Ad/Spin Actions
+ * 429 for a request denied by lib/rateLimit, with the wait in Retry-After (seconds).
  */
-async function checkRateLimit(userId) {
-    try {
-        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${userId}&select=last_activity`);
-        if (!Array.isArray(users) || users.length === 0) {
-            return { ok: true };
-        }
-
-        const user = users[0];
-        const lastActivity = user.last_activity ? new Date(user.last_activity).getTime() : 0;
-        const now = Date.now();
-        const timeElapsed = now - lastActivity;
-
-        if (timeElapsed < MIN_TIME_BETWEEN_ACTIONS_MS) {
-            const remainingTime = MIN_TIME_BETWEEN_ACTIONS_MS - timeElapsed;
-            return {
-                ok: false,
-                message: `Rate limit exceeded. Please wait ${Math.ceil(remainingTime / 1000)} seconds before the next action.`,
-                remainingTime: remainingTime
-            };
-        }
+function sendRateLimited(res, result) {
+    res.setHeader('Retry-After', String(Math.max(Math.ceil(result.retry_after_ms / 1000), 1)));
+    sendError(res, 'RATE_LIMITED', result.message, { scope: result.scope, retry_after_ms: result.retry_after_ms });
+}
 
-        return { ok: true };
-    } catch (error) {
-        console.error(`Rate limit check failed for user ${userId}:`, error.message);
-        return { ok: true };
-    }
+/**
+ * Minimum gap between two rewarded actions (watchAd, spin) of a user: the
+ * min_time_between_actions_ms setting as a one-per-window policy. Fails closed:
+ * while the limit store is down, rewarded actions are refused rather than unpaced.
+ */
+function checkActionInterval(userId, config) {
+    return rateLimit.check('rewardedAction', { userId }, {
+        user: { limit: 1, windowMs: config.min_time_between_actions_ms },
+    }, { failClosed: true });
 }
 
 // ------------------------------------------------------------------
@@ -173,25 +131,20 @@ function generateStrongId() {
  * The client requests an action ID before starting a critical action (ad/spin).
  */
 async function handleGenerateActionId(req, res, body) {
-    const { user_id, action_type } = body;
-    const id = parseInt(user_id);
-    
-    if (!action_type) {
-        return sendError(res, 'Missing action_type.', 400);
-    }
-    
+    const { user_id: id, action_type } = body;
+
     // Check if the user already has an unexpired ID for this action type
     try {
-        const existingIds = await supabaseFetch('temp_actions', 'GET', null, `?user_id=eq.${id}&action_type=eq.${action_type}&select=action_id,created_at`);
+        const existingIds = await db.tempActions.listForUser(id, action_type);
         
-        if (Array.isArray(existingIds) && existingIds.length > 0) {
+        if (existingIds.length > 0) {
             const lastIdTime = new Date(existingIds[0].created_at).getTime();
-            if (Date.now() - lastIdTime < ACTION_ID_EXPIRY_MS) {
+            if (Date.now() - lastIdTime < actionIdExpiryMs(action_type)) {
                  // If the existing ID is still valid, return it to prevent spamming the table
                 return sendSuccess(res, { action_id: existingIds[0].action_id });
             } else {
                  // Clean up expired ID before creating a new one
-                 await supabaseFetch('temp_actions', 'DELETE', null, `?user_id=eq.${id}&action_type=eq.${action_type}`);
+                 await db.tempActions.removeForUser(id, action_type);
             }
         }
     } catch(e) {
@@ -202,15 +155,13 @@ async function handleGenerateActionId(req, res, body) {
     const newActionId = generateStrongId();
     
     try {
-        await supabaseFetch('temp_actions', 'POST',
-            { user_id: id, action_id: newActionId, action_type: action_type },
-            '?select=action_id');
+        await db.tempActions.create({ user_id: id, action_id: newActionId, action_type: action_type });
             
         sendSuccess(res, { action_id: newActionId });
     } catch (error) {
         // This catches if the ID was somehow duplicated (highly unlikely with strong ID)
         console.error('Failed to generate and save action ID:', error.message);
-        sendError(res, 'Failed to generate security token.', 500);
+        sendError(res, 'INTERNAL_ERROR', 'Failed to generate security token.');
     }
 }
 
@@ -220,185 +171,291 @@ async function handleGenerateActionId(req, res, body) {
  */
 async function validateAndUseActionId(res, userId, actionId, actionType) {
     if (!actionId) {
-        sendError(res, 'Missing Server Token (Action ID). Request rejected.', 400);
+        sendError(res, 'INVALID_PAYLOAD', 'Missing Server Token (Action ID). Request rejected.', { field: 'action_id' });
         return false;
     }
     
     try {
-        const query = `?user_id=eq.${userId}&action_id=eq.${actionId}&action_type=eq.${actionType}&select=id,created_at`;
-        const records = await supabaseFetch('temp_actions', 'GET', null, query);
+        const record = await db.tempActions.find(userId, actionId, actionType);
         
-        if (!Array.isArray(records) || records.length === 0) {
-            sendError(res, 'Invalid or previously used Server Token (Action ID).', 409); // 409 Conflict
+        if (!record) {
+            sendError(res, 'TOKEN_INVALID', 'Invalid or previously used Server Token (Action ID).');
             return false;
         }
         
-        const record = records[0];
         const recordTime = new Date(record.created_at).getTime();
         
-        // 1. Check Expiration (60 seconds)
-        if (Date.now() - recordTime > ACTION_ID_EXPIRY_MS) {
+        // 1. Check Expiration (60 seconds, 5 minutes for ad-gated actions)
+        if (Date.now() - recordTime > actionIdExpiryMs(actionType)) {
             // Delete the expired token and send error
-            await supabaseFetch('temp_actions', 'DELETE', null, `?id=eq.${record.id}`);
-            sendError(res, 'Server Token (Action ID) expired. Please try again.', 408); // 408 Request Timeout
+            await db.tempActions.removeById(record.id);
+            sendError(res, 'TOKEN_EXPIRED', 'Server Token (Action ID) expired. Please try again.');
             return false;
         }
 
-        // 2. Use the token: Delete it to prevent reuse
-        await supabaseFetch('temp_actions', 'DELETE', null, `?id=eq.${record.id}`);
+        // 2. Use the token: Delete it to prevent reuse (only the request that actually deletes it may proceed)
+        const deleted = await db.tempActions.removeById(record.id);
+        if (deleted.length === 0) {
+            sendError(res, 'TOKEN_INVALID', 'Invalid or previously used Server Token (Action ID).');
+            return false;
+        }
 
         return true;
 
     } catch (error) {
         console.error(`Error validating Action ID ${actionId}:`, error.message);
-        sendError(res, 'Security validation failed.', 500);
+        sendError(res, 'INTERNAL_ERROR', 'Security validation failed.');
         return false;
     }
 }
 
+/**
+ * Middleware: Checks that the ad network's postback for this Action ID arrived and was not used yet.
+ * Sends AD_NOT_VERIFIED (425 Too Early) while it is still on its way, so the client knows to retry.
+ * Returns the completion, or null if a response was sent.
+ */
+async function requireVerifiedAd(res, userId, actionId, actionType) {
+    try {
+        const completion = await adPostbacks.findCompletion(userId, actionId, actionType);
+        if (!completion) {
+            sendError(res, 'AD_NOT_VERIFIED', 'Ad completion not verified yet. Please try again in a moment.');
+            return null;
+        }
+        if (completion.status !== adPostbacks.COMPLETION_STATUSES.VERIFIED) {
+            sendError(res, 'AD_ALREADY_USED', 'This ad has already been rewarded.');
+            return null;
+        }
+        return completion;
+    } catch (error) {
+        console.error(`Error checking ad completion for Action ID ${actionId}:`, error.message);
+        sendError(res, 'INTERNAL_ERROR', 'Ad verification failed.');
+        return null;
+    }
+}
+
 
 // ------------------------------------------------------------------
-// **initData Security Validation Function**
+// **Identity: initData validation and session tokens**
 // ------------------------------------------------------------------
-function validateInitData(initData) {
-    if (!initData || !BOT_TOKEN) {
-        console.warn('Security Check Failed: initData or BOT_TOKEN is missing.');
-        return false;
+/**
+ * Resolves who is calling: validated initData (which also starts a new session) or a
+ * session token in the Authorization header. Returns null if neither is valid.
+ * ⚠️ BOT_TOKEN must be set in Vercel environment variables (see lib/auth.js)
+ */
+function authenticate(req, body) {
+    if (body.initData) {
+        const telegramUser = auth.validateInitData(body.initData);
+        if (!telegramUser) {
+            return null;
+        }
+        return { userId: telegramUser.id, telegramUser, session: auth.issueSessionToken(telegramUser.id) };
     }
 
-    const urlParams = new URLSearchParams(initData);
-    const hash = urlParams.get('hash');
-    urlParams.delete('hash');
-
-    const dataCheckString = Array.from(urlParams.entries())
-        .map(([key, value]) => `${key}=${value}`)
-        .sort()
-        .join('\n');
-
-    const secretKey = crypto.createHmac('sha256', 'WebAppData')
-        .update(BOT_TOKEN)
-        .digest();
-
-    const calculatedHash = crypto.createHmac('sha256', secretKey)
-        .update(dataCheckString)
-        .digest('hex');
+    const header = req.headers.authorization || '';
+    const payload = auth.verifySessionToken(header.startsWith('Bearer ') ? header.slice(7) : null);
+    if (!payload) {
+        return null;
+    }
+    return { userId: payload.sub, telegramUser: null, session: auth.refreshSessionToken(payload) };
+}
 
-    if (calculatedHash !== hash) {
-        console.warn(`Security Check Failed: Hash mismatch.`);
-        return false;
+/**
+ * The caller's IP: the first X-Forwarded-For entry (set by the Vercel edge), else the socket address.
+ */
+function clientIp(req) {
+    const forwarded = req.headers['x-forwarded-for'];
+    if (typeof forwarded === 'string' && forwarded.trim()) {
+        return forwarded.split(',')[0].trim();
     }
+    return (req.socket && req.socket.remoteAddress) || '';
+}
 
-    const authDateParam = urlParams.get('auth_date');
-    if (!authDateParam) {
-        console.warn('Security Check Failed: auth_date is missing.');
-        return false;
+/**
+ * Telegram profile fields stored on the users row.
+ */
+function telegramProfile(initDataUser) {
+    if (!initDataUser) {
+        return {};
     }
+    return {
+        username: initDataUser.username || null,
+        first_name: initDataUser.first_name || null,
+        last_name: initDataUser.last_name || null,
+        photo_url: typeof initDataUser.photo_url === 'string' && /^https:\/\/[^\s"'<>]+$/.test(initDataUser.photo_url)
+            ? initDataUser.photo_url.slice(0, 512)
+            : null,
+    };
+}
 
-    const authDate = parseInt(authDateParam) * 1000;
-    const currentTime = Date.now();
-    const expirationTime = 1200 * 1000; // 20 minutes limit
+/**
+ * BANNED, with the reason and end of the ban (`user` needs BAN_COLUMNS).
+ */
+function sendBanned(res, user) {
+    sendError(res, 'BANNED', 'User is banned.', {
+        ban_reason: user.ban_reason || null,
+        ban_expires_at: user.ban_expires_at || null,
+    });
+}
 
-    if (currentTime - authDate > expirationTime) {
-        console.warn(`Security Check Failed: Data expired.`);
-        return false;
+/**
+ * Fetches the caller (id, timezone, ban state), sending 404 / 403 if they are unknown or banned.
+ */
+async function requireActiveUser(res, userId) {
+    const user = await db.users.findById(userId, `id,timezone,${admin.BAN_COLUMNS}`);
+    if (!user) {
+        sendError(res, 'NOT_FOUND', 'User not found.');
+        return null;
     }
-
-    return true;
+    if (admin.isBanActive(user)) {
+        sendBanned(res, user);
+        return null;
+    }
+    return user;
 }
 
 // --- API Handlers ---
 
+/**
+ * HANDLER: type: "createSession" (initData in, session token out; later requests send it as a Bearer token)
+ */
+function handleCreateSession(req, res, body) {
+    if (!req.auth.telegramUser) {
+        return sendError(res, 'INIT_DATA_REQUIRED', 'createSession requires initData.');
+    }
+    sendSuccess(res, { session_token: req.auth.session.token, expires_at: req.auth.session.expires_at });
+}
+
 /**
  * HANDLER: type: "getUserData"
  */
 async function handleGetUserData(req, res, body) {
-    const { user_id } = body;
-    if (!user_id) {
-        return sendError(res, 'Missing user_id for data fetch.');
-    }
-    const id = parseInt(user_id);
+    const id = body.user_id;
 
     try {
         // 1. Update last_activity immediately
-        await supabaseFetch('users', 'PATCH',
-            { last_activity: new Date().toISOString() },
-            `?id=eq.${id}&select=id`);
-
-        // 2. Check and reset daily limits (if 24 hours passed)
-        await resetDailyLimitsIfExpired(id);
+        await db.users.update(id, { last_activity: new Date().toISOString() });
 
-        // 3. Fetch user data
-        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${id}&select=balance,ads_watched_today,spins_today,last_activity,is_banned`);
+        // 2. Fetch user data
+        const userData = await db.users.findById(id, `id,balance,ads_watched_today,spins_today,timezone,last_activity,${admin.BAN_COLUMNS}`);
 
-        if (!users || users.length === 0 || users.success) {
+        if (!userData) {
             return sendSuccess(res, {
                 balance: 0, ads_watched_today: 0, spins_today: 0, referrals_count: 0, withdrawal_history: [], is_banned: false
             });
         }
 
-        const userData = users[0];
-
         // ⚠️ Banned Check - Exit immediately if banned
-        if (userData.is_banned) {
-             return sendSuccess(res, { is_banned: true, message: "User is banned from accessing the app." });
+        if (admin.isBanActive(userData)) {
+             return sendSuccess(res, {
+                 is_banned: true,
+                 message: "User is banned from accessing the app.",
+                 ban_reason: userData.ban_reason,
+                 ban_expires_at: userData.ban_expires_at
+             });
         }
 
+        // Report expired bans as lifted
+        userData.is_banned = false;
+        delete userData.ban_reason;
+        delete userData.ban_expires_at;
+
+        // 3. Today's usage (counters reset at the start of each calendar day)
+        const { period, usage } = await getDailyUsage(userData);
+        userData.ads_watched_today = usage.ads_watched;
+        userData.spins_today = usage.spins;
+
+        // 4. Unfinished spin (resumed by the client) and spin credits
+        const spinState = await spinSessions.getState(id);
+
+        // 5. Check-in streak and calendar
+        const checkInState = await checkIns.getState(userData);
 
-        // 4. Fetch referrals count
-        const referrals = await supabaseFetch('users', 'GET', null, `?ref_by=eq.${id}&select=id`);
-        const referralsCount = Array.isArray(referrals) ? referrals.length : 0;
+        // 6. Fetch referrals count
+        const referralsCount = await db.users.countReferrals(id);
 
-        // 5. Fetch withdrawal history
-        const history = await supabaseFetch('withdrawals', 'GET', null, `?user_id=eq.${id}&select=amount,status,created_at&order=created_at.desc`);
-        const withdrawalHistory = Array.isArray(history) ? history : [];
+        // 7. Fetch withdrawal history and saved payout addresses
+        const withdrawalHistory = await db.withdrawals.listByUser(id,
+            'id,amount,method,address,fee,net_amount,status,rejection_reason,created_at,reviewed_at,paid_at');
+        const payoutAddresses = await db.payoutAddresses.listByUser(id);
 
         sendSuccess(res, {
             ...userData,
+            earned_today: usage.earned,
+            usage_day: period.day,
+            daily_resets_at: period.resets_at,
+            pending_spin: spinState.pending ? spinSessions.toPublicSession(spinState.pending) : null,
+            spin_credits: spinState.credits,
+            check_in: checkInState,
             referrals_count: referralsCount,
-            withdrawal_history: withdrawalHistory
+            withdrawal_history: withdrawalHistory,
+            payout_addresses: payoutAddresses
         });
 
     } catch (error) {
         console.error('GetUserData failed:', error.message);
-        sendError(res, `Failed to retrieve user data: ${error.message}`, 500);
+        sendError(res, 'INTERNAL_ERROR', `Failed to retrieve user data: ${error.message}`);
     }
 }
 
 
 /**
- * 1) type: "register"
+ * 1) type: "register" (sent on every app start; fingerprint: the device hash computed by the mini app;
+ *    timezone: only kept from the first registration)
  */
 async function handleRegister(req, res, body) {
-  const { user_id, ref_by } = body;
-  const id = parseInt(user_id);
+  const { user_id: id, ref_by } = body;
+  const referrerId = ref_by && ref_by !== id ? ref_by : null; // No self-referrals
 
   try {
     // 1. Check if user exists
-    const users = await supabaseFetch('users', 'GET', null, `?id=eq.${id}&select=id,is_banned`);
+    const user = await db.users.findById(id, `id,ref_by,${admin.BAN_COLUMNS}`);
+    const profile = telegramProfile(req.auth.telegramUser);
 
-    if (!Array.isArray(users) || users.length === 0) {
+    if (!user) {
       // 2. User does not exist, create new user
       const newUser = {
         id,
         balance: 0,
         ads_watched_today: 0,
         spins_today: 0,
-        ref_by: ref_by ? parseInt(ref_by) : null,
+        ref_by: referrerId,
         last_activity: new Date().toISOString(), 
-        is_banned: false
+        is_banned: false,
+        ...profile
       };
-      await supabaseFetch('users', 'POST', newUser, '?select=id');
+      // Used for daily resets when daily_reset_timezone is 'user'. Only set on sign-up: letting a
+      // user move their timezone later would let them start a new day (and new allowances) at will.
+      if (dailyLimits.isValidTimezone(body.timezone)) {
+        newUser.timezone = body.timezone;
+      }
+      await db.users.create(newUser);
+
+      // 3. Let the referrer know their invite worked
+      if (newUser.ref_by && await db.users.findById(newUser.ref_by, 'id')) {
+        await notifications.referralJoined(newUser.ref_by, newUser);
+      }
     } else {
         // ⚠️ Check if existing user is banned
-        if (users[0].is_banned) {
-             return sendError(res, 'User is banned.', 403);
+        if (admin.isBanActive(user)) {
+             return sendBanned(res, user);
         }
+
+        // Keep the Telegram profile (used by admin search) up to date
+        await db.users.update(id, profile);
+    }
+
+    // 4. Record the IP and device of this app start, then rescore the user and their referrer
+    try {
+        await fraud.recordSession(id, { ip: clientIp(req), fingerprint: body.fingerprint, userAgent: req.headers['user-agent'] });
+    } catch (error) {
+        console.error(`Failed to record session of user ${id}:`, error.message);
     }
+    await fraud.evaluateUsers([id, user ? user.ref_by : referrerId]);
 
     sendSuccess(res, { message: 'User registered or already exists.' });
   } catch (error) {
     console.error('Registration failed:', error.message);
-    sendError(res, `Registration failed: ${error.message}`, 500);
+    sendError(res, 'INTERNAL_ERROR', `Registration failed: ${error.message}`);
   }
 }
 
@@ -406,285 +463,1308 @@ async function handleRegister(req, res, body) {
  * 2) type: "watchAd"
  */
 async function handleWatchAd(req, res, body) {
-    const { user_id, action_id } = body;
-    const id = parseInt(user_id);
-    const reward = REWARD_PER_AD;
+    const { user_id: id, action_id, ad_provider } = body;
+    const config = await settings.getAll();
+
+    // 1. The ad network must have confirmed the ad for this Action ID (postback, see lib/adPostbacks.js).
+    //    Checked before the token is consumed so the client can retry while the postback is on its way.
+    const completion = await requireVerifiedAd(res, id, action_id, 'watchAd');
+    if (!completion) return;
+
+    // 2. Minimum gap between rewarded actions (checked before the Action ID is consumed, so a 429 does not burn it)
+    const interval = await checkActionInterval(id, config);
+    if (!interval.ok) {
+        return sendRateLimited(res, interval);
+    }
 
-    // 1. Check and Consume Action ID (Security Check)
+    // 3. Check and Consume Action ID (Security Check)
     if (!await validateAndUseActionId(res, id, action_id, 'watchAd')) return;
 
     try {
-        // 2. Check and reset daily limits before proceeding
-        await resetDailyLimitsIfExpired(id);
+        const reward = config.reward_per_ad;
 
-        // 3. Fetch current user data
-        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${id}&select=balance,ads_watched_today,is_banned`);
-        if (!Array.isArray(users) || users.length === 0) {
-            return sendError(res, 'User not found.', 404);
+        // 4. Fetch current user data
+        const user = await db.users.findById(id, `id,timezone,${admin.BAN_COLUMNS}`);
+        if (!user) {
+            return sendError(res, 'NOT_FOUND', 'User not found.');
         }
-        
-        const user = users[0];
 
         // ⚠️ Banned Check
-        if (user.is_banned) {
-            return sendError(res, 'User is banned.', 403);
+        if (admin.isBanActive(user)) {
+            return sendBanned(res, user);
         }
 
-        // 4. Rate Limit Check (NEW)
-        const rateLimitResult = await checkRateLimit(id);
-        if (!rateLimitResult.ok) {
-            // Re-insert the action ID if rate limit is hit, so client can retry
-            // NOTE: For simplicity, we just send the error and the client will request a new one
-            return sendError(res, rateLimitResult.message, 429); 
+        // 5. Settle the ad completion (compare-and-set: each verified ad pays out once)
+        if (!await adPostbacks.advanceCompletion(action_id,
+            adPostbacks.COMPLETION_STATUSES.VERIFIED, adPostbacks.COMPLETION_STATUSES.SETTLED)) {
+            return sendError(res, 'AD_ALREADY_USED', 'This ad has already been rewarded.');
         }
 
-        // 5. Check maximum ad limit
-        if (user.ads_watched_today >= DAILY_MAX_ADS) {
-            return sendError(res, `Daily ad limit (${DAILY_MAX_ADS}) reached.`, 403);
+        // 6. Count the ad against today's limit (atomic, fails once the maximum is reached)
+        const period = await dailyLimits.getPeriod(user);
+        const reserved = await dailyLimits.recordUsage(id, period.day, { ads: 1 }, { maxAds: config.daily_max_ads });
+        if (!reserved.ok) {
+            return sendError(res, 'DAILY_LIMIT', `Daily ad limit (${config.daily_max_ads}) reached.`, { limit: config.daily_max_ads });
         }
 
-        // 6. Calculate new values
-        const newBalance = user.balance + reward;
-        const newAdsCount = user.ads_watched_today + 1;
-
-        // 7. Update user record: balance, ads_watched_today, and last_activity
-        await supabaseFetch('users', 'PATCH',
-          {
-              balance: newBalance,
-              ads_watched_today: newAdsCount,
-              last_activity: new Date().toISOString()
-          },
-          `?id=eq.${id}`);
+        // 7. Credit the reward through the ledger (the consumed Action ID is the reference)
+        const provider = adProviders.resolveProvider(ad_provider, completion);
+        const entry = await ledger.credit(id, ledger.ENTRY_TYPES.AD_REWARD, reward, action_id, { ad_provider: provider });
+        if (!entry.ok) {
+            return sendResult(res, entry);
+        }
+        await dailyLimits.recordUsage(id, period.day, { earned: reward });
+        await adProviders.recordServed(id, { provider, actionId: action_id, actionType: 'watchAd', reward });
+
+        // 8. Update user record: ads_watched_today and last_activity
+        const newAdsCount = reserved.usage.ads_watched;
+        await db.users.update(id, {
+            ads_watched_today: newAdsCount,
+            last_activity: new Date().toISOString()
+        });
           
-        // 8. Success
-        sendSuccess(res, { new_balance: newBalance, actual_reward: reward, new_ads_count: newAdsCount });
+        // 9. Pay referral commissions up the referee's ref_by chain
+        await referrals.payReferralCommissions(id, reward, ledger.ENTRY_TYPES.AD_REWARD, action_id, config.referral_commission_rates);
+
+        // 10. Success
+        sendSuccess(res, {
+            new_balance: entry.balance,
+            actual_reward: reward,
+            new_ads_count: newAdsCount,
+            daily_resets_at: period.resets_at
+        });
 
     } catch (error) {
         console.error('WatchAd failed:', error.message);
-        sendError(res, `Failed to process ad watch: ${error.message}`, 500);
+        sendError(res, 'INTERNAL_ERROR', `Failed to process ad watch: ${error.message}`);
     }
 }
 
 /**
- * 3) type: "commission"
+ * 3) type: "spin" (called after the ad was watched; opens the spin session that spinResult resolves)
+ * use_credit: true spends a spin credit instead (no ad or Action ID, and not counted against the limit again).
  */
-async function handleCommission(req, res, body) {
-    const { referrer_id, referee_id } = body;
+async function handleSpin(req, res, body) {
+    const { user_id: id, action_id, ad_provider, use_credit } = body;
 
-    if (!referrer_id || !referee_id) {
-        return sendSuccess(res, { message: 'Invalid commission data received but acknowledged.' });
-    }
+    try {
+        const config = await settings.getAll();
 
-    const referrerId = parseInt(referrer_id);
-    const refereeId = parseInt(referee_id);
-    const sourceReward = REWARD_PER_AD;
-    const commissionAmount = sourceReward * REFERRAL_COMMISSION_RATE;
+        // 1. Fetch current user data
+        const user = await db.users.findById(id, `id,timezone,${admin.BAN_COLUMNS}`);
+        if (!user) {
+            return sendError(res, 'NOT_FOUND', 'User not found.');
+        }
 
-    try {
-        // 1. Fetch current referrer balance and banned status
-        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${referrerId}&select=balance,is_banned`);
-        if (!Array.isArray(users) || users.length === 0) {
-            return sendSuccess(res, { message: 'Referrer not found, commission aborted.' });
+        // ⚠️ Banned Check
+        if (admin.isBanActive(user)) {
+            return sendBanned(res, user);
         }
-        
-        // ⚠️ Skip commission if referrer is banned
-        if (users[0].is_banned) {
-            return sendSuccess(res, { message: 'Referrer is banned, commission aborted.' });
+
+        // 2. One unfinished spin at a time (the client resumes it instead of starting another)
+        const spinState = await spinSessions.getState(id);
+        if (spinState.pending) {
+            return sendError(res, 'SPIN_PENDING', 'You have an unfinished spin. Please finish it first.',
+                { spin_session: spinSessions.toPublicSession(spinState.pending) });
         }
 
-        const newBalance = users[0].balance + commissionAmount;
+        // 3. Spin credits (refunded expired spins) were already paid with an ad and counted
+        if (use_credit) {
+            const credit = await spinSessions.openCreditSession(id);
+            if (!credit.ok) {
+                return sendResult(res, credit);
+            }
+            return sendSuccess(res, {
+                spin_session: spinSessions.toPublicSession(credit.session),
+                spin_credits: spinState.credits - 1
+            });
+        }
+
+        // 4. The ad network must have confirmed the ad for this Action ID (see handleWatchAd)
+        const completion = await requireVerifiedAd(res, id, action_id, 'spin');
+        if (!completion) return;
+
+        // 5. Minimum gap between rewarded actions (before the Action ID is consumed, see handleWatchAd)
+        const interval = await checkActionInterval(id, config);
+        if (!interval.ok) {
+            return sendRateLimited(res, interval);
+        }
+
+        // 6. Check and Consume Action ID (Security Check)
+        if (!await validateAndUseActionId(res, id, action_id, 'spin')) return;
 
-        // 2. Update referrer balance
-        await supabaseFetch('users', 'PATCH', { balance: newBalance }, `?id=eq.${referrerId}`);
+        // 7. Settle the ad completion (compare-and-set: each verified ad unlocks one spin)
+        if (!await adPostbacks.advanceCompletion(action_id,
+            adPostbacks.COMPLETION_STATUSES.VERIFIED, adPostbacks.COMPLETION_STATUSES.SETTLED)) {
+            return sendError(res, 'AD_ALREADY_USED', 'This ad has already been used.');
+        }
+
+        // 8. Count the spin against today's limit (atomic, fails once the maximum is reached)
+        const period = await dailyLimits.getPeriod(user);
+        const reserved = await dailyLimits.recordUsage(id, period.day, { spins: 1 }, { maxSpins: config.daily_max_spins });
+        if (!reserved.ok) {
+            return sendError(res, 'DAILY_LIMIT', `Daily spin limit (${config.daily_max_spins}) reached.`, { limit: config.daily_max_spins });
+        }
 
-        // 3. Add record to commission_history
-        await supabaseFetch('commission_history', 'POST',
-            { referrer_id: referrerId, referee_id: refereeId, amount: commissionAmount, source_reward: sourceReward },
-            '?select=referrer_id');
+        // 9. Update user record: spins_today, and last_activity
+        const newSpinsCount = reserved.usage.spins;
+        await db.users.update(id, {
+            spins_today: newSpinsCount,
+            last_activity: new Date().toISOString()
+        });
 
-        sendSuccess(res, { new_referrer_balance: newBalance });
+        // 10. Open the spin session for spinResult
+        const session = await spinSessions.openAdSession(id, action_id);
+        await adProviders.recordServed(id, {
+            provider: adProviders.resolveProvider(ad_provider, completion),
+            actionId: action_id,
+            actionType: 'spin'
+        });
+          
+        // 11. Success
+        sendSuccess(res, {
+            new_spins_count: newSpinsCount,
+            daily_resets_at: period.resets_at,
+            spin_session: spinSessions.toPublicSession(session)
+        });
 
     } catch (error) {
-        console.error('Commission failed:', error.message);
-        sendError(res, `Commission failed: ${error.message}`, 500);
+        console.error('Spin failed:', error.message);
+        sendError(res, 'INTERNAL_ERROR', `Failed to process spin: ${error.message}`);
     }
 }
 
 /**
- * 4) type: "spin" (called to register the spin before showing the ad)
+ * 4) type: "spinResult" (spin_session_id: the session opened by 'spin', resolved exactly once)
  */
-async function handleSpin(req, res, body) {
-    const { user_id, action_id } = body;
-    const id = parseInt(user_id);
+async function handleSpinResult(req, res, body) {
+    const { user_id: id, spin_session_id } = body;
+    let claimedSession = null;
     
-    // 1. Check and Consume Action ID (Security Check)
-    if (!await validateAndUseActionId(res, id, action_id, 'spin')) return;
+    // NOTE: The 'spin' action already consumed a unique ID and incremented the spin count.
+    // This action only calculates the prize and updates the balance.
 
     try {
-        // 2. Check and reset daily limits before proceeding
-        await resetDailyLimitsIfExpired(id);
+        const config = await settings.getAll();
 
-        // 3. Fetch current user data
-        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${id}&select=spins_today,is_banned`);
-        if (!Array.isArray(users) || users.length === 0) {
-            return sendError(res, 'User not found.', 404);
+        // 1. Fetch banned status
+        const user = await db.users.findById(id, `id,timezone,${admin.BAN_COLUMNS}`);
+        if (!user) {
+            return sendError(res, 'NOT_FOUND', 'User not found.');
         }
-        
-        const user = users[0];
 
         // ⚠️ Banned Check
-        if (user.is_banned) {
-            return sendError(res, 'User is banned.', 403);
+        if (admin.isBanActive(user)) {
+            return sendBanned(res, user);
+        }
+
+        // 2. Claim the spin session (compare-and-set: each session pays out once)
+        const claim = await spinSessions.claimSession(id, spin_session_id);
+        if (!claim.ok) {
+            return sendResult(res, claim);
+        }
+        claimedSession = claim.session;
+
+        // 3. Draw the provably fair outcome and save it to spin_results
+        const { prize, prizeIndex, sector, wheelId, outcome } = await calculateSpinPrize(id);
+        const spinRecord = await db.spinResults.create({
+            user_id: id,
+            prize,
+            prize_index: prizeIndex,
+            wheel_config_id: wheelId,
+            spin_session_id: claimedSession.id,
+            seed_pair_id: outcome.seed_pair_id,
+            server_seed_hash: outcome.server_seed_hash,
+            client_seed: outcome.client_seed,
+            nonce: outcome.nonce
+        });
+
+        // 4. Credit the prize through the ledger (the spin result is the reference).
+        //    A 0 sector pays nothing: there is no entry (the ledger refuses 0), but the spin still counts.
+        let newBalance;
+        if (prize > 0) {
+            const entry = await ledger.credit(id, ledger.ENTRY_TYPES.SPIN_PRIZE, prize, spinRecord.id);
+            if (!entry.ok) {
+                await spinSessions.releaseSession(claimedSession.id);
+                return sendResult(res, entry);
+            }
+            newBalance = entry.balance;
+        } else {
+            newBalance = Number((await db.users.findById(id, 'balance')).balance);
+        }
+        claimedSession = null; // Settled: the session stays resolved whatever happens next
+        await spinSessions.attachResult(claim.session.id, spinRecord.id);
+
+        const period = await dailyLimits.getPeriod(user);
+        await dailyLimits.recordUsage(id, period.day, { earned: prize });
+
+        // 5. Pay referral commissions on the prize (if enabled)
+        if (config.pay_commission_on_spin_prizes && prize > 0) {
+            await referrals.payReferralCommissions(id, prize, ledger.ENTRY_TYPES.SPIN_PRIZE, spinRecord.id, config.referral_commission_rates);
+        }
+
+        // 6. Return the actual, server-calculated prize and index
+        sendSuccess(res, {
+            new_balance: newBalance,
+            actual_prize: prize,
+            prize_index: prizeIndex,
+            jackpot: sector.jackpot,
+            wheel_id: wheelId,
+            spin_result_id: spinRecord.id,
+            fairness: { server_seed_hash: outcome.server_seed_hash, client_seed: outcome.client_seed, nonce: outcome.nonce }
+        });
+
+    } catch (error) {
+        console.error('Spin result failed:', error.message);
+        // The prize was not paid: hand the session back so the spin can be retried
+        if (claimedSession) {
+            await spinSessions.releaseSession(claimedSession.id)
+                .catch(releaseError => console.error(`Failed to release spin session ${claimedSession.id}:`, releaseError.message));
+        }
+        sendError(res, 'INTERNAL_ERROR', `Failed to process spin result: ${error.message}`);
+    }
+}
+
+
+/**
+ * 5) type: "withdraw"
+ * method (see lib/withdrawalMethods.js), address, amount, action_id; save_address: true keeps the address for reuse.
+ * Older clients send only binanceId, which is a binance_pay withdrawal.
+ * Risk control rejections carry their limits in `details` (see lib/withdrawalRisk.js).
+ */
+async function handleWithdraw(req, res, body) {
+    const { user_id: id, amount, action_id, save_address } = body;
+    const method = body.method || 'binance_pay';
+    const address = body.method ? body.address : body.binanceId;
+
+    // 1. Address format, limits and fee of the method (before the Action ID, so a typo does not use it up)
+    const prepared = withdrawalMethods.prepareWithdrawal(await settings.get('withdrawal_methods'), {
+        method,
+        address,
+        amount,
+    });
+    if (!prepared.ok) {
+        return sendResult(res, prepared);
+    }
+
+    // 2. Check and Consume Action ID (Security Check)
+    if (!await validateAndUseActionId(res, id, action_id, 'withdraw')) return;
+
+    try {
+        // 3. Fetch banned status
+        const user = await db.users.findById(id, `id,created_at,risk_hold,risk_score,${admin.BAN_COLUMNS}`);
+        if (!user) {
+            return sendError(res, 'NOT_FOUND', 'User not found.');
+        }
+
+        // ⚠️ Banned Check
+        if (admin.isBanActive(user)) {
+            return sendBanned(res, user);
+        }
+
+        // 3b. Fresh fraud risk score (a risk hold sends the request to manual review)
+        const assessment = await fraud.evaluateUser(id)
+            .catch(error => console.error(`Risk evaluation for user ${id} failed:`, error.message));
+        if (assessment) {
+            Object.assign(user, { risk_hold: assessment.held, risk_score: assessment.score });
+        }
+
+        // 3c. Caps, cooldown, first-withdrawal eligibility and the single-pending lock
+        const risk = await withdrawalRisk.checkWithdrawal(user, prepared.amount);
+        if (!risk.ok) {
+            return sendResult(res, risk);
         }
         
-        // 4. Rate Limit Check (NEW)
-        const rateLimitResult = await checkRateLimit(id);
-        if (!rateLimitResult.ok) {
-            return sendError(res, rateLimitResult.message, 429); 
+        // 4. Debit the balance through the ledger (rejects atomically if the balance is insufficient)
+        const entry = await ledger.debit(id, ledger.ENTRY_TYPES.WITHDRAWAL, prepared.amount, action_id,
+            { method: prepared.method, address: prepared.address });
+        if (!entry.ok) {
+            return sendResult(res, entry);
         }
 
-        // 5. Check maximum spin limit
-        if (user.spins_today >= DAILY_MAX_SPINS) {
-            return sendError(res, `Daily spin limit (${DAILY_MAX_SPINS}) reached.`, 403);
+        // 5. Record the withdrawal request, refunding the debit if it cannot be saved
+        let withdrawal;
+        try {
+            withdrawal = await db.withdrawals.create({
+                user_id: id,
+                amount: prepared.amount,
+                method: prepared.method,
+                address: prepared.address,
+                fee: prepared.fee,
+                net_amount: prepared.net_amount,
+                status: 'pending',
+                needs_review: risk.needs_review,
+                review_reason: risk.review_reason,
+                ledger_entry_id: entry.entry.id,
+            });
+        } catch (error) {
+            await ledger.credit(id, ledger.ENTRY_TYPES.REFUND, prepared.amount, action_id,
+                { reason: 'Withdrawal record could not be saved.' });
+            // A concurrent request won the one-pending-withdrawal index
+            if (/duplicate key|unique/i.test(error.message)) {
+                return sendError(res, 'PENDING_WITHDRAWAL', 'You already have a pending withdrawal. Please wait until it is processed.');
+            }
+            throw error;
         }
 
-        // 6. Calculate new values
-        const newSpinsCount = user.spins_today + 1;
+        // 6. Remember the address (the withdrawal stands even if this fails)
+        if (save_address) {
+            await withdrawals.savePayoutAddress(id, prepared.method, prepared.address)
+                .catch(error => console.error(`Failed to save payout address for user ${id}:`, error.message));
+        }
 
-        // 7. Update user record: spins_today, and last_activity
-        await supabaseFetch('users', 'PATCH',
-          { 
-              spins_today: newSpinsCount,
-              last_activity: new Date().toISOString()
-          },
-          `?id=eq.${id}`);
-          
-        // 8. Success
-        sendSuccess(res, { new_spins_count: newSpinsCount });
+        // 7. Success
+        sendSuccess(res, {
+            new_balance: entry.balance,
+            withdrawal: {
+                id: withdrawal.id,
+                method: withdrawal.method,
+                address: withdrawal.address,
+                amount: withdrawal.amount,
+                fee: withdrawal.fee,
+                net_amount: withdrawal.net_amount,
+                needs_review: withdrawal.needs_review,
+            },
+        });
 
     } catch (error) {
-        console.error('Spin failed:', error.message);
-        sendError(res, `Failed to process spin: ${error.message}`, 500);
+        console.error('Withdrawal failed:', error.message);
+        sendError(res, 'INTERNAL_ERROR', `Withdrawal failed: ${error.message}`);
     }
 }
 
 /**
- * 5) type: "spinResult" (no Action ID needed here as 'spin' was the critical step)
+ * HANDLER: type: "savePayoutAddress" (method, address; validated like a withdrawal address)
  */
-async function handleSpinResult(req, res, body) {
-    const { user_id } = body;
-    const id = parseInt(user_id);
-    
-    // NOTE: The 'spin' action already consumed a unique ID and incremented the spin count.
-    // This action only calculates the prize and updates the balance.
+async function handleSavePayoutAddress(req, res, body) {
+    try {
+        const user = await requireActiveUser(res, body.user_id);
+        if (!user) return;
+
+        const result = await withdrawals.savePayoutAddress(user.id, body.method, body.address);
+        if (!result.ok) {
+            return sendResult(res, result);
+        }
+        sendSuccess(res, { address: result.address, payout_addresses: await db.payoutAddresses.listByUser(user.id) });
+    } catch (error) {
+        console.error('SavePayoutAddress failed:', error.message);
+        sendError(res, 'INTERNAL_ERROR', `Failed to save address: ${error.message}`);
+    }
+}
+
+/**
+ * HANDLER: type: "deletePayoutAddress" (address_id of one of the user's saved addresses)
+ */
+async function handleDeletePayoutAddress(req, res, body) {
+    const id = body.user_id;
+    try {
+        const result = await withdrawals.deletePayoutAddress(id, body.address_id);
+        if (!result.ok) {
+            return sendResult(res, result);
+        }
+        sendSuccess(res, { payout_addresses: await db.payoutAddresses.listByUser(id) });
+    } catch (error) {
+        console.error('DeletePayoutAddress failed:', error.message);
+        sendError(res, 'INTERNAL_ERROR', `Failed to delete address: ${error.message}`);
+    }
+}
+
+// ------------------------------------------------------------------
+// 📅 Daily Check-in
+// ------------------------------------------------------------------
 
-    const { prize, prizeIndex } = calculateRandomSpinPrize();
+/**
+ * HANDLER: type: "dailyCheckIn" (once per calendar day; the bonus grows with the streak)
+ * restore: true (with action_id of a watched 'restoreStreak' ad) first restores a streak broken by one missed day.
+ */
+async function handleDailyCheckIn(req, res, body) {
+    const { user_id: id, restore, action_id, ad_provider } = body;
 
     try {
-        // 1. Fetch current user balance and banned status
-        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${id}&select=balance,is_banned`);
-        if (!Array.isArray(users) || users.length === 0) {
-            return sendError(res, 'User not found.', 404);
+        const config = await settings.getAll();
+
+        // 1. Fetch current user data
+        const user = await db.users.findById(id, `id,timezone,${admin.BAN_COLUMNS}`);
+        if (!user) {
+            return sendError(res, 'NOT_FOUND', 'User not found.');
         }
 
         // ⚠️ Banned Check
-        if (users[0].is_banned) {
-            return sendError(res, 'User is banned.', 403);
+        if (admin.isBanActive(user)) {
+            return sendBanned(res, user);
         }
 
-        const newBalance = users[0].balance + prize;
+        // 2. Restoring a streak costs an ad (checked like handleWatchAd, but only if there is something to restore)
+        if (restore) {
+            if (!await checkIns.canRestore(user)) {
+                return sendError(res, 'RESTORE_UNAVAILABLE', 'There is no streak to restore.');
+            }
+
+            const completion = await requireVerifiedAd(res, id, action_id, 'restoreStreak');
+            if (!completion) return;
+            if (!await validateAndUseActionId(res, id, action_id, 'restoreStreak')) return;
 
-        // 2. Update user record: balance 
-        await supabaseFetch('users', 'PATCH',
-          { balance: newBalance },
-          `?id=eq.${id}`);
+            if (!await adPostbacks.advanceCompletion(action_id,
+                adPostbacks.COMPLETION_STATUSES.VERIFIED, adPostbacks.COMPLETION_STATUSES.SETTLED)) {
+                return sendError(res, 'AD_ALREADY_USED', 'This ad has already been used.');
+            }
+            await adProviders.recordServed(id, {
+                provider: adProviders.resolveProvider(ad_provider, completion),
+                actionId: action_id,
+                actionType: 'restoreStreak'
+            });
+        }
 
-        // 3. Save to spin_results
-        await supabaseFetch('spin_results', 'POST',
-          { user_id: id, prize },
-          '?select=user_id');
+        // 3. Check in and pay the streak bonus through the ledger
+        const result = await checkIns.checkIn(user, { restore });
+        if (!result.ok) {
+            return sendResult(res, result);
+        }
 
-        // 4. Return the actual, server-calculated prize and index
-        sendSuccess(res, { new_balance: newBalance, actual_prize: prize, prize_index: prizeIndex });
+        // 4. Success
+        sendSuccess(res, {
+            reward: result.reward,
+            streak: result.streak,
+            new_balance: result.balance,
+            check_in: result.state
+        });
 
     } catch (error) {
-        console.error('Spin result failed:', error.message);
-        sendError(res, `Failed to process spin result: ${error.message}`, 500);
+        console.error('DailyCheckIn failed:', error.message);
+        sendError(res, 'INTERNAL_ERROR', `Failed to check in: ${error.message}`);
     }
 }
 
 
+// ------------------------------------------------------------------
+// ✅ Tasks
+// ------------------------------------------------------------------
+
 /**
- * 6) type: "withdraw"
+ * HANDLER: type: "listTasks" (live tasks with status 'available' | 'started' | 'completed' and progress)
  */
-async function handleWithdraw(req, res, body) {
-    const { user_id, binanceId, amount, action_id } = body;
-    const id = parseInt(user_id);
-    const withdrawalAmount = parseFloat(amount);
-    const MIN_WITHDRAW = 400;
+async function handleListTasks(req, res, body) {
+    try {
+        const user = await requireActiveUser(res, body.user_id);
+        if (!user) return;
 
-    // 1. Check and Consume Action ID (Security Check)
-    if (!await validateAndUseActionId(res, id, action_id, 'withdraw')) return;
+        sendSuccess(res, { tasks: await tasks.listForUser(user) });
+    } catch (error) {
+        console.error('ListTasks failed:', error.message);
+        sendError(res, 'INTERNAL_ERROR', `Failed to load tasks: ${error.message}`);
+    }
+}
+
+/**
+ * HANDLER: type: "startTask" (task_id; records that the user opened the link of a visit task)
+ */
+async function handleStartTask(req, res, body) {
+    try {
+        const user = await requireActiveUser(res, body.user_id);
+        if (!user) return;
 
-    if (withdrawalAmount < MIN_WITHDRAW) {
-        return sendError(res, `Minimum withdrawal amount is ${MIN_WITHDRAW} SHIB.`, 400);
+        const result = await tasks.startTask(user, body.task_id);
+        if (!result.ok) {
+            return sendResult(res, result);
+        }
+        sendSuccess(res, { task: result.task, claimable_at: result.claimable_at || null });
+    } catch (error) {
+        console.error('StartTask failed:', error.message);
+        sendError(res, 'INTERNAL_ERROR', `Failed to start task: ${error.message}`);
     }
+}
 
+/**
+ * HANDLER: type: "claimTask" (task_id; verifies the task and pays its reward once)
+ */
+async function handleClaimTask(req, res, body) {
     try {
-        // 2. Fetch current user balance and banned status
-        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${id}&select=balance,is_banned`);
-        if (!Array.isArray(users) || users.length === 0) {
-            return sendError(res, 'User not found.', 404);
+        const user = await requireActiveUser(res, body.user_id);
+        if (!user) return;
+
+        const result = await tasks.claimTask(user, body.task_id);
+        if (!result.ok) {
+            return sendResult(res, result);
         }
+        sendSuccess(res, { reward: result.reward, new_balance: result.balance, task: result.task });
+    } catch (error) {
+        console.error('ClaimTask failed:', error.message);
+        sendError(res, 'INTERNAL_ERROR', `Failed to claim task: ${error.message}`);
+    }
+}
+
+/**
+ * ADMIN HANDLER: type: "adminListTasks" (all tasks, including inactive ones, with completion counts)
+ */
+async function handleAdminListTasks(req, res, body) {
+    try {
+        sendSuccess(res, { tasks: await db.tasks.listAll(), types: tasks.TASK_TYPES });
+    } catch (error) {
+        console.error('Admin list tasks failed:', error.message);
+        sendError(res, 'INTERNAL_ERROR', `Failed to list tasks: ${error.message}`);
+    }
+}
 
-        const user = users[0];
+/**
+ * ADMIN HANDLER: type: "adminSaveTask"
+ * task: { id? (update), type, title, description?, url?, chat_id?, target?, reward, starts_at?, ends_at?,
+ *         max_completions?, active?, sort_order? }
+ */
+async function handleAdminSaveTask(req, res, body) {
+    const adminId = body.user_id;
 
-        // ⚠️ Banned Check
-        if (user.is_banned) {
-            return sendError(res, 'User is banned.', 403);
+    try {
+        sendResult(res, await tasks.saveTask(adminId, body.task));
+    } catch (error) {
+        console.error('Admin save task failed:', error.message);
+        sendError(res, 'INTERNAL_ERROR', `Failed to save task: ${error.message}`);
+    }
+}
+
+
+// ------------------------------------------------------------------
+// 🤝 Referrals
+// ------------------------------------------------------------------
+
+/**
+ * HANDLER: type: "getReferralStats"
+ * sort: 'joined' | 'last_active' | 'ads_watched' | 'commission' | 'name', order: 'desc' | 'asc', limit (up to 100), offset
+ */
+async function handleGetReferralStats(req, res, body) {
+    try {
+        const user = await requireActiveUser(res, body.user_id);
+        if (!user) return;
+
+        sendResult(res, await referrals.getReferralStats(user, {
+            sort: body.sort,
+            order: body.order,
+            limit: body.limit,
+            offset: body.offset,
+        }));
+    } catch (error) {
+        console.error('GetReferralStats failed:', error.message);
+        sendError(res, 'INTERNAL_ERROR', `Failed to load referral stats: ${error.message}`);
+    }
+}
+
+// ------------------------------------------------------------------
+// 🧾 Activity history
+// ------------------------------------------------------------------
+
+/**
+ * HANDLER: type: "getActivity"
+ * types (ledger entry types, all by default), from / to (to is exclusive), limit (up to 100), offset
+ */
+async function handleGetActivity(req, res, body) {
+    try {
+        const user = await requireActiveUser(res, body.user_id);
+        if (!user) return;
+
+        sendResult(res, await activity.getActivity(user, {
+            types: body.types,
+            from: body.from,
+            to: body.to,
+            limit: body.limit,
+            offset: body.offset,
+        }));
+    } catch (error) {
+        console.error('GetActivity failed:', error.message);
+        sendError(res, 'INTERNAL_ERROR', `Failed to load activity: ${error.message}`);
+    }
+}
+
+// ------------------------------------------------------------------
+// 🏆 Leaderboards
+// ------------------------------------------------------------------
+
+/**
+ * HANDLER: type: "getLeaderboard"
+ * board: 'earners' | 'referrers', period: 'all_time' | 'weekly' | 'daily', limit (top N, up to 100)
+ */
+async function handleGetLeaderboard(req, res, body) {
+    try {
+        const user = await requireActiveUser(res, body.user_id);
+        if (!user) return;
+
+        sendResult(res, await leaderboards.getLeaderboard(user, {
+            board: body.board,
+            period: body.period,
+            limit: body.limit,
+        }));
+    } catch (error) {
+        console.error('GetLeaderboard failed:', error.message);
+        sendError(res, 'INTERNAL_ERROR', `Failed to load leaderboard: ${error.message}`);
+    }
+}
+
+/**
+ * ADMIN HANDLER: type: "adminCloseLeaderboardWeek"
+ * board: 'earners' (default) | 'referrers', week_start: Monday 'YYYY-MM-DD' (default: last week).
+ * Pays the leaderboard_weekly_prizes setting to the top places.
+ */
+async function handleAdminCloseLeaderboardWeek(req, res, body) {
+    const adminId = body.user_id;
+
+    try {
+        sendResult(res, await leaderboards.closeWeek(adminId, { board: body.board, week_start: body.week_start }));
+    } catch (error) {
+        console.error('Admin close leaderboard week failed:', error.message);
+        sendError(res, 'INTERNAL_ERROR', `Failed to close the leaderboard week: ${error.message}`);
+    }
+}
+
+
+// ------------------------------------------------------------------
+// 📺 Ad Providers
+// ------------------------------------------------------------------
+
+/**
+ * HANDLER: type: "reportAdAttempts" (providers of the waterfall that had no ad for this Action ID)
+ * action_id, action_type: 'watchAd' | 'spin', attempts: [{ provider, result: 'no_fill' | 'error' }, ...]
+ */
+async function handleReportAdAttempts(req, res, body) {
+    const { user_id, action_id, action_type, attempts } = body;
+
+    try {
+        const result = await adProviders.recordMisses(user_id, action_id, action_type, attempts);
+        if (!result.ok) {
+            return sendResult(res, result);
         }
-        
-        // 3. Check sufficient balance
-        if (user.balance < withdrawalAmount) {
-            return sendError(res, 'Insufficient balance.', 400);
+        sendSuccess(res, { recorded: result.recorded });
+    } catch (error) {
+        console.error('ReportAdAttempts failed:', error.message);
+        sendError(res, 'INTERNAL_ERROR', `Failed to record ad attempts: ${error.message}`);
+    }
+}
+
+/**
+ * ADMIN HANDLER: type: "adminGetAdStats" (fill rate and rewards per provider over the last `days` days)
+ */
+async function handleAdminGetAdStats(req, res, body) {
+    try {
+        const [stats, config] = await Promise.all([adProviders.getStats(body.days), settings.getAll()]);
+        sendSuccess(res, { ...stats, provider_order: config.ad_provider_order });
+    } catch (error) {
+        console.error('Admin get ad stats failed:', error.message);
+        sendError(res, 'INTERNAL_ERROR', `Failed to load ad stats: ${error.message}`);
+    }
+}
+
+
+// ------------------------------------------------------------------
+// ⚙️ Runtime Settings
+// ------------------------------------------------------------------
+
+/**
+ * HANDLER: type: "getConfig" (rewards and limits the mini app displays and validates against)
+ */
+async function handleGetConfig(req, res, body) {
+    try {
+        sendSuccess(res, { config: await settings.getPublic() });
+    } catch (error) {
+        console.error('GetConfig failed:', error.message);
+        sendError(res, 'INTERNAL_ERROR', `Failed to load config: ${error.message}`);
+    }
+}
+
+/**
+ * ADMIN HANDLER: type: "adminGetSettings" (current values and their definitions)
+ */
+async function handleAdminGetSettings(req, res, body) {
+    try {
+        sendSuccess(res, { settings: await settings.getAll(), definitions: settings.SETTING_DEFINITIONS });
+    } catch (error) {
+        console.error('Admin get settings failed:', error.message);
+        sendError(res, 'INTERNAL_ERROR', `Failed to load settings: ${error.message}`);
+    }
+}
+
+/**
+ * ADMIN HANDLER: type: "adminUpdateSettings"
+ * settings: { key: value, ... } (all values are validated before any is saved)
+ */
+async function handleAdminUpdateSettings(req, res, body) {
+    const adminId = body.user_id;
+
+    try {
+        sendResult(res, await settings.update(adminId, body.settings));
+    } catch (error) {
+        console.error('Admin update settings failed:', error.message);
+        sendError(res, 'INTERNAL_ERROR', `Failed to update settings: ${error.message}`);
+    }
+}
+
+
+// ------------------------------------------------------------------
+// 🎡 Wheel Configuration
+// ------------------------------------------------------------------
+
+/**
+ * HANDLER: type: "getWheelConfig" (sectors to draw: value, label, color, jackpot, weight, probability)
+ */
+async function handleGetWheelConfig(req, res, body) {
+    try {
+        sendSuccess(res, { wheel: wheel.toPublicWheel(await wheel.getActiveWheel()) });
+    } catch (error) {
+        console.error('GetWheelConfig failed:', error.message);
+        sendError(res, 'INTERNAL_ERROR', `Failed to load wheel: ${error.message}`);
+    }
+}
+
+/**
+ * ADMIN HANDLER: type: "adminPublishWheel"
+ * sectors: [{ value, weight, color, label?, jackpot? }, ...]
+ */
+async function handleAdminPublishWheel(req, res, body) {
+    const adminId = body.user_id;
+
+    try {
+        sendResult(res, await wheel.publishWheel(adminId, body.name, body.sectors));
+    } catch (error) {
+        console.error('Admin publish wheel failed:', error.message);
+        sendError(res, 'INTERNAL_ERROR', `Failed to publish wheel: ${error.message}`);
+    }
+}
+
+
+// ------------------------------------------------------------------
+// 🎲 Provably Fair Spins
+// ------------------------------------------------------------------
+
+/**
+ * HANDLER: type: "getSeedPair" (active pair: server seed hash, client seed, next nonce)
+ */
+async function handleGetSeedPair(req, res, body) {
+    try {
+        const pair = await fairness.getActiveSeedPair(body.user_id);
+        sendSuccess(res, { seed_pair: fairness.toPublicSeedPair(pair) });
+    } catch (error) {
+        console.error('GetSeedPair failed:', error.message);
+        sendError(res, 'INTERNAL_ERROR', `Failed to load seed pair: ${error.message}`);
+    }
+}
+
+/**
+ * HANDLER: type: "rotateSeed" (reveals the current server seed; optional new client_seed)
+ */
+async function handleRotateSeed(req, res, body) {
+    try {
+        const rotated = await fairness.rotateSeedPair(body.user_id, body.client_seed || null);
+        sendSuccess(res, rotated);
+    } catch (error) {
+        console.error('RotateSeed failed:', error.message);
+        sendError(res, 'INTERNAL_ERROR', `Failed to rotate seeds: ${error.message}`);
+    }
+}
+
+/**
+ * HANDLER: type: "verifySpin" (recomputes a stored spin once its server seed is revealed)
+ */
+async function handleVerifySpin(req, res, body) {
+    try {
+        sendResult(res, await fairness.verifyStoredSpin(body.spin_result_id));
+    } catch (error) {
+        console.error('VerifySpin failed:', error.message);
+        sendError(res, 'INTERNAL_ERROR', `Failed to verify spin: ${error.message}`);
+    }
+}
+
+
+// ------------------------------------------------------------------
+// 🛡️ Admin: Withdrawal Review Queue
+// ------------------------------------------------------------------
+
+/**
+ * ADMIN HANDLER: type: "adminListWithdrawals"
+ * filters: { status ('pending' by default, 'all' for every status), user_id, needs_review, from, to, min_amount, max_amount }
+ */
+async function handleAdminListWithdrawals(req, res, body) {
+    const { filters, limit, offset } = body;
+
+    try {
+        const rows = await db.withdrawals.search({
+            status: filters.status === 'all' ? undefined : filters.status,
+            userId: filters.user_id,
+            needsReview: filters.needs_review,
+            from: filters.from,
+            to: filters.to,
+            minAmount: filters.min_amount,
+            maxAmount: filters.max_amount,
+            limit,
+            offset,
+        });
+
+        sendSuccess(res, { withdrawals: rows, limit, offset });
+    } catch (error) {
+        console.error('Admin withdrawal list failed:', error.message);
+        sendError(res, 'INTERNAL_ERROR', `Failed to list withdrawals: ${error.message}`);
+    }
+}
+
+/**
+ * ADMIN HANDLER: type: "adminApproveWithdrawal"
+ */
+async function handleAdminApproveWithdrawal(req, res, body) {
+    const adminId = body.user_id;
+
+    try {
+        sendResult(res, await withdrawals.approveWithdrawal(body.withdrawal_id, adminId));
+    } catch (error) {
+        console.error('Admin approve withdrawal failed:', error.message);
+        sendError(res, 'INTERNAL_ERROR', `Failed to approve withdrawal: ${error.message}`);
+    }
+}
+
+/**
+ * ADMIN HANDLER: type: "adminRejectWithdrawal" (refunds the amount to the user)
+ */
+async function handleAdminRejectWithdrawal(req, res, body) {
+    const adminId = body.user_id;
+
+    try {
+        sendResult(res, await withdrawals.rejectWithdrawal(body.withdrawal_id, adminId, body.reason));
+    } catch (error) {
+        console.error('Admin reject withdrawal failed:', error.message);
+        sendError(res, 'INTERNAL_ERROR', `Failed to reject withdrawal: ${error.message}`);
+    }
+}
+
+/**
+ * ADMIN HANDLER: type: "adminMarkWithdrawalPaid"
+ */
+async function handleAdminMarkWithdrawalPaid(req, res, body) {
+    const adminId = body.user_id;
+
+    try {
+        sendResult(res, await withdrawals.markWithdrawalPaid(body.withdrawal_id, adminId, body.payout_reference));
+    } catch (error) {
+        console.error('Admin mark withdrawal paid failed:', error.message);
+        sendError(res, 'INTERNAL_ERROR', `Failed to mark withdrawal as paid: ${error.message}`);
+    }
+}
+
+
+// ------------------------------------------------------------------
+// 🛡️ Admin: User Management
+// ------------------------------------------------------------------
+
+/**
+ * ADMIN HANDLER: type: "adminSearchUsers"
+ * query: Telegram ID or username; filters: { is_banned, ref_by }
+ */
+async function handleAdminSearchUsers(req, res, body) {
+    const { filters, limit, offset } = body;
+
+    try {
+        const users = await db.users.search({
+            query: body.query,
+            isBanned: filters.is_banned,
+            refBy: filters.ref_by,
+            limit,
+            offset,
+        });
+
+        sendSuccess(res, { users, limit, offset });
+    } catch (error) {
+        console.error('Admin user search failed:', error.message);
+        sendError(res, 'INTERNAL_ERROR', `Failed to search users: ${error.message}`);
+    }
+}
+
+/**
+ * ADMIN HANDLER: type: "adminGetUserProfile"
+ */
+async function handleAdminGetUserProfile(req, res, body) {
+    try {
+        const profile = await admin.getUserProfile(body.target_user_id);
+        if (!profile) {
+            return sendError(res, 'NOT_FOUND', 'User not found.');
         }
+        sendSuccess(res, profile);
+    } catch (error) {
+        console.error('Admin user profile failed:', error.message);
+        sendError(res, 'INTERNAL_ERROR', `Failed to load user profile: ${error.message}`);
+    }
+}
 
-        // 4. Calculate new balance
-        const newBalance = user.balance - withdrawalAmount;
+/**
+ * ADMIN HANDLER: type: "adminBanUser" (reason required, expires_at optional ISO date)
+ */
+async function handleAdminBanUser(req, res, body) {
+    const adminId = body.user_id;
 
-        // 5. Update user balance
-        await supabaseFetch('users', 'PATCH',
-          { balance: newBalance },
-          `?id=eq.${id}`);
+    const expiresAt = body.expires_at || null;
+    if (expiresAt && Date.parse(expiresAt) <= Date.now()) {
+        return sendError(res, 'INVALID_PAYLOAD', 'expires_at must be in the future.', { field: 'expires_at' });
+    }
 
-        // 6. Record the withdrawal request
-        await supabaseFetch('withdrawals', 'POST',
-          { user_id: id, amount: withdrawalAmount, binance_id: binanceId, status: 'pending' },
-          '?select=user_id');
+    try {
+        sendResult(res, await admin.banUser(adminId, body.target_user_id, body.reason, expiresAt));
+    } catch (error) {
+        console.error('Admin ban failed:', error.message);
+        sendError(res, 'INTERNAL_ERROR', `Failed to ban user: ${error.message}`);
+    }
+}
 
-        // 7. Success
-        sendSuccess(res, { new_balance: newBalance });
+/**
+ * ADMIN HANDLER: type: "adminUnbanUser"
+ */
+async function handleAdminUnbanUser(req, res, body) {
+    const adminId = body.user_id;
 
+    try {
+        sendResult(res, await admin.unbanUser(adminId, body.target_user_id, body.reason || null));
     } catch (error) {
-        console.error('Withdrawal failed:', error.message);
-        sendError(res, `Withdrawal failed: ${error.message}`, 500);
+        console.error('Admin unban failed:', error.message);
+        sendError(res, 'INTERNAL_ERROR', `Failed to unban user: ${error.message}`);
+    }
+}
+
+/**
+ * ADMIN HANDLER: type: "adminAdjustBalance" (signed amount, reason required)
+ */
+async function handleAdminAdjustBalance(req, res, body) {
+    const adminId = body.user_id;
+
+    if (body.amount === 0) {
+        return sendError(res, 'INVALID_PAYLOAD', 'amount must not be 0.', { field: 'amount' });
+    }
+
+    try {
+        sendResult(res, await admin.adjustBalance(adminId, body.target_user_id, body.amount, body.reason));
+    } catch (error) {
+        console.error('Admin balance adjustment failed:', error.message);
+        sendError(res, 'INTERNAL_ERROR', `Failed to adjust balance: ${error.message}`);
+    }
+}
+
+// ------------------------------------------------------------------
+// 🕵️ Admin: Fraud Review
+// ------------------------------------------------------------------
+
+/**
+ * ADMIN HANDLER: type: "adminListRiskReview"
+ * filters: { held (true by default, false, or 'all'), min_score (1 by default) }
+ */
+async function handleAdminListRiskReview(req, res, body) {
+    const { filters, limit, offset } = body;
+
+    try {
+        const users = await fraud.listForReview({
+            held: filters.held,
+            min_score: filters.min_score,
+            limit,
+            offset,
+        });
+        sendSuccess(res, { users, limit, offset });
+    } catch (error) {
+        console.error('Admin risk review list failed:', error.message);
+        sendError(res, 'INTERNAL_ERROR', `Failed to list users for review: ${error.message}`);
+    }
+}
+
+/**
+ * ADMIN HANDLER: type: "adminEvaluateRisk" (recomputes target_user_id's score now)
+ */
+async function handleAdminEvaluateRisk(req, res, body) {
+    try {
+        const assessment = await fraud.evaluateUser(body.target_user_id);
+        if (!assessment) {
+            return sendError(res, 'NOT_FOUND', 'User not found.');
+        }
+        sendSuccess(res, assessment);
+    } catch (error) {
+        console.error('Admin risk evaluation failed:', error.message);
+        sendError(res, 'INTERNAL_ERROR', `Failed to evaluate user: ${error.message}`);
     }
 }
 
+/**
+ * ADMIN HANDLER: type: "adminResolveRisk"
+ * decision: 'release' (lift the hold, pay held commissions) or 'ban' (ban, forfeit them); reason optional
+ */
+async function handleAdminResolveRisk(req, res, body) {
+    const adminId = body.user_id;
+
+    try {
+        sendResult(res, await fraud.resolveHold(adminId, body.target_user_id, body.decision, body.reason || null));
+    } catch (error) {
+        console.error('Admin risk resolution failed:', error.message);
+        sendError(res, 'INTERNAL_ERROR', `Failed to resolve risk hold: ${error.message}`);
+    }
+}
+
+
+// ------------------------------------------------------------------
+// 🧭 Routes
+// ------------------------------------------------------------------
+
+// Who may call a route: anyone, a Telegram user (initData or a session token from it), or an admin
+const AUTH = Object.freeze({
+    NONE: 'none',
+    USER: 'initData',
+    ADMIN: 'admin',
+});
+
+// Action types an Action ID can be issued for
+const ACTION_TYPES = [...AD_GATED_ACTION_TYPES, 'withdraw'];
+
+// Input fields shared by several routes (see lib/requestSchema.js)
+const ID_FIELD = { type: 'integer', min: 1, required: true };
+const ACTION_ID_FIELD = { type: 'string', maxLength: 128 };
+const AD_PROVIDER_FIELD = { type: 'string', maxLength: 32 };
+const REASON_FIELD = { type: 'string', maxLength: 500 };
+const ADMIN_PAGE_FIELDS = {
+    limit: { type: 'integer', min: 1, max: 200, default: 50 },
+    offset: { type: 'integer', min: 0, default: 0 },
+};
+
+/**
+ * type -> { handler, auth, rateLimit (class, see lib/rateLimit), input (fields, see lib/requestSchema.js) }
+ * Handlers get the validated input, with user_id set to the authenticated user.
+ */
+const ROUTES = {
+    // Identity
+    createSession: { handler: handleCreateSession, auth: AUTH.USER, rateLimit: 'session', input: {} },
+    register: {
+        handler: handleRegister, auth: AUTH.USER, rateLimit: 'session',
+        input: {
+            ref_by: { type: 'integer', min: 1 },
+            timezone: { type: 'string', maxLength: 64 },
+            fingerprint: { type: 'string', maxLength: 128 },
+        },
+    },
+    getUserData: { handler: handleGetUserData, auth: AUTH.USER, rateLimit: 'default', input: {} },
+
+    // Ads and spins
+    generateActionId: {
+        handler: handleGenerateActionId, auth: AUTH.USER, rateLimit: 'actionId',
+        input: { action_type: { type: 'enum', options: ACTION_TYPES, required: true } },
+    },
+    watchAd: {
+        handler: handleWatchAd, auth: AUTH.USER, rateLimit: 'adAction',
+        input: { action_id: { ...ACTION_ID_FIELD, required: true }, ad_provider: AD_PROVIDER_FIELD },
+    },
+    spin: {
+        handler: handleSpin, auth: AUTH.USER, rateLimit: 'adAction',
+        input: { action_id: ACTION_ID_FIELD, ad_provider: AD_PROVIDER_FIELD, use_credit: { type: 'boolean', default: false } },
+    },
+    spinResult: {
+        handler: handleSpinResult, auth: AUTH.USER, rateLimit: 'spinResult',
+        input: { spin_session_id: ID_FIELD },
+    },
+    reportAdAttempts: {
+        handler: handleReportAdAttempts, auth: AUTH.USER, rateLimit: 'default',
+        input: {
+            action_id: { ...ACTION_ID_FIELD, required: true },
+            action_type: { type: 'enum', options: AD_GATED_ACTION_TYPES, required: true },
+            attempts: { type: 'array', maxLength: 10, required: true },
+        },
+    },
+
+    // Withdrawals
+    withdraw: {
+        handler: handleWithdraw, auth: AUTH.USER, rateLimit: 'withdraw',
+        input: {
+            method: { type: 'enum', options: Object.keys(withdrawalMethods.WITHDRAWAL_METHODS) },
+            address: { type: 'string', maxLength: 256 },
+            binanceId: { type: 'string', maxLength: 32 },
+            amount: { type: 'number', required: true },
+            action_id: { ...ACTION_ID_FIELD, required: true },
+            save_address: { type: 'boolean', default: false },
+        },
+    },
+    savePayoutAddress: {
+        handler: handleSavePayoutAddress, auth: AUTH.USER, rateLimit: 'account',
+        input: {
+            method: { type: 'enum', options: Object.keys(withdrawalMethods.WITHDRAWAL_METHODS), required: true },
+            address: { type: 'string', maxLength: 256, required: true },
+        },
+    },
+    deletePayoutAddress: {
+        handler: handleDeletePayoutAddress, auth: AUTH.USER, rateLimit: 'account',
+        input: { address_id: ID_FIELD },
+    },
+
+    // Check-in, tasks, referrals, activity, leaderboards
+    dailyCheckIn: {
+        handler: handleDailyCheckIn, auth: AUTH.USER, rateLimit: 'claim',
+        input: { restore: { type: 'boolean', default: false }, action_id: ACTION_ID_FIELD, ad_provider: AD_PROVIDER_FIELD },
+    },
+    listTasks: { handler: handleListTasks, auth: AUTH.USER, rateLimit: 'default', input: {} },
+    startTask: { handler: handleStartTask, auth: AUTH.USER, rateLimit: 'claim', input: { task_id: ID_FIELD } },
+    claimTask: { handler: handleClaimTask, auth: AUTH.USER, rateLimit: 'claim', input: { task_id: ID_FIELD } },
+    getReferralStats: {
+        handler: handleGetReferralStats, auth: AUTH.USER, rateLimit: 'default',
+        input: {
+            sort: { type: 'enum', options: referrals.REFERRAL_SORTS },
+            order: { type: 'enum', options: ['desc', 'asc'] },
+            limit: { type: 'integer', min: 1, max: 100 },
+            offset: { type: 'integer', min: 0 },
+        },
+    },
+    getActivity: {
+        handler: handleGetActivity, auth: AUTH.USER, rateLimit: 'default',
+        input: {
+            types: { type: 'array', maxLength: activity.ACTIVITY_TYPES.length },
+            from: { type: 'date' },
+            to: { type: 'date' },
+            limit: { type: 'integer', min: 1, max: 100 },
+            offset: { type: 'integer', min: 0 },
+        },
+    },
+    getLeaderboard: {
+        handler: handleGetLeaderboard, auth: AUTH.USER, rateLimit: 'default',
+        input: {
+            board: { type: 'enum', options: leaderboards.BOARDS },
+            period: { type: 'enum', options: leaderboards.PERIODS },
+            limit: { type: 'integer', min: 1, max: 100 },
+        },
+    },
+
+    // Configuration
+    getConfig: { handler: handleGetConfig, auth: AUTH.NONE, rateLimit: 'default', input: {} },
+    getWheelConfig: { handler: handleGetWheelConfig, auth: AUTH.NONE, rateLimit: 'default', input: {} },
+
+    // Provably fair spins
+    getSeedPair: { handler: handleGetSeedPair, auth: AUTH.USER, rateLimit: 'default', input: {} },
+    rotateSeed: {
+        handler: handleRotateSeed, auth: AUTH.USER, rateLimit: 'account',
+        input: {
+            client_seed: { type: 'string', pattern: fairness.CLIENT_SEED_PATTERN, patternHint: '1-64 letters, digits, "-" or "_"' },
+        },
+    },
+    verifySpin: { handler: handleVerifySpin, auth: AUTH.USER, rateLimit: 'default', input: { spin_result_id: ID_FIELD } },
+
+    // Admin
+    adminListTasks: { handler: handleAdminListTasks, auth: AUTH.ADMIN, rateLimit: 'admin', input: {} },
+    adminSaveTask: {
+        handler: handleAdminSaveTask, auth: AUTH.ADMIN, rateLimit: 'admin',
+        input: { task: { type: 'object', required: true } },
+    },
+    adminCloseLeaderboardWeek: {
+        handler: handleAdminCloseLeaderboardWeek, auth: AUTH.ADMIN, rateLimit: 'admin',
+        input: {
+            board: { type: 'enum', options: leaderboards.BOARDS, default: 'earners' },
+            week_start: { type: 'string', pattern: /^\d{4}-\d{2}-\d{2}$/, patternHint: 'a date (YYYY-MM-DD)' },
+        },
+    },
+    adminGetAdStats: {
+        handler: handleAdminGetAdStats, auth: AUTH.ADMIN, rateLimit: 'admin',
+        input: { days: { type: 'integer', min: 1, max: 90, default: 7 } },
+    },
+    adminGetSettings: { handler: handleAdminGetSettings, auth: AUTH.ADMIN, rateLimit: 'admin', input: {} },
+    adminUpdateSettings: {
+        handler: handleAdminUpdateSettings, auth: AUTH.ADMIN, rateLimit: 'admin',
+        input: { settings: { type: 'object', required: true } },
+    },
+    adminPublishWheel: {
+        handler: handleAdminPublishWheel, auth: AUTH.ADMIN, rateLimit: 'admin',
+        input: { name: { type: 'string', maxLength: 64, default: 'promo' }, sectors: { type: 'array', required: true } },
+    },
+    adminListWithdrawals: {
+        handler: handleAdminListWithdrawals, auth: AUTH.ADMIN, rateLimit: 'admin',
+        input: {
+            filters: {
+                type: 'object',
+                fields: {
+                    status: {
+                        type: 'enum',
+                        options: ['all', ...Object.values(withdrawals.WITHDRAWAL_STATUSES)],
+                        default: withdrawals.WITHDRAWAL_STATUSES.PENDING,
+                    },
+                    user_id: { type: 'integer', min: 1 },
+                    needs_review: { type: 'boolean' },
+                    from: { type: 'date' },
+                    to: { type: 'date' },
+                    min_amount: { type: 'number' },
+                    max_amount: { type: 'number' },
+                },
+            },
+            ...ADMIN_PAGE_FIELDS,
+        },
+    },
+    adminApproveWithdrawal: {
+        handler: handleAdminApproveWithdrawal, auth: AUTH.ADMIN, rateLimit: 'admin',
+        input: { withdrawal_id: ID_FIELD },
+    },
+    adminRejectWithdrawal: {
+        handler: handleAdminRejectWithdrawal, auth: AUTH.ADMIN, rateLimit: 'admin',
+        input: { withdrawal_id: ID_FIELD, reason: { ...REASON_FIELD, required: true } },
+    },
+    adminMarkWithdrawalPaid: {
+        handler: handleAdminMarkWithdrawalPaid, auth: AUTH.ADMIN, rateLimit: 'admin',
+        input: { withdrawal_id: ID_FIELD, payout_reference: { type: 'string', maxLength: 200, required: true } },
+    },
+    adminSearchUsers: {
+        handler: handleAdminSearchUsers, auth: AUTH.ADMIN, rateLimit: 'admin',
+        input: {
+            query: { type: 'string', maxLength: 64 },
+            filters: {
+                type: 'object',
+                fields: { is_banned: { type: 'boolean' }, ref_by: { type: 'integer', min: 1 } },
+            },
+            ...ADMIN_PAGE_FIELDS,
+        },
+    },
+    adminGetUserProfile: {
+        handler: handleAdminGetUserProfile, auth: AUTH.ADMIN, rateLimit: 'admin',
+        input: { target_user_id: ID_FIELD },
+    },
+    adminBanUser: {
+        handler: handleAdminBanUser, auth: AUTH.ADMIN, rateLimit: 'admin',
+        input: { target_user_id: ID_FIELD, reason: { ...REASON_FIELD, required: true }, expires_at: { type: 'date' } },
+    },
+    adminUnbanUser: {
+        handler: handleAdminUnbanUser, auth: AUTH.ADMIN, rateLimit: 'admin',
+        input: { target_user_id: ID_FIELD, reason: REASON_FIELD },
+    },
+    adminAdjustBalance: {
+        handler: handleAdminAdjustBalance, auth: AUTH.ADMIN, rateLimit: 'admin',
+        input: { target_user_id: ID_FIELD, amount: { type: 'number', required: true }, reason: { ...REASON_FIELD, required: true } },
+    },
+    adminListRiskReview: {
+        handler: handleAdminListRiskReview, auth: AUTH.ADMIN, rateLimit: 'admin',
+        input: {
+            filters: {
+                type: 'object',
+                fields: {
+                    held: { type: 'enum', options: [true, false, 'all'], default: true },
+                    min_score: { type: 'integer', min: 0, max: 100 },
+                },
+            },
+            ...ADMIN_PAGE_FIELDS,
+        },
+    },
+    adminEvaluateRisk: {
+        handler: handleAdminEvaluateRisk, auth: AUTH.ADMIN, rateLimit: 'admin',
+        input: { target_user_id: ID_FIELD },
+    },
+    adminResolveRisk: {
+        handler: handleAdminResolveRisk, auth: AUTH.ADMIN, rateLimit: 'admin',
+        input: {
+            target_user_id: ID_FIELD,
+            decision: { type: 'enum', options: ['release', 'ban'], required: true },
+            reason: REASON_FIELD,
+        },
+    },
+};
+
 
 // --- Main Handler for Vercel/Serverless ---
 module.exports = async (req, res) => {
   // CORS configuration
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Expose-Headers', 'X-Session-Token, X-Session-Expires-At, Retry-After');
 
   if (req.method === 'OPTIONS') {
     return sendSuccess(res);
   }
 
   if (req.method !== 'POST') {
-    return sendError(res, `Method ${req.method} not allowed. Only POST is supported.`, 405);
+    return sendError(res, 'METHOD_NOT_ALLOWED', `Method ${req.method} not allowed. Only POST is supported.`);
   }
 
   let body;
@@ -705,50 +1785,70 @@ module.exports = async (req, res) => {
     });
 
   } catch (error) {
-    return sendError(res, error.message, 400);
+    return sendError(res, 'INVALID_REQUEST', error.message);
   }
 
-  if (!body || !body.type) {
-    return sendError(res, 'Missing "type" field in the request body.', 400);
+  if (!body || typeof body !== 'object' || !body.type) {
+    return sendError(res, 'INVALID_REQUEST', 'Missing "type" field in the request body.');
   }
 
-  // ⬅️ initData Security Check
-  if (body.type !== 'commission' && (!body.initData || !validateInitData(body.initData))) {
-      return sendError(res, 'Invalid or expired initData. Security check failed.', 401);
+  // 1. Route of the request type
+  const route = Object.prototype.hasOwnProperty.call(ROUTES, body.type) ? ROUTES[body.type] : null;
+  if (!route) {
+    return sendError(res, 'UNKNOWN_TYPE', `Unknown request type: ${body.type}`);
   }
 
-  if (!body.user_id && body.type !== 'commission') {
-      return sendError(res, 'Missing user_id in the request body.', 400);
+  // 2. ⬅️ Identity Security Check: initData or session token, never the client's user_id
+  let identity = null;
+  if (route.auth !== AUTH.NONE) {
+      identity = authenticate(req, body);
+      if (!identity) {
+          return sendError(res, 'UNAUTHORIZED', 'Invalid or expired session. Security check failed.');
+      }
+      req.auth = identity;
+
+      // New or refreshed session token (fetchApi picks it up from these headers)
+      if (identity.session) {
+          res.setHeader('X-Session-Token', identity.session.token);
+          res.setHeader('X-Session-Expires-At', identity.session.expires_at);
+      }
+
+      if (route.auth === AUTH.ADMIN && !admin.isAdmin(identity.userId)) {
+          return sendError(res, 'ADMIN_REQUIRED', 'Admin access required.');
+      }
+  }
+
+  // 3. Per-user and per-IP request limits of the route's class (see lib/rateLimit). Store outages
+  //    are handled there and let requests through; what reaches this catch (an unknown rate limit
+  //    class) is a bug, and the request is refused.
+  let limited;
+  try {
+      limited = await rateLimit.check(body.type, { userId: identity && identity.userId, ip: clientIp(req) },
+          rateLimit.policiesFor(route.rateLimit));
+  } catch (error) {
+      console.error(`Rate limit check for ${body.type} failed:`, error.message);
+      return sendError(res, 'INTERNAL_ERROR', 'Failed to check request limits.');
+  }
+  if (!limited.ok) {
+      return sendRateLimited(res, limited);
+  }
+
+  // 4. Payload schema (handlers only see the declared fields)
+  const input = validatePayload(route.input, body);
+  if (!input.ok) {
+      return sendError(res, 'INVALID_PAYLOAD', input.message, { field: input.field });
+  }
+  if (identity) {
+      input.value.user_id = identity.userId;
   }
 
-  // Route the request based on the 'type' field
-  switch (body.type) {
-    case 'getUserData':
-      await handleGetUserData(req, res, body);
-      break;
-    case 'register':
-      await handleRegister(req, res, body);
-      break;
-    case 'watchAd':
-      await handleWatchAd(req, res, body);
-      break;
-    case 'commission':
-      await handleCommission(req, res, body);
-      break;
-    case 'spin':
-      await handleSpin(req, res, body);
-      break;
-    case 'spinResult':
-      await handleSpinResult(req, res, body);
-      break;
-    case 'withdraw':
-      await handleWithdraw(req, res, body);
-      break;
-    case 'generateActionId': // ⬅️ NEW Handler
-      await handleGenerateActionId(req, res, body);
-      break;
-    default:
-      sendError(res, `Unknown request type: ${body.type}`, 400);
-      break;
+  // 5. Handle
+  try {
+      await route.handler(req, res, input.value);
+  } catch (error) {
+      console.error(`${body.type} failed:`, error.message);
+      if (!res.headersSent) {
+          sendError(res, 'INTERNAL_ERROR', `Request failed: ${error.message}`);
+      }
   }
-};
\ No newline at end of file
+};
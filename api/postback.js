@@ -0,0 +1,79 @@
+// /api/postback.js
+
+/**
+ * Ad network postback endpoint (server-to-server).
+ * Called by the ad network once a user finished an ad, with the action_id the
+ * mini app passed to the ad. Accepts GET query parameters (the usual postback
+ * format) or a POST body (JSON or form-encoded):
+ *
+ *   /api/postback?network=monetag&token=...&ymid=...&telegram_id=...&reward_event_type=valued
+ *
+ * See lib/adPostbacks.js for the parameters of each network.
+ */
+const adPostbacks = require('../lib/adPostbacks');
+
+const REASON_STATUS = {
+    INVALID_POSTBACK: 400,
+    INVALID_TOKEN: 401,
+    UNKNOWN_NETWORK: 403,
+    UNKNOWN_ACTION: 404,
+    ALREADY_COMPLETED: 409,
+};
+
+function sendJson(res, statusCode, payload) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(payload));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => {
+      data += chunk.toString();
+    });
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+  });
+}
+
+async function readParams(req) {
+  const url = new URL(req.url, 'http://localhost');
+  const params = Object.fromEntries(url.searchParams);
+
+  if (req.method === 'POST') {
+    const raw = await readBody(req);
+    const contentType = req.headers['content-type'] || '';
+    if (contentType.includes('application/json')) {
+      Object.assign(params, JSON.parse(raw || '{}'));
+    } else {
+      Object.assign(params, Object.fromEntries(new URLSearchParams(raw)));
+    }
+  }
+  return params;
+}
+
+module.exports = async (req, res) => {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return sendJson(res, 405, { ok: false, error: `Method ${req.method} not allowed.` });
+  }
+
+  let params;
+  try {
+    params = await readParams(req);
+  } catch (error) {
+    return sendJson(res, 400, { ok: false, error: 'Invalid postback payload.' });
+  }
+
+  try {
+    const result = await adPostbacks.recordPostback(params);
+    if (!result.ok) {
+      console.warn(`Rejected ${params.network || 'unknown'} postback: ${result.reason}`);
+      return sendJson(res, REASON_STATUS[result.reason] || 400, { ok: false, error: result.message, reason: result.reason });
+    }
+
+    sendJson(res, 200, { ok: true, duplicate: Boolean(result.duplicate), ignored: Boolean(result.ignored) });
+  } catch (error) {
+    console.error('Postback failed:', error.message);
+    sendJson(res, 500, { ok: false, error: 'Failed to record postback.' });
+  }
+};
@@ -0,0 +1,170 @@
+// /lib/activity.js
+
+/**
+ * Activity history
+ * The user's balance movements, newest first, read from the ledger: every
+ * credit and debit is one entry, so the feed always adds up to the balance
+ * (each entry carries balance_after). Entries can be filtered by type and by
+ * creation time [from, to), and come with per-type totals of the same filter
+ * from the `activity_totals` database function.
+ *
+ * Each entry gets `details` for the History screen, picked per type from the
+ * entry's metadata and the rows it references (spin_results,
+ * commission_history, withdrawals). Admin-only metadata is never returned.
+ */
+const db = require('./repositories');
+const ledger = require('./ledger');
+const { getStorage } = require('./storage');
+const { displayName } = require('./leaderboards');
+
+const ACTIVITY_TYPES = Object.values(ledger.ENTRY_TYPES);
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+function invalid(message) {
+    return { ok: false, reason: 'INVALID_QUERY', message };
+}
+
+/**
+ * { [type]: { count, amount } } for every type of the filter (amount is signed: withdrawals are negative).
+ */
+async function totalsByType(userId, types, from, to) {
+    const rows = await getStorage().rpc('activity_totals', {
+        p_user_id: userId,
+        p_types: types,
+        p_since: from || null,
+        p_until: to || null,
+    });
+    const totals = Object.fromEntries(types.map(type => [type, { count: 0, amount: 0 }]));
+    rows.forEach(row => {
+        totals[row.type] = { count: Number(row.entries), amount: Number(row.amount) };
+    });
+    return totals;
+}
+
+/**
+ * Loads the spin results, commissions (with their referees) and withdrawals the page's entries refer to.
+ */
+async function loadReferences(entries) {
+    const ofType = type => entries.filter(entry => entry.type === type);
+    const spinEntries = ofType(ledger.ENTRY_TYPES.SPIN_PRIZE);
+    const commissionEntries = ofType(ledger.ENTRY_TYPES.REFERRAL_COMMISSION);
+    const withdrawalEntries = ofType(ledger.ENTRY_TYPES.WITHDRAWAL);
+
+    const [spins, commissions, withdrawals] = await Promise.all([
+        db.spinResults.listByIds(spinEntries.map(entry => Number(entry.reference_id)),
+            'id,prize_index,wheel_config_id,nonce'),
+        db.commissionHistory.listByIds(commissionEntries.map(entry => Number(entry.reference_id)),
+            'id,referee_id,tier,source_type,source_reward'),
+        db.withdrawals.listByLedgerEntries(withdrawalEntries.map(entry => entry.id),
+            'id,ledger_entry_id,status,method,net_amount'),
+    ]);
+
+    const spinById = new Map(spins.map(spin => [String(spin.id), spin]));
+    const commissionById = new Map(commissions.map(record => [String(record.id), record]));
+    const withdrawalByEntry = new Map(withdrawals.map(withdrawal => [Number(withdrawal.ledger_entry_id), withdrawal]));
+
+    const refereeIds = [...new Set(commissions.map(record => Number(record.referee_id)))];
+    const referees = await db.users.listByIds(refereeIds, 'id,username,first_name,last_name');
+    const refereeById = new Map(referees.map(referee => [Number(referee.id), referee]));
+
+    return { spinById, commissionById, withdrawalByEntry, refereeById };
+}
+
+/**
+ * What the History screen shows about one entry, by type.
+ */
+function entryDetails(entry, references) {
+    const metadata = entry.metadata || {};
+    switch (entry.type) {
+        case ledger.ENTRY_TYPES.AD_REWARD:
+            return { ad_provider: metadata.ad_provider || null };
+        case ledger.ENTRY_TYPES.SPIN_PRIZE: {
+            const spin = references.spinById.get(String(entry.reference_id));
+            return spin
+                ? { spin_id: spin.id, prize_index: spin.prize_index, wheel_id: spin.wheel_config_id, nonce: spin.nonce }
+                : { spin_id: Number(entry.reference_id) };
+        }
+        case ledger.ENTRY_TYPES.REFERRAL_COMMISSION: {
+            const record = references.commissionById.get(String(entry.reference_id)) || {};
+            const refereeId = Number(record.referee_id || metadata.referee_id);
+            return {
+                referee: refereeId ? displayName(references.refereeById.get(refereeId)) : null,
+                tier: Number(record.tier || metadata.tier) || 1,
+                source_type: record.source_type || metadata.source_type || null,
+                source_reward: record.source_reward !== undefined ? Number(record.source_reward) : null,
+            };
+        }
+        case ledger.ENTRY_TYPES.CHECK_IN_BONUS:
+            return { streak: metadata.streak || null, restored: Boolean(metadata.restored) };
+        case ledger.ENTRY_TYPES.TASK_REWARD:
+            return { task_type: metadata.task_type || null };
+        case ledger.ENTRY_TYPES.LEADERBOARD_PRIZE:
+            return { board: metadata.board || null, week_start: metadata.week_start || null, place: metadata.place || null };
+        case ledger.ENTRY_TYPES.WITHDRAWAL: {
+            const withdrawal = references.withdrawalByEntry.get(Number(entry.id));
+            return {
+                withdrawal_id: withdrawal ? withdrawal.id : null,
+                method: metadata.method || (withdrawal ? withdrawal.method : null),
+                status: withdrawal ? withdrawal.status : null,
+                net_amount: withdrawal ? Number(withdrawal.net_amount) : null,
+            };
+        }
+        case ledger.ENTRY_TYPES.REFUND:
+            return { withdrawal_id: metadata.withdrawal_id || null, reason: metadata.reason || null };
+        case ledger.ENTRY_TYPES.ADJUSTMENT:
+            return { reason: metadata.reason || null };
+        default:
+            return {};
+    }
+}
+
+/**
+ * One page of the user's activity, with per-type totals of the whole filter.
+ * `types` defaults to every type; `from` / `to` are ISO times (to is exclusive).
+ */
+async function getActivity(user, { types, from, to, limit = DEFAULT_PAGE_SIZE, offset = 0 } = {}) {
+    const selected = types && types.length > 0 ? [...new Set(types)] : ACTIVITY_TYPES;
+    const unknown = selected.filter(type => !ACTIVITY_TYPES.includes(type));
+    if (unknown.length > 0) {
+        return invalid(`Unknown activity type: ${unknown.join(', ')}. Use ${ACTIVITY_TYPES.join(', ')}.`);
+    }
+    if (from && to && from >= to) {
+        return invalid('from must be before to.');
+    }
+    const size = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const skip = Math.max(parseInt(offset) || 0, 0);
+
+    const [entries, totals] = await Promise.all([
+        db.ledgerEntries.listPage(user.id, { types: selected, from, to, limit: size, offset: skip }),
+        totalsByType(user.id, selected, from, to),
+    ]);
+    const references = await loadReferences(entries);
+    const total = Object.values(totals).reduce((sum, row) => sum + row.count, 0);
+
+    return {
+        ok: true,
+        entries: entries.map(entry => ({
+            id: Number(entry.id),
+            type: entry.type,
+            amount: Number(entry.amount),
+            balance_after: Number(entry.balance_after),
+            created_at: entry.created_at,
+            details: entryDetails(entry, references),
+        })),
+        total,
+        has_more: skip + entries.length < total,
+        limit: size,
+        offset: skip,
+        types: selected,
+        from: from || null,
+        to: to || null,
+        totals,
+    };
+}
+
+module.exports = {
+    ACTIVITY_TYPES,
+    getActivity,
+};
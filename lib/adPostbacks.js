@@ -0,0 +1,150 @@
+// /lib/adPostbacks.js
+
+/**
+ * Server-to-server ad completion postbacks
+ * The client receives an action_id before showing an ad and hands it to the
+ * ad network, which calls /api/postback once the ad was actually watched.
+ * Ad-gated actions are only granted after such a postback, so a scripted
+ * client can no longer skip the ad.
+ *
+ * Each network calls back in its own format; its adapter maps the callback's
+ * parameters to { action_id, user_id, event_id }. Neither network signs its
+ * callbacks: the callback URL configured in the network's dashboard carries a
+ * shared secret as `token`, so it has to stay private.
+ *
+ * A completion is `verified` when the postback arrives and `settled` once the
+ * ad reward is paid or the spin (or streak restore) it unlocked is used.
+ * Networks without an adapter (Adsgram only reports the Telegram user) cannot
+ * confirm an action, and are not offered (see lib/adProviders.js).
+ */
+const crypto = require('crypto');
+const db = require('./repositories');
+
+// Per network: where the shared secret comes from, and `parse`, which maps the callback to
+// { action_id, user_id (optional), event_id }, or returns null for events that are not worth a reward.
+// A network without a configured secret rejects every postback.
+const POSTBACK_ADAPTERS = {
+    // show_<zone>({ ymid: action_id }); callback URL in the Monetag dashboard:
+    //   /api/postback?network=monetag&token=<secret>&ymid={ymid}&telegram_id={telegram_id}
+    //     &event_type={event_type}&reward_event_type={reward_event_type}
+    // Only `valued` events are rewarded. There is no event id: the ymid is unique per ad.
+    monetag: {
+        secretEnv: 'MONETAG_POSTBACK_SECRET',
+        parse: params => (params.reward_event_type === 'valued'
+            ? { action_id: params.ymid, user_id: params.telegram_id, event_id: params.ymid }
+            : null),
+    },
+    // showGiga({ action_id }); reward callback URL in the GigaPub dashboard:
+    //   /api/postback?network=gigapub&token=<secret>&action_id={action_id}&user_id={user_id}&event_id={event_id}
+    gigapub: {
+        secretEnv: 'GIGAPUB_POSTBACK_SECRET',
+        parse: params => ({ action_id: params.action_id, user_id: params.user_id, event_id: params.event_id }),
+    },
+};
+
+const COMPLETION_STATUSES = Object.freeze({
+    VERIFIED: 'verified',
+    SETTLED: 'settled',
+});
+
+// Action types that are granted after watching an ad
+const AD_GATED_ACTIONS = ['watchAd', 'spin', 'restoreStreak'];
+
+function getSecret(network) {
+    const adapter = POSTBACK_ADAPTERS[network];
+    return adapter ? process.env[adapter.secretEnv] || null : null;
+}
+
+/**
+ * Whether ads of `network` can be confirmed: it has an adapter and its secret is configured.
+ */
+function acceptsPostbacks(network) {
+    return Boolean(getSecret(network));
+}
+
+function isTokenValid(token, secret) {
+    const expected = Buffer.from(secret);
+    const received = Buffer.from(String(token || ''));
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+/**
+ * Verifies a postback and records the completion for its action_id.
+ * Redelivered postbacks (same network and event_id) are accepted again without side effects,
+ * and events the network does not reward are acknowledged and ignored.
+ */
+async function recordPostback(params) {
+    const { network } = params;
+    const secret = getSecret(network);
+    if (!secret) {
+        return { ok: false, reason: 'UNKNOWN_NETWORK', message: `Postbacks from ${network} are not accepted.` };
+    }
+    if (!isTokenValid(params.token, secret)) {
+        return { ok: false, reason: 'INVALID_TOKEN', message: 'Invalid postback token.' };
+    }
+
+    const postback = POSTBACK_ADAPTERS[network].parse(params);
+    if (!postback) {
+        return { ok: true, ignored: true };
+    }
+    const { action_id, event_id } = postback;
+    const userId = postback.user_id ? parseInt(postback.user_id) : null;
+    if (!action_id || !event_id || Number.isNaN(userId)) {
+        return { ok: false, reason: 'INVALID_POSTBACK', message: 'Missing postback parameters.' };
+    }
+
+    const delivered = await db.adCompletions.findByEvent(network, String(event_id));
+    if (delivered) {
+        return { ok: true, duplicate: true, completion: delivered };
+    }
+
+    // The action must be an ad-gated action issued to this user (when the network reports one) and not used yet
+    const action = await db.tempActions.findByActionId(action_id);
+    if (!action || (userId && action.user_id !== userId) || !AD_GATED_ACTIONS.includes(action.action_type)) {
+        return { ok: false, reason: 'UNKNOWN_ACTION', message: 'No pending ad action matches this postback.' };
+    }
+    if (await db.adCompletions.findByActionId(action_id)) {
+        return { ok: false, reason: 'ALREADY_COMPLETED', message: 'This action already has a completed ad.' };
+    }
+
+    const completion = await db.adCompletions.create({
+        action_id,
+        action_type: action.action_type,
+        user_id: action.user_id,
+        network,
+        event_id: String(event_id),
+        status: COMPLETION_STATUSES.VERIFIED,
+        verified_at: new Date().toISOString(),
+    });
+    return { ok: true, duplicate: false, completion };
+}
+
+/**
+ * The completion recorded for the user's action, or null if no postback arrived yet.
+ */
+async function findCompletion(userId, actionId, actionType) {
+    const completion = actionId ? await db.adCompletions.findByActionId(actionId) : null;
+    if (!completion || completion.user_id !== userId || completion.action_type !== actionType) {
+        return null;
+    }
+    return completion;
+}
+
+/**
+ * Moves a completion forward (compare-and-set, so each completion pays out once).
+ */
+async function advanceCompletion(actionId, fromStatus, toStatus) {
+    const patch = { status: toStatus };
+    patch[`${toStatus}_at`] = new Date().toISOString();
+    return db.adCompletions.updateIfStatus(actionId, fromStatus, patch);
+}
+
+module.exports = {
+    POSTBACK_ADAPTERS,
+    COMPLETION_STATUSES,
+    AD_GATED_ACTIONS,
+    acceptsPostbacks,
+    recordPostback,
+    findCompletion,
+    advanceCompletion,
+};
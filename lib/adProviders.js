@@ -0,0 +1,146 @@
+// /lib/adProviders.js
+
+/**
+ * Ad providers
+ * The mini app tries the providers in the `ad_provider_order` setting one
+ * after another until one fills (the waterfall). Every attempt is recorded in
+ * `ad_impressions`, so fill rate and rewards can be compared per provider:
+ *
+ *   served   the provider showed the ad (recorded by watchAd / spin / dailyCheckIn)
+ *   no_fill  the provider had no ad       (reported by the client)
+ *   error    the provider failed to load  (reported by the client)
+ */
+const db = require('./repositories');
+const { getStorage } = require('./storage');
+const { acceptsPostbacks } = require('./adPostbacks');
+
+// Providers the mini app knows how to show (`label` is for the admin stats)
+const AD_PROVIDERS = {
+    gigapub: { label: 'GigaPub' },
+    adsgram: { label: 'Adsgram' },
+    monetag: { label: 'Monetag' },
+};
+
+const IMPRESSION_RESULTS = Object.freeze({
+    SERVED: 'served',
+    NO_FILL: 'no_fill',
+    ERROR: 'error',
+});
+
+const MAX_STATS_DAYS = 90;
+
+function isKnownProvider(provider) {
+    return Object.prototype.hasOwnProperty.call(AD_PROVIDERS, provider);
+}
+
+/**
+ * The waterfall the mini app gets: providers whose postbacks are not accepted (no adapter,
+ * such as Adsgram, or no configured secret; see lib/adPostbacks.js) are left out, since
+ * their ads could never be rewarded.
+ */
+function waterfallOrder(order) {
+    return order.filter(provider => isKnownProvider(provider) && acceptsPostbacks(provider));
+}
+
+/**
+ * The provider that served an ad. A postback from a known provider wins over
+ * what the client claims; returns null if neither names a known provider.
+ */
+function resolveProvider(claimedProvider, completion) {
+    if (completion && isKnownProvider(completion.network)) {
+        return completion.network;
+    }
+    return isKnownProvider(claimedProvider) ? claimedProvider : null;
+}
+
+/**
+ * Records the ad that unlocked an action. A missing provider (older clients) is not recorded.
+ */
+async function recordServed(userId, { provider, actionId, actionType, reward = 0 }) {
+    if (!provider) {
+        return null;
+    }
+    return db.adImpressions.create({
+        user_id: userId,
+        provider,
+        result: IMPRESSION_RESULTS.SERVED,
+        action_id: actionId,
+        action_type: actionType,
+        reward,
+    });
+}
+
+/**
+ * Records the providers that were skipped before an ad was served (or before the waterfall gave up).
+ * Reported once per unused action id issued to the user.
+ * attempts: [{ provider, result: 'no_fill' | 'error' }, ...]
+ */
+async function recordMisses(userId, actionId, actionType, attempts) {
+    if (!Array.isArray(attempts)) {
+        return { ok: false, reason: 'INVALID_ATTEMPTS', message: 'attempts must be a list.' };
+    }
+    if (!actionId || !await db.tempActions.find(userId, actionId, actionType)) {
+        return { ok: false, reason: 'UNKNOWN_ACTION', message: 'Invalid or previously used Server Token (Action ID).' };
+    }
+    if (await db.adImpressions.findByActionId(actionId)) {
+        return { ok: false, reason: 'ALREADY_REPORTED', message: 'Ad attempts for this action were already reported.' };
+    }
+
+    const misses = attempts
+        .slice(0, Object.keys(AD_PROVIDERS).length)
+        .filter(attempt => attempt && isKnownProvider(attempt.provider)
+            && (attempt.result === IMPRESSION_RESULTS.NO_FILL || attempt.result === IMPRESSION_RESULTS.ERROR))
+        .map(attempt => ({
+            user_id: userId,
+            provider: attempt.provider,
+            result: attempt.result,
+            action_id: actionId,
+            action_type: actionType,
+            reward: 0,
+        }));
+
+    if (misses.length > 0) {
+        await db.adImpressions.createMany(misses);
+    }
+    return { ok: true, recorded: misses.length };
+}
+
+/**
+ * Per-provider attempts, fills and rewards over the last `days` days.
+ */
+async function getStats(days = 7) {
+    const period = Math.min(Math.max(parseInt(days) || 7, 1), MAX_STATS_DAYS);
+    const since = new Date(Date.now() - period * 24 * 60 * 60 * 1000).toISOString();
+    const rows = await getStorage().rpc('ad_provider_stats', { p_since: since });
+
+    const providers = Object.entries(AD_PROVIDERS).map(([provider, { label }]) => {
+        const row = rows.find(r => r.provider === provider) || {};
+        const attempts = Number(row.attempts || 0);
+        const served = Number(row.served || 0);
+        return {
+            provider,
+            label,
+            attempts,
+            served,
+            no_fill: Number(row.no_fill || 0),
+            errors: Number(row.errors || 0),
+            fill_rate: attempts > 0 ? served / attempts : null,
+            ads_rewarded: Number(row.ads_rewarded || 0),
+            spins_unlocked: Number(row.spins_unlocked || 0),
+            streaks_restored: Number(row.streaks_restored || 0),
+            rewards_paid: Number(row.rewards_paid || 0),
+        };
+    });
+    return { days: period, since, providers };
+}
+
+module.exports = {
+    AD_PROVIDERS,
+    IMPRESSION_RESULTS,
+    isKnownProvider,
+    waterfallOrder,
+    resolveProvider,
+    recordServed,
+    recordMisses,
+    getStats,
+};
@@ -0,0 +1,201 @@
+// /lib/addressFormats.js
+
+/**
+ * Payout address formats
+ * Format checks for the withdrawal methods, including the checksums built into
+ * the addresses themselves:
+ *   EVM (BEP20 / ERC20)  0x + 40 hex digits; mixed case must match the EIP-55 checksum
+ *   TON                  user-friendly base64 (48 chars, CRC16 checksum) or raw "0:<hex>"
+ * Each validator returns the normalized address, or null if it is not valid.
+ */
+
+// ------------------------------------------------------------------
+// Keccak-256 (the pre-standard SHA-3 used by Ethereum; Node only ships SHA3-256)
+// ------------------------------------------------------------------
+
+const MASK_64 = (1n << 64n) - 1n;
+
+const ROUND_CONSTANTS = [
+    0x0000000000000001n, 0x0000000000008082n, 0x800000000000808An, 0x8000000080008000n,
+    0x000000000000808Bn, 0x0000000080000001n, 0x8000000080008081n, 0x8000000000008009n,
+    0x000000000000008An, 0x0000000000000088n, 0x0000000080008009n, 0x000000008000000An,
+    0x000000008000808Bn, 0x800000000000008Bn, 0x8000000000008089n, 0x8000000000008003n,
+    0x8000000000008002n, 0x8000000000000080n, 0x000000000000800An, 0x800000008000000An,
+    0x8000000080008081n, 0x8000000000008080n, 0x0000000080000001n, 0x8000000080008008n,
+];
+
+// Rotation offset of lane (x, y), indexed [x][y]
+const ROTATIONS = [
+    [0, 36, 3, 41, 18],
+    [1, 44, 10, 45, 2],
+    [62, 6, 43, 15, 61],
+    [28, 55, 25, 21, 56],
+    [27, 20, 39, 8, 14],
+];
+
+function rotateLeft(value, bits) {
+    const n = BigInt(bits);
+    return n === 0n ? value : ((value << n) | (value >> (64n - n))) & MASK_64;
+}
+
+/**
+ * Keccak-f[1600] on 25 lanes (lane x, y at index x + 5y).
+ */
+function keccakF(state) {
+    for (const roundConstant of ROUND_CONSTANTS) {
+        // θ
+        const parity = [0, 1, 2, 3, 4].map(x => state[x] ^ state[x + 5] ^ state[x + 10] ^ state[x + 15] ^ state[x + 20]);
+        for (let x = 0; x < 5; x++) {
+            const d = parity[(x + 4) % 5] ^ rotateLeft(parity[(x + 1) % 5], 1);
+            for (let y = 0; y < 25; y += 5) state[x + y] ^= d;
+        }
+        // ρ and π
+        const moved = new Array(25);
+        for (let x = 0; x < 5; x++) {
+            for (let y = 0; y < 5; y++) {
+                moved[y + 5 * ((2 * x + 3 * y) % 5)] = rotateLeft(state[x + 5 * y], ROTATIONS[x][y]);
+            }
+        }
+        // χ
+        for (let y = 0; y < 25; y += 5) {
+            for (let x = 0; x < 5; x++) {
+                state[x + y] = moved[x + y] ^ (~moved[(x + 1) % 5 + y] & MASK_64 & moved[(x + 2) % 5 + y]);
+            }
+        }
+        // ι
+        state[0] ^= roundConstant;
+    }
+}
+
+/**
+ * Keccak-256 digest of `data` (Buffer or string) as a Buffer.
+ */
+function keccak256(data) {
+    const RATE = 136;
+    const message = Buffer.from(data);
+    const padded = Buffer.alloc((Math.floor(message.length / RATE) + 1) * RATE);
+    message.copy(padded);
+    padded[message.length] ^= 0x01;
+    padded[padded.length - 1] ^= 0x80;
+
+    const state = new Array(25).fill(0n);
+    for (let offset = 0; offset < padded.length; offset += RATE) {
+        for (let lane = 0; lane < RATE / 8; lane++) {
+            state[lane] ^= padded.readBigUInt64LE(offset + lane * 8);
+        }
+        keccakF(state);
+    }
+
+    const digest = Buffer.alloc(32);
+    for (let lane = 0; lane < 4; lane++) {
+        digest.writeBigUInt64LE(state[lane], lane * 8);
+    }
+    return digest;
+}
+
+// ------------------------------------------------------------------
+// Validators
+// ------------------------------------------------------------------
+
+/**
+ * EIP-55 checksummed form of a 0x-prefixed, 40-hex-digit address.
+ */
+function toChecksumAddress(address) {
+    const hex = address.slice(2).toLowerCase();
+    const hash = keccak256(hex).toString('hex');
+    return '0x' + [...hex].map((char, i) => (parseInt(hash[i], 16) >= 8 ? char.toUpperCase() : char)).join('');
+}
+
+/**
+ * BEP20 / ERC20 address. All-lowercase or all-uppercase addresses carry no
+ * checksum; mixed case must be the EIP-55 checksum.
+ */
+function normalizeEvmAddress(input) {
+    if (typeof input !== 'string' || !/^0x[0-9a-fA-F]{40}$/.test(input.trim())) {
+        return null;
+    }
+    const address = input.trim();
+    const digits = address.slice(2);
+    const checksummed = toChecksumAddress(address);
+    if (digits !== digits.toLowerCase() && digits !== digits.toUpperCase() && address !== checksummed) {
+        return null;
+    }
+    return checksummed;
+}
+
+/**
+ * CRC-16/XMODEM, the checksum of user-friendly TON addresses.
+ */
+function crc16(bytes) {
+    let crc = 0;
+    for (const byte of bytes) {
+        crc ^= byte << 8;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff;
+        }
+    }
+    return crc;
+}
+
+const TON_BOUNCEABLE = 0x11;
+const TON_NON_BOUNCEABLE = 0x51;
+const TON_TEST_ONLY = 0x80;
+
+/**
+ * TON wallet address on the basechain (0) or masterchain (-1). Test-network
+ * addresses are refused.
+ */
+function normalizeTonAddress(input) {
+    if (typeof input !== 'string') {
+        return null;
+    }
+    const address = input.trim();
+
+    if (/^(0|-1):[0-9a-fA-F]{64}$/.test(address)) {
+        return address.toLowerCase();
+    }
+    if (!/^[A-Za-z0-9+/_-]{48}$/.test(address)) {
+        return null;
+    }
+
+    const bytes = Buffer.from(address.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+    if (bytes.length !== 36) {
+        return null;
+    }
+    const [tag, workchain] = bytes;
+    if (tag & TON_TEST_ONLY || (tag !== TON_BOUNCEABLE && tag !== TON_NON_BOUNCEABLE)) {
+        return null;
+    }
+    if (workchain !== 0x00 && workchain !== 0xff) {
+        return null;
+    }
+    return crc16(bytes.subarray(0, 34)) === bytes.readUInt16BE(34) ? address : null;
+}
+
+/**
+ * Binance Pay ID (the numeric id shown in the Binance app).
+ */
+function normalizeBinancePayId(input) {
+    const id = typeof input === 'string' || typeof input === 'number' ? String(input).trim() : '';
+    return /^\d{8,12}$/.test(id) ? id : null;
+}
+
+/**
+ * Email address (FaucetPay accounts are identified by their email).
+ */
+function normalizeEmail(input) {
+    if (typeof input !== 'string') {
+        return null;
+    }
+    const email = input.trim().toLowerCase();
+    return email.length <= 254 && /^[^\s@]{1,64}@[^\s@]+\.[^\s@]{2,}$/.test(email) ? email : null;
+}
+
+module.exports = {
+    keccak256,
+    toChecksumAddress,
+    normalizeEvmAddress,
+    normalizeTonAddress,
+    normalizeBinancePayId,
+    normalizeEmail,
+};
@@ -0,0 +1,132 @@
+// /lib/admin.js
+
+/**
+ * Admin access and user management
+ * Admins are identified by Telegram user id. The allowlist comes from the
+ * ADMIN_TELEGRAM_IDS environment variable (comma-separated) and is always
+ * checked against the user inside validated initData, never body.user_id.
+ * Every state-changing admin action is recorded in `admin_audit_log`.
+ */
+const crypto = require('crypto');
+const db = require('./repositories');
+const ledger = require('./ledger');
+
+const ADMIN_IDS = new Set(
+    (process.env.ADMIN_TELEGRAM_IDS || '')
+        .split(',')
+        .map(id => id.trim())
+        .filter(Boolean)
+);
+
+// Columns every ban check needs
+const BAN_COLUMNS = 'is_banned,ban_reason,ban_expires_at';
+
+function isAdmin(telegramId) {
+    return telegramId !== undefined && telegramId !== null && ADMIN_IDS.has(String(telegramId));
+}
+
+/**
+ * A ban is active while is_banned is set and its expiry (if any) is still in the future.
+ */
+function isBanActive(user) {
+    if (!user || !user.is_banned) {
+        return false;
+    }
+    return !user.ban_expires_at || new Date(user.ban_expires_at).getTime() > Date.now();
+}
+
+async function logAdminAction(adminId, action, targetUserId, details = {}) {
+    try {
+        await db.adminAuditLog.create({ admin_id: adminId, action, target_user_id: targetUserId, details });
+    } catch (error) {
+        // The action itself already happened; never hide it behind a logging failure
+        console.error(`Failed to write admin audit log (${action} by ${adminId}):`, error.message);
+    }
+}
+
+async function banUser(adminId, userId, reason, expiresAt = null) {
+    const user = await db.users.update(userId, {
+        is_banned: true,
+        ban_reason: reason,
+        banned_at: new Date().toISOString(),
+        banned_by: adminId,
+        ban_expires_at: expiresAt,
+    });
+    if (!user) {
+        return { ok: false, reason: 'NOT_FOUND', message: 'User not found.' };
+    }
+
+    await logAdminAction(adminId, 'ban_user', userId, { reason, expires_at: expiresAt });
+    return { ok: true, user };
+}
+
+async function unbanUser(adminId, userId, reason = null) {
+    const user = await db.users.update(userId, {
+        is_banned: false,
+        ban_reason: null,
+        banned_at: null,
+        banned_by: null,
+        ban_expires_at: null,
+    });
+    if (!user) {
+        return { ok: false, reason: 'NOT_FOUND', message: 'User not found.' };
+    }
+
+    await logAdminAction(adminId, 'unban_user', userId, { reason });
+    return { ok: true, user };
+}
+
+/**
+ * Manual balance correction, recorded as an `adjustment` ledger entry.
+ */
+async function adjustBalance(adminId, userId, amount, reason) {
+    const referenceId = `admin_${crypto.randomBytes(12).toString('hex')}`;
+    const result = await ledger.applyEntry(userId, ledger.ENTRY_TYPES.ADJUSTMENT, amount, referenceId,
+        { admin_id: adminId, reason });
+    if (!result.ok) {
+        return { ok: false, reason: result.reason === 'USER_NOT_FOUND' ? 'NOT_FOUND' : result.reason, message: result.message };
+    }
+
+    await logAdminAction(adminId, 'adjust_balance', userId, { amount, reason, ledger_entry_id: result.entry.id });
+    return { ok: true, entry: result.entry, new_balance: result.balance };
+}
+
+/**
+ * Everything support needs to look at a single user.
+ */
+async function getUserProfile(userId) {
+    const user = await db.users.findById(userId);
+    if (!user) {
+        return null;
+    }
+
+    const [referralsCount, referrals, withdrawals, spins, ledgerEntries, dailyUsage] = await Promise.all([
+        db.users.countReferrals(userId),
+        db.users.listReferrals(userId),
+        db.withdrawals.listByUser(userId),
+        db.spinResults.listByUser(userId),
+        ledger.getEntries(userId),
+        db.dailyUsage.listByUser(userId),
+    ]);
+
+    return {
+        user,
+        referrals_count: referralsCount,
+        referrals,
+        withdrawals,
+        spins,
+        ledger_entries: ledgerEntries,
+        daily_usage: dailyUsage,
+    };
+}
+
+module.exports = {
+    BAN_COLUMNS,
+    isAdmin,
+    isBanActive,
+    logAdminAction,
+    banUser,
+    unbanUser,
+    adjustBalance,
+    getUserProfile,
+};
@@ -0,0 +1,139 @@
+// /lib/auth.js
+
+/**
+ * Request authentication
+ * A user's identity always comes from Telegram initData (validated with the
+ * bot token) and never from the request body. After the first validation the
+ * API issues a short-lived signed session token, so an open mini app keeps
+ * working after its initData gets old:
+ *
+ *   token = base64url(JSON payload) + "." + base64url(HMAC_SHA256(secret, payload part))
+ *   payload = { sub: telegram user id, iat, exp, auth }   (auth = when initData was last checked)
+ *
+ * Tokens are refreshed once half their lifetime has passed, but only within
+ * SESSION_MAX_AGE_MS of the initData validation; after that the client has to
+ * present initData again.
+ */
+const crypto = require('crypto');
+
+const BOT_TOKEN = process.env.BOT_TOKEN;
+// Defaults to a key derived from the bot token, so no extra configuration is required
+const SESSION_SECRET = process.env.SESSION_SECRET
+    || (BOT_TOKEN ? crypto.createHmac('sha256', 'SessionToken').update(BOT_TOKEN).digest('hex') : null);
+
+// initData stays valid for Telegram's whole session, so only accept it while fresh;
+// an app kept open carries on with refreshed session tokens instead
+const INIT_DATA_MAX_AGE_MS = 20 * 60 * 1000;
+const SESSION_TTL_MS = 30 * 60 * 1000;
+const SESSION_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+function safeEqual(a, b) {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Validates Telegram initData and returns the Telegram user inside it, or null.
+ */
+function validateInitData(initData) {
+    if (!initData || !BOT_TOKEN) {
+        console.warn('Security Check Failed: initData or BOT_TOKEN is missing.');
+        return null;
+    }
+
+    const urlParams = new URLSearchParams(initData);
+    const hash = urlParams.get('hash');
+    urlParams.delete('hash');
+
+    const dataCheckString = Array.from(urlParams.entries())
+        .map(([key, value]) => `${key}=${value}`)
+        .sort()
+        .join('\n');
+
+    const secretKey = crypto.createHmac('sha256', 'WebAppData')
+        .update(BOT_TOKEN)
+        .digest();
+
+    const calculatedHash = crypto.createHmac('sha256', secretKey)
+        .update(dataCheckString)
+        .digest('hex');
+
+    if (!hash || !safeEqual(calculatedHash, hash)) {
+        console.warn('Security Check Failed: Hash mismatch.');
+        return null;
+    }
+
+    const authDate = parseInt(urlParams.get('auth_date')) * 1000;
+    if (!authDate) {
+        console.warn('Security Check Failed: auth_date is missing.');
+        return null;
+    }
+    if (Date.now() - authDate > INIT_DATA_MAX_AGE_MS) {
+        console.warn('Security Check Failed: Data expired.');
+        return null;
+    }
+
+    try {
+        const user = JSON.parse(urlParams.get('user'));
+        return user && Number.isSafeInteger(user.id) ? user : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function sign(payloadPart) {
+    return crypto.createHmac('sha256', SESSION_SECRET).update(payloadPart).digest('base64url');
+}
+
+/**
+ * Issues a session token for `userId`. `authenticatedAt` is carried over on refresh.
+ */
+function issueSessionToken(userId, authenticatedAt = Date.now()) {
+    if (!SESSION_SECRET) {
+        throw new Error('Session tokens need BOT_TOKEN or SESSION_SECRET.');
+    }
+    const now = Date.now();
+    const payload = { sub: userId, iat: now, exp: now + SESSION_TTL_MS, auth: authenticatedAt };
+    const payloadPart = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return { token: `${payloadPart}.${sign(payloadPart)}`, expires_at: new Date(payload.exp).toISOString() };
+}
+
+/**
+ * Returns the token's payload if its signature is valid and it has not expired, otherwise null.
+ */
+function verifySessionToken(token) {
+    if (typeof token !== 'string' || !SESSION_SECRET) {
+        return null;
+    }
+    const [payloadPart, signature, ...rest] = token.split('.');
+    if (!payloadPart || !signature || rest.length > 0 || !safeEqual(sign(payloadPart), signature)) {
+        return null;
+    }
+
+    try {
+        const payload = JSON.parse(Buffer.from(payloadPart, 'base64url').toString());
+        return Number.isSafeInteger(payload.sub) && payload.exp > Date.now() ? payload : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * A fresh token for a session past half its lifetime, or null if it does not need
+ * (or may no longer get) one.
+ */
+function refreshSessionToken(payload) {
+    const now = Date.now();
+    if (now - payload.iat < SESSION_TTL_MS / 2 || now - payload.auth > SESSION_MAX_AGE_MS) {
+        return null;
+    }
+    return issueSessionToken(payload.sub, payload.auth);
+}
+
+module.exports = {
+    validateInitData,
+    issueSessionToken,
+    verifySessionToken,
+    refreshSessionToken,
+};
@@ -0,0 +1,74 @@
+// /lib/bot.js
+
+/**
+ * Bot update handling (the webhook is api/bot.js)
+ * /start answers with a button that opens the mini app. An invite link
+ * (https://t.me/<bot>?start=ref_<id>) arrives as "/start ref_<id>"; the
+ * payload is carried through to the app, which registers the new user with
+ * that referrer. Other updates are ignored.
+ */
+const db = require('./repositories');
+const telegram = require('./telegram');
+
+const REF_PAYLOAD = /^ref_\d{1,15}$/;
+const OPEN_APP_LABEL = '🚀 Open app';
+
+/**
+ * "/start@MyBot ref_1" -> { command: 'start', payload: 'ref_1' }, or null for plain text.
+ */
+function parseCommand(text) {
+    const match = /^\/(\w+)(?:@\w+)?(?:\s+(\S+))?/.exec(text.trim());
+    return match ? { command: match[1].toLowerCase(), payload: match[2] || null } : null;
+}
+
+async function handleStart(message, payload) {
+    const from = message.from;
+    // Only referral payloads are passed on, and never a user's own link
+    const startParam = payload && REF_PAYLOAD.test(payload) && payload !== `ref_${from.id}` ? payload : null;
+
+    // Starting the bot (again) allows it to message the user
+    const user = await db.users.findById(from.id, 'id');
+    if (user) {
+        await db.users.update(from.id, { bot_started_at: new Date().toISOString(), bot_blocked_at: null });
+    }
+
+    const markup = telegram.openAppMarkup(OPEN_APP_LABEL, startParam);
+    if (!markup.reply_markup) {
+        console.warn('MINI_APP_URL is not configured; /start is answered without an app button.');
+    }
+
+    const name = from.first_name || 'there';
+    const text = user
+        ? `👋 Welcome back, ${name}! Your ads, spins and rewards are waiting.`
+        : `👋 Hi ${name}! Watch ads, spin the wheel and invite friends to earn SHIB.\nTap the button below to start.`;
+    await telegram.getTelegramClient().sendMessage(message.chat.id, text, markup);
+
+    return { handled: true, command: 'start', start_param: startParam };
+}
+
+/**
+ * Handles one update from the Bot API. Resolves with { handled, ... }.
+ */
+async function handleUpdate(update) {
+    const message = update && update.message;
+    if (!message || !message.from || !message.chat || message.chat.type !== 'private' || typeof message.text !== 'string') {
+        return { handled: false };
+    }
+
+    const parsed = parseCommand(message.text);
+    if (!parsed) {
+        return { handled: false };
+    }
+
+    switch (parsed.command) {
+        case 'start':
+            return handleStart(message, parsed.payload);
+        default:
+            return { handled: false };
+    }
+}
+
+module.exports = {
+    parseCommand,
+    handleUpdate,
+};
@@ -0,0 +1,136 @@
+// /lib/checkIns.js
+
+/**
+ * Daily check-in streaks
+ * A user can check in once per calendar day (the same day used for the daily
+ * limits). Consecutive days build a streak whose bonus follows the
+ * `check_in_rewards` setting (day 1, day 2, ...) and starts over once the
+ * cycle is complete. Missing a day resets the streak; if exactly one day was
+ * missed, the streak can be restored by watching an ad before checking in.
+ *
+ * Each bonus is a ledger entry referenced by the day, so a day can never be
+ * paid twice. `check_ins` keeps one row per checked-in (or restored) day with
+ * the streak reached on it.
+ */
+const db = require('./repositories');
+const ledger = require('./ledger');
+const settings = require('./settings');
+const dailyLimits = require('./dailyLimits');
+
+/**
+ * The streak to display and continue from, as of `period.day`.
+ */
+function describeStreak(last, period) {
+    const yesterday = dailyLimits.shiftDay(period.day, -1);
+    const lastDay = last ? last.day : null;
+    return {
+        checkedInToday: lastDay === period.day,
+        // A streak survives until the end of the day after its last check-in
+        streak: lastDay === period.day || lastDay === yesterday ? last.streak : 0,
+        // Exactly one missed day (yesterday) can be restored
+        restorableStreak: last && lastDay === dailyLimits.shiftDay(period.day, -2) ? last.streak : 0,
+    };
+}
+
+function rewardFor(streak, rewards) {
+    return rewards[(streak - 1) % rewards.length];
+}
+
+/**
+ * Streak and calendar for the mini app.
+ * cycle: one entry per day of the current reward cycle, status 'claimed' | 'today' | 'upcoming'.
+ */
+async function getState(user, now = Date.now()) {
+    const [config, period, last] = await Promise.all([
+        settings.getAll(),
+        dailyLimits.getPeriod(user, now),
+        db.checkIns.findLatest(user.id),
+    ]);
+    const rewards = config.check_in_rewards;
+    const { checkedInToday, streak, restorableStreak } = describeStreak(last, period);
+
+    // Position in the cycle of today's check-in (done or still to do)
+    const todayStreak = checkedInToday ? streak : streak + 1;
+    const position = (todayStreak - 1) % rewards.length;
+
+    return {
+        day: period.day,
+        streak,
+        checked_in_today: checkedInToday,
+        // Today's bonus, or tomorrow's once today is done
+        next_reward: rewardFor(streak + 1, rewards),
+        restore_available: config.check_in_restore_enabled && !checkedInToday && restorableStreak > 0,
+        restorable_streak: checkedInToday ? 0 : restorableStreak,
+        resets_at: period.resets_at,
+        cycle: rewards.map((reward, index) => ({
+            day: index + 1,
+            reward,
+            status: index < position || (index === position && checkedInToday)
+                ? 'claimed'
+                : index === position ? 'today' : 'upcoming',
+        })),
+    };
+}
+
+/**
+ * Whether the user can restore a streak right now (checked before an ad is spent on it).
+ */
+async function canRestore(user) {
+    return (await getState(user)).restore_available;
+}
+
+/**
+ * Checks the user in for today and pays the streak bonus.
+ * restore: first fill in the missed day (the caller verified the ad for it).
+ */
+async function checkIn(user, { restore = false } = {}) {
+    const [config, period, last] = await Promise.all([
+        settings.getAll(),
+        dailyLimits.getPeriod(user),
+        db.checkIns.findLatest(user.id),
+    ]);
+    const { checkedInToday, streak, restorableStreak } = describeStreak(last, period);
+
+    if (checkedInToday) {
+        return { ok: false, reason: 'ALREADY_CHECKED_IN', message: 'You have already checked in today.' };
+    }
+    if (restore && !(config.check_in_restore_enabled && restorableStreak > 0)) {
+        return { ok: false, reason: 'RESTORE_UNAVAILABLE', message: 'There is no streak to restore.' };
+    }
+
+    const previousStreak = restore ? restorableStreak + 1 : streak;
+    const newStreak = previousStreak + 1;
+    const reward = rewardFor(newStreak, config.check_in_rewards);
+
+    // The ledger reference makes the day's bonus single-use, even for concurrent requests
+    const entry = await ledger.credit(user.id, ledger.ENTRY_TYPES.CHECK_IN_BONUS, reward, `check_in:${period.day}`, {
+        streak: newStreak,
+        restored: restore,
+    });
+    if (!entry.ok) {
+        if (entry.reason === 'DUPLICATE_REFERENCE') {
+            return { ok: false, reason: 'ALREADY_CHECKED_IN', message: 'You have already checked in today.' };
+        }
+        return entry;
+    }
+
+    if (restore) {
+        await db.checkIns.create({
+            user_id: user.id,
+            day: dailyLimits.shiftDay(period.day, -1),
+            streak: previousStreak,
+            reward: 0,
+            restored: true,
+        });
+    }
+    await db.checkIns.create({ user_id: user.id, day: period.day, streak: newStreak, reward, restored: false });
+    await dailyLimits.recordUsage(user.id, period.day, { earned: reward });
+
+    return { ok: true, reward, streak: newStreak, balance: entry.balance, state: await getState(user) };
+}
+
+module.exports = {
+    getState,
+    canRestore,
+    checkIn,
+};
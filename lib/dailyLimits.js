@@ -0,0 +1,125 @@
+// /lib/dailyLimits.js
+
+/**
+ * Calendar-based daily limits
+ * A user's day is a calendar date (UTC, or the user's own timezone when the
+ * `daily_reset_timezone` setting is 'user'), so counters reset at midnight no
+ * matter how active the user is. Ads, spins and earnings for each day are kept
+ * in `daily_usage`; the `record_daily_usage` database function increments them
+ * atomically and refuses increments past the daily maximum.
+ */
+const { getStorage } = require('./storage');
+const db = require('./repositories');
+const settings = require('./settings');
+
+const DEFAULT_TIMEZONE = 'UTC';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isValidTimezone(timezone) {
+    if (typeof timezone !== 'string' || timezone.length === 0 || timezone.length > 64) {
+        return false;
+    }
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Calendar date ('YYYY-MM-DD') of `instant` in `timezone`.
+ */
+function dayKey(instant, timezone) {
+    // en-CA formats dates as YYYY-MM-DD
+    return new Intl.DateTimeFormat('en-CA', {
+        timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit',
+    }).format(instant);
+}
+
+/**
+ * The calendar date `days` days after `day` (negative for earlier days).
+ */
+function shiftDay(day, days) {
+    return dayKey(Date.parse(`${day}T12:00:00Z`) + days * DAY_MS, 'UTC');
+}
+
+/**
+ * How far `timezone` is ahead of UTC at `instant`, in milliseconds.
+ */
+function timezoneOffsetMs(instant, timezone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone, hourCycle: 'h23',
+        year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+    }).formatToParts(instant).map(part => [part.type, part.value]));
+
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(instant / 1000) * 1000;
+}
+
+/**
+ * The instant `day` starts in `timezone` (second pass corrects for DST changes).
+ */
+function startOfDay(day, timezone) {
+    const utcMidnight = Date.parse(`${day}T00:00:00Z`);
+    const guess = utcMidnight - timezoneOffsetMs(utcMidnight, timezone);
+    return utcMidnight - timezoneOffsetMs(guess, timezone);
+}
+
+/**
+ * The user's current period: { day, timezone, resets_at }.
+ */
+async function getPeriod(user, now = Date.now()) {
+    const mode = await settings.get('daily_reset_timezone');
+    const timezone = mode === 'user' && user && isValidTimezone(user.timezone) ? user.timezone : DEFAULT_TIMEZONE;
+
+    const day = dayKey(now, timezone);
+    const nextDay = shiftDay(day, 1);
+    return { day, timezone, resets_at: new Date(startOfDay(nextDay, timezone)).toISOString() };
+}
+
+function toUsage(row, day) {
+    return {
+        day,
+        ads_watched: row ? Number(row.ads_watched) : 0,
+        spins: row ? Number(row.spins) : 0,
+        earned: row ? Number(row.earned) : 0,
+    };
+}
+
+async function getUsage(userId, day) {
+    return toUsage(await db.dailyUsage.find(userId, day), day);
+}
+
+/**
+ * Adds ads, spins and/or earnings to the user's day. `limits` ({ maxAds, maxSpins })
+ * makes the increment fail with DAILY_LIMIT_REACHED instead of passing the maximum.
+ */
+async function recordUsage(userId, day, { ads = 0, spins = 0, earned = 0 } = {}, { maxAds = null, maxSpins = null } = {}) {
+    try {
+        const rows = await getStorage().rpc('record_daily_usage', {
+            p_user_id: userId,
+            p_day: day,
+            p_ads: ads,
+            p_spins: spins,
+            p_earned: earned,
+            p_max_ads: maxAds,
+            p_max_spins: maxSpins,
+        });
+        return { ok: true, usage: toUsage(rows[0], day) };
+    } catch (error) {
+        if (error.message.includes('DAILY_LIMIT_REACHED')) {
+            return { ok: false, reason: 'DAILY_LIMIT_REACHED', message: 'Daily limit reached.' };
+        }
+        throw error;
+    }
+}
+
+module.exports = {
+    isValidTimezone,
+    dayKey,
+    shiftDay,
+    getPeriod,
+    getUsage,
+    recordUsage,
+};
@@ -0,0 +1,70 @@
+// /lib/errors.js
+
+/**
+ * API error codes
+ * Every error response is { ok: false, error, code, details? }: `code` is
+ * stable and is what the mini app switches on, `error` is a message for
+ * people and may change. Subsystem results ({ ok: false, reason, message })
+ * are sent with their reason as the code.
+ */
+
+// HTTP status of each code; codes without an entry are a 409 Conflict
+const ERROR_STATUS = {
+    // Request
+    INVALID_REQUEST: 400,      // body is not JSON or has no type
+    UNKNOWN_TYPE: 400,
+    INVALID_PAYLOAD: 400,      // a field failed the request type's schema (details.field)
+    METHOD_NOT_ALLOWED: 405,
+    RATE_LIMITED: 429,         // details: { scope, retry_after_ms }; also sent as Retry-After
+    INTERNAL_ERROR: 500,
+
+    // Identity and access
+    UNAUTHORIZED: 401,         // initData / session token missing, invalid or expired
+    INIT_DATA_REQUIRED: 400,
+    ADMIN_REQUIRED: 403,
+    BANNED: 403,               // details: { ban_reason, ban_expires_at }
+    NOT_FOUND: 404,
+    USER_NOT_FOUND: 404,       // lib/ledger.js
+
+    // Action IDs and ads (see api/index.js)
+    TOKEN_INVALID: 409,        // unknown or already used Action ID
+    TOKEN_EXPIRED: 408,
+    AD_NOT_VERIFIED: 425,      // the ad network's postback has not arrived yet: retry
+    AD_ALREADY_USED: 409,
+    DAILY_LIMIT: 403,          // details: { limit }
+
+    // Balances and withdrawals (lib/ledger.js, lib/withdrawalMethods.js, lib/withdrawalRisk.js)
+    INSUFFICIENT_BALANCE: 400,
+    INVALID_METHOD: 400,
+    INVALID_ADDRESS: 400,
+    INVALID_AMOUNT: 400,
+    ACCOUNT_TOO_NEW: 403,
+    NOT_ENOUGH_ADS: 403,
+    PENDING_WITHDRAWAL: 409,
+    COOLDOWN: 429,
+    DAILY_CAP: 429,
+    WEEKLY_CAP: 429,
+
+    // Tasks (lib/tasks.js)
+    NOT_VERIFIED: 403,
+    VERIFICATION_FAILED: 502,
+    SOLD_OUT: 410,
+
+    // Invalid input caught by a subsystem
+    INVALID_QUERY: 400,
+    INVALID_ATTEMPTS: 400,
+    INVALID_WHEEL: 400,
+    INVALID_SETTING: 400,
+    INVALID_TASK: 400,
+    INVALID_LEADERBOARD: 400,
+    INVALID_DECISION: 400,
+};
+
+function statusFor(code) {
+    return ERROR_STATUS[code] || 409;
+}
+
+module.exports = {
+    ERROR_STATUS,
+    statusFor,
+};
@@ -0,0 +1,160 @@
+// /lib/fairness.js
+
+/**
+ * Provably fair spins (commit-reveal)
+ *
+ * Each user has one active seed pair: a secret server seed, published only as
+ * its SHA-256 hash, and a client seed the user may choose. Spin number `nonce`
+ * of that pair lands on:
+ *
+ *   hmac  = HMAC_SHA256(key = server_seed, message = `${client_seed}:${nonce}`)
+ *   roll  = first 8 hex chars of hmac as an integer / 2^32     (0 <= roll < 1)
+ *   index = first sector whose cumulative weight exceeds roll * total_weight
+ *
+ * Rotating the pair reveals the old server seed, so every spin made with it
+ * can be recomputed and checked against the hash committed before the spin.
+ */
+const crypto = require('crypto');
+const db = require('./repositories');
+const wheel = require('./wheel');
+
+const CLIENT_SEED_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const MAX_NONCE_RETRIES = 5;
+
+function randomSeed(bytes) {
+    return crypto.randomBytes(bytes).toString('hex');
+}
+
+function hashServerSeed(serverSeed) {
+    return crypto.createHash('sha256').update(serverSeed).digest('hex');
+}
+
+function isValidClientSeed(clientSeed) {
+    return typeof clientSeed === 'string' && CLIENT_SEED_PATTERN.test(clientSeed);
+}
+
+function computeRoll(serverSeed, clientSeed, nonce) {
+    const hmac = crypto.createHmac('sha256', serverSeed).update(`${clientSeed}:${nonce}`).digest('hex');
+    return parseInt(hmac.slice(0, 8), 16) / 0x100000000;
+}
+
+/**
+ * Public view of a seed pair. The server seed is only included once revealed.
+ */
+function toPublicSeedPair(pair) {
+    return {
+        id: pair.id,
+        server_seed_hash: pair.server_seed_hash,
+        client_seed: pair.client_seed,
+        nonce: pair.nonce,
+        server_seed: pair.active ? undefined : pair.server_seed,
+        revealed_at: pair.revealed_at || null,
+    };
+}
+
+async function createSeedPair(userId, clientSeed = randomSeed(8)) {
+    const serverSeed = randomSeed(32);
+    return db.spinSeeds.create({
+        user_id: userId,
+        server_seed: serverSeed,
+        server_seed_hash: hashServerSeed(serverSeed),
+        client_seed: clientSeed,
+        nonce: 0,
+        active: true,
+    });
+}
+
+async function getActiveSeedPair(userId) {
+    const pair = await db.spinSeeds.findActive(userId);
+    return pair || createSeedPair(userId);
+}
+
+/**
+ * Reveals the active server seed and starts a new pair (optionally with a new client seed).
+ */
+async function rotateSeedPair(userId, clientSeed) {
+    const current = await getActiveSeedPair(userId);
+    const revealed = await db.spinSeeds.reveal(current.id);
+    const next = await createSeedPair(userId, clientSeed || randomSeed(8));
+
+    return {
+        previous: toPublicSeedPair(revealed || { ...current, active: false }),
+        current: toPublicSeedPair(next),
+    };
+}
+
+/**
+ * Draws the next outcome for the user and advances the nonce.
+ * The nonce is claimed with a compare-and-set, so concurrent spins never share one.
+ */
+async function drawSpinOutcome(userId, sectors) {
+    for (let attempt = 0; attempt < MAX_NONCE_RETRIES; attempt++) {
+        const pair = await getActiveSeedPair(userId);
+        const claimed = await db.spinSeeds.advanceNonce(pair.id, pair.nonce);
+        if (!claimed) continue;
+
+        const roll = computeRoll(pair.server_seed, pair.client_seed, pair.nonce);
+        return {
+            roll,
+            index: wheel.pickWeightedIndex(roll, sectors),
+            seed_pair_id: pair.id,
+            server_seed_hash: pair.server_seed_hash,
+            client_seed: pair.client_seed,
+            nonce: pair.nonce,
+        };
+    }
+    throw new Error('Could not reserve a spin nonce. Please try again.');
+}
+
+/**
+ * Recomputes a stored spin. Only possible after its seed pair has been rotated.
+ */
+async function verifyStoredSpin(spinResultId) {
+    const spin = await db.spinResults.findById(spinResultId);
+    if (!spin || !spin.seed_pair_id) {
+        return { ok: false, reason: 'NOT_FOUND', message: 'Spin result not found or not provably fair.' };
+    }
+
+    const [pair, spinWheel] = await Promise.all([
+        db.spinSeeds.findById(spin.seed_pair_id),
+        wheel.getWheelById(spin.wheel_config_id),
+    ]);
+    const base = {
+        spin_result_id: spin.id,
+        prize: spin.prize,
+        prize_index: spin.prize_index,
+        server_seed_hash: spin.server_seed_hash,
+        client_seed: spin.client_seed,
+        nonce: spin.nonce,
+        created_at: spin.created_at,
+        wheel: spinWheel ? wheel.toPublicWheel(spinWheel) : null,
+    };
+
+    if (!pair || pair.active) {
+        return { ok: true, revealed: false, ...base };
+    }
+
+    const roll = computeRoll(pair.server_seed, spin.client_seed, spin.nonce);
+    const index = spinWheel ? wheel.pickWeightedIndex(roll, spinWheel.sectors) : null;
+    return {
+        ok: true,
+        revealed: true,
+        ...base,
+        server_seed: pair.server_seed,
+        hash_matches: hashServerSeed(pair.server_seed) === spin.server_seed_hash,
+        computed_index: index,
+        index_matches: index === spin.prize_index,
+    };
+}
+
+module.exports = {
+    hashServerSeed,
+    CLIENT_SEED_PATTERN,
+    isValidClientSeed,
+    computeRoll,
+    toPublicSeedPair,
+    getActiveSeedPair,
+    rotateSeedPair,
+    drawSpinOutcome,
+    verifyStoredSpin,
+};
@@ -0,0 +1,338 @@
+// /lib/fraud.js
+
+/**
+ * Multi-account and self-referral detection
+ * Every app start records the request IP and a device fingerprint computed by
+ * the mini app (`user_sessions`). Heuristics over those sessions, the referral
+ * tree and the ad history add up to a risk score from 0 to 100:
+ *
+ *   REFERRER_SAME_DEVICE     the user shares a device with their referrer
+ *   REFERRER_SAME_NETWORK    the user shares an IP with their referrer
+ *   SHARED_DEVICE            other accounts were used on the user's device
+ *   REFEREES_SAME_DEVICE     referees signed in on the referrer's own device
+ *   REFEREES_SAME_NETWORK    several referees share the referrer's IP
+ *   REFERRAL_BURST           many referees signed up within a short window
+ *   INACTIVE_REFEREES        most referees never watched an ad
+ *   REGULAR_AD_TIMING        ads rewarded at near-constant intervals (automation)
+ *
+ * A score of at least `fraud_hold_score` puts the user on a risk hold: referral
+ * commissions involving them are withheld (`held_commissions`) and their
+ * withdrawals wait for review. Only an admin lifts a hold, either releasing the
+ * held commissions or banning the user, which forfeits them.
+ */
+const db = require('./repositories');
+const ledger = require('./ledger');
+const settings = require('./settings');
+const { BAN_COLUMNS, isBanActive, banUser, logAdminAction } = require('./admin');
+
+const SIGNAL_POINTS = {
+    REFERRER_SAME_DEVICE: 45,
+    REFERRER_SAME_NETWORK: 25,
+    SHARED_DEVICE: 20,
+    REFEREES_SAME_DEVICE: 40,
+    REFEREES_SAME_NETWORK: 20,
+    REFERRAL_BURST: 30,
+    INACTIVE_REFEREES: 25,
+    REGULAR_AD_TIMING: 35,
+};
+
+const MAX_SCORE = 100;
+
+const RECENT_REFEREES = 100;
+const BURST_SIZE = 5;
+const BURST_WINDOW_MS = 60 * 60 * 1000;
+const INACTIVE_MIN_REFEREES = 5;
+const INACTIVE_MIN_AGE_MS = 48 * 60 * 60 * 1000;
+const INACTIVE_SHARE = 0.8;
+const NETWORK_MIN_REFEREES = 2;
+const AD_TIMING_SAMPLE = 21;
+const AD_TIMING_MIN_INTERVALS = 10;
+// Standard deviation below this fraction of the mean interval counts as machine-like
+const AD_TIMING_MAX_VARIATION = 0.1;
+
+const FINGERPRINT_PATTERN = /^[0-9a-f]{64}$/;
+
+// ------------------------------------------------------------------
+// Sessions
+// ------------------------------------------------------------------
+
+/**
+ * Records the IP and device a user started the app from. Unknown values are
+ * stored as '' (the fingerprint must be a SHA-256 hex digest).
+ */
+async function recordSession(userId, { ip, fingerprint, userAgent }) {
+    await db.userSessions.record({
+        user_id: userId,
+        ip: typeof ip === 'string' ? ip.slice(0, 64) : '',
+        fingerprint: typeof fingerprint === 'string' && FINGERPRINT_PATTERN.test(fingerprint) ? fingerprint : '',
+        user_agent: typeof userAgent === 'string' ? userAgent.slice(0, 256) : null,
+        last_seen_at: new Date().toISOString(),
+    });
+}
+
+function distinct(values) {
+    return [...new Set(values.filter(Boolean))];
+}
+
+// ------------------------------------------------------------------
+// Heuristics
+// ------------------------------------------------------------------
+
+function signal(code, detail) {
+    return { code, points: SIGNAL_POINTS[code], detail };
+}
+
+/**
+ * Links between the user and their referrer, and accounts sharing the user's device.
+ */
+async function accountSignals(user, ownSessions) {
+    const signals = [];
+    const fingerprints = distinct(ownSessions.map(s => s.fingerprint));
+    const ips = distinct(ownSessions.map(s => s.ip));
+
+    if (user.ref_by) {
+        const referrerSessions = await db.userSessions.listByUsers([user.ref_by]);
+        if (referrerSessions.some(s => s.fingerprint && fingerprints.includes(s.fingerprint))) {
+            signals.push(signal('REFERRER_SAME_DEVICE', `Same device as referrer ${user.ref_by}`));
+        }
+        if (referrerSessions.some(s => s.ip && ips.includes(s.ip))) {
+            signals.push(signal('REFERRER_SAME_NETWORK', `Same IP as referrer ${user.ref_by}`));
+        }
+    }
+
+    const others = distinct((await db.userSessions.listMatching({ fingerprints }))
+        .filter(s => Number(s.user_id) !== Number(user.id))
+        .map(s => Number(s.user_id)));
+    if (others.length > 0) {
+        signals.push(signal('SHARED_DEVICE', `Device also used by ${others.length} other account(s): ${others.slice(0, 10).join(', ')}`));
+    }
+
+    return signals;
+}
+
+/**
+ * Patterns among the people the user invited.
+ */
+async function referralSignals(user, ownSessions, now) {
+    const signals = [];
+    const referees = await db.users.listRecentReferees(user.id, RECENT_REFEREES);
+    if (referees.length === 0) {
+        return signals;
+    }
+
+    // 1. Referees on the referrer's own device or network
+    const refereeSessions = await db.userSessions.listByUsers(referees.map(r => r.id));
+    const fingerprints = distinct(ownSessions.map(s => s.fingerprint));
+    const ips = distinct(ownSessions.map(s => s.ip));
+    const onDevice = distinct(refereeSessions.filter(s => s.fingerprint && fingerprints.includes(s.fingerprint)).map(s => Number(s.user_id)));
+    const onNetwork = distinct(refereeSessions.filter(s => s.ip && ips.includes(s.ip)).map(s => Number(s.user_id)));
+    if (onDevice.length > 0) {
+        signals.push(signal('REFEREES_SAME_DEVICE', `${onDevice.length} referee(s) used the referrer's device`));
+    }
+    if (onNetwork.length >= NETWORK_MIN_REFEREES) {
+        signals.push(signal('REFEREES_SAME_NETWORK', `${onNetwork.length} referees share the referrer's IP`));
+    }
+
+    // 2. Sign-up bursts: BURST_SIZE referees within BURST_WINDOW_MS
+    const joinedAt = referees.map(r => Date.parse(r.created_at)).filter(Number.isFinite).sort((a, b) => a - b);
+    for (let i = 0; i + BURST_SIZE - 1 < joinedAt.length; i++) {
+        if (joinedAt[i + BURST_SIZE - 1] - joinedAt[i] <= BURST_WINDOW_MS) {
+            signals.push(signal('REFERRAL_BURST', `${BURST_SIZE} referees signed up within ${BURST_WINDOW_MS / 60000} minutes`));
+            break;
+        }
+    }
+
+    // 3. Referees who never watched an ad (only those who had time to)
+    const settled = referees.filter(r => now - Date.parse(r.created_at) >= INACTIVE_MIN_AGE_MS);
+    if (settled.length >= INACTIVE_MIN_REFEREES) {
+        const inactive = await db.ledgerEntries.countUsersWithout(settled.map(r => Number(r.id)), ledger.ENTRY_TYPES.AD_REWARD);
+        if (inactive / settled.length >= INACTIVE_SHARE) {
+            signals.push(signal('INACTIVE_REFEREES', `${inactive} of ${settled.length} referees never watched an ad`));
+        }
+    }
+
+    return signals;
+}
+
+/**
+ * Ad rewards spaced too evenly for a person.
+ */
+async function adTimingSignals(user) {
+    const rewards = await db.ledgerEntries.listTimesByType(user.id, ledger.ENTRY_TYPES.AD_REWARD, AD_TIMING_SAMPLE);
+    const times = rewards.map(r => Date.parse(r.created_at)).sort((a, b) => a - b);
+    const intervals = times.slice(1).map((time, i) => time - times[i]);
+    if (intervals.length < AD_TIMING_MIN_INTERVALS) {
+        return [];
+    }
+
+    const mean = intervals.reduce((sum, value) => sum + value, 0) / intervals.length;
+    const deviation = Math.sqrt(intervals.reduce((sum, value) => sum + (value - mean) ** 2, 0) / intervals.length);
+    if (mean <= 0 || deviation / mean >= AD_TIMING_MAX_VARIATION) {
+        return [];
+    }
+    return [signal('REGULAR_AD_TIMING', `Last ${intervals.length} ad intervals: ${Math.round(mean / 1000)}s ± ${Math.round(deviation / 1000)}s`)];
+}
+
+// ------------------------------------------------------------------
+// Scoring and holds
+// ------------------------------------------------------------------
+
+/**
+ * Recomputes the user's risk score and puts them on hold once it reaches
+ * `fraud_hold_score`. A hold an admin released only returns if the score rises
+ * above the score it was released at. Returns { score, signals, held } or null
+ * for unknown users.
+ */
+async function evaluateUser(userId, now = Date.now()) {
+    const user = await db.users.findById(userId, 'id,ref_by,risk_hold,risk_cleared_score');
+    if (!user) {
+        return null;
+    }
+
+    const ownSessions = await db.userSessions.listByUsers([user.id]);
+    const signals = [
+        ...await accountSignals(user, ownSessions),
+        ...await referralSignals(user, ownSessions, now),
+        ...await adTimingSignals(user),
+    ];
+    const score = Math.min(signals.reduce((sum, s) => sum + s.points, 0), MAX_SCORE);
+
+    const patch = { risk_score: score, risk_signals: signals, risk_evaluated_at: new Date(now).toISOString() };
+    const threshold = await settings.get('fraud_hold_score');
+    const clearedScore = user.risk_cleared_score === null || user.risk_cleared_score === undefined ? -1 : user.risk_cleared_score;
+    if (!user.risk_hold && threshold > 0 && score >= threshold && score > clearedScore) {
+        patch.risk_hold = true;
+        patch.risk_held_at = patch.risk_evaluated_at;
+        console.warn(`User ${user.id} put on risk hold (score ${score}: ${signals.map(s => s.code).join(', ')})`);
+    }
+    await db.users.update(user.id, patch);
+
+    return { score, signals, held: Boolean(user.risk_hold || patch.risk_hold) };
+}
+
+/**
+ * evaluateUser for a list of users; failures are logged, never thrown.
+ */
+async function evaluateUsers(userIds) {
+    for (const userId of distinct(userIds)) {
+        await evaluateUser(userId)
+            .catch(error => console.error(`Risk evaluation for user ${userId} failed:`, error.message));
+    }
+}
+
+// ------------------------------------------------------------------
+// Held commissions
+// ------------------------------------------------------------------
+
+/**
+ * Pays a held commission now: the commission_history record and the ledger credit
+ * it would have had. The compare-and-set on the held row makes this single-use.
+ */
+async function releaseCommission(row) {
+    const resolvedAt = new Date().toISOString();
+    if (!await db.heldCommissions.resolve(row.id, { status: 'released', resolved_at: resolvedAt })) {
+        return false;
+    }
+
+    const record = await db.commissionHistory.create({
+        referrer_id: row.referrer_id,
+        referee_id: row.referee_id,
+        amount: row.amount,
+        source_reward: row.source_reward,
+        source_type: row.source_type,
+        source_reference: row.source_reference,
+        tier: row.tier,
+    });
+    const entry = await ledger.credit(row.referrer_id, ledger.ENTRY_TYPES.REFERRAL_COMMISSION, Number(row.amount), record.id,
+        { referee_id: row.referee_id, tier: row.tier, source_type: row.source_type, held_commission_id: row.id });
+    if (!entry.ok) {
+        console.warn(`Released commission ${row.id} for referrer ${row.referrer_id} not credited: ${entry.message}`);
+    }
+    return entry.ok;
+}
+
+async function listHeldInvolving(userId) {
+    const [asReferrer, asReferee] = await Promise.all([
+        db.heldCommissions.listHeld({ referrerId: userId }),
+        db.heldCommissions.listHeld({ refereeId: userId }),
+    ]);
+    return [...asReferrer, ...asReferee];
+}
+
+// ------------------------------------------------------------------
+// Admin review
+// ------------------------------------------------------------------
+
+const REVIEW_DECISIONS = ['release', 'ban'];
+
+/**
+ * Users on hold (or, with held: 'all', every user with a score), highest score first,
+ * with the total of the commissions withheld from them.
+ */
+async function listForReview({ held = true, min_score: minScore, limit = 50, offset = 0 } = {}) {
+    const rows = await db.users.listByRisk({
+        held: held === 'all' ? undefined : Boolean(held),
+        minScore: minScore !== undefined ? parseInt(minScore) : 1,
+        limit,
+        offset,
+    });
+
+    for (const row of rows) {
+        const withheld = await db.heldCommissions.listHeld({ referrerId: row.id });
+        row.held_commissions = withheld.reduce((sum, c) => sum + Number(c.amount), 0);
+    }
+    return rows;
+}
+
+/**
+ * Lifts a user's hold. 'release' pays out the commissions held on their account
+ * (those not still blocked by the other party's hold); 'ban' bans the user and
+ * forfeits them.
+ */
+async function resolveHold(adminId, userId, decision, reason = null) {
+    if (!REVIEW_DECISIONS.includes(decision)) {
+        return { ok: false, reason: 'INVALID_DECISION', message: `decision must be one of: ${REVIEW_DECISIONS.join(', ')}.` };
+    }
+    const user = await db.users.findById(userId, `id,risk_score,risk_hold,${BAN_COLUMNS}`);
+    if (!user) {
+        return { ok: false, reason: 'NOT_FOUND', message: 'User not found.' };
+    }
+
+    const held = await listHeldInvolving(user.id);
+    let released = 0;
+    let forfeited = 0;
+
+    if (decision === 'ban') {
+        if (!isBanActive(user)) {
+            const banned = await banUser(adminId, user.id, reason || 'Fraud review');
+            if (!banned.ok) return banned;
+        }
+        for (const row of held) {
+            if (await db.heldCommissions.resolve(row.id, { status: 'forfeited', resolved_at: new Date().toISOString() })) {
+                forfeited += Number(row.amount);
+            }
+        }
+    } else {
+        await db.users.update(user.id, { risk_hold: false, risk_held_at: null, risk_cleared_score: user.risk_score || 0 });
+        for (const row of held) {
+            const otherId = Number(row.referrer_id) === Number(user.id) ? row.referee_id : row.referrer_id;
+            const other = await db.users.findById(otherId, `id,risk_hold,${BAN_COLUMNS}`);
+            if (other && (other.risk_hold || isBanActive(other))) continue;
+            if (await releaseCommission(row)) {
+                released += Number(row.amount);
+            }
+        }
+    }
+
+    await logAdminAction(adminId, `risk_${decision}`, user.id, { reason, risk_score: user.risk_score, released, forfeited });
+    return { ok: true, user_id: user.id, decision, released, forfeited };
+}
+
+module.exports = {
+    SIGNAL_POINTS,
+    recordSession,
+    evaluateUser,
+    evaluateUsers,
+    listForReview,
+    resolveHold,
+};
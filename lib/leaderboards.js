@@ -0,0 +1,201 @@
+// /lib/leaderboards.js
+
+/**
+ * Leaderboards
+ *   earners    SHIB earned from ads, spin prizes and referral commissions
+ *   referrers  friends invited (users.ref_by), ties broken by the commission
+ *              earned from referrals (commission_history)
+ * each over a period: 'all_time', 'weekly' (from Monday 00:00 UTC) or 'daily'
+ * (from 00:00 UTC). Banned users are left out. Rankings come from the
+ * `leaderboard` database function, which also returns the caller's own row
+ * when they are outside the top.
+ *
+ * A finished week is closed once by an admin: the `leaderboard_weekly_prizes`
+ * setting is paid to places 1, 2, ... through the ledger and the winners are
+ * kept in `leaderboard_closures`.
+ */
+const db = require('./repositories');
+const ledger = require('./ledger');
+const settings = require('./settings');
+const dailyLimits = require('./dailyLimits');
+const notifications = require('./notifications');
+const { getStorage } = require('./storage');
+const { logAdminAction } = require('./admin');
+
+const BOARDS = ['earners', 'referrers'];
+const PERIODS = ['all_time', 'weekly', 'daily'];
+
+// Ledger credits that count as earnings on the earners board
+const EARNING_TYPES = [
+    ledger.ENTRY_TYPES.AD_REWARD,
+    ledger.ENTRY_TYPES.SPIN_PRIZE,
+    ledger.ENTRY_TYPES.REFERRAL_COMMISSION,
+];
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+/**
+ * Monday ('YYYY-MM-DD', UTC) of the week containing `instant`.
+ */
+function weekStart(instant) {
+    const day = dailyLimits.dayKey(instant, 'UTC');
+    const weekday = new Date(`${day}T00:00:00Z`).getUTCDay(); // 0 = Sunday
+    return dailyLimits.shiftDay(day, -((weekday + 6) % 7));
+}
+
+function dayRange(firstDay, days) {
+    return {
+        starts_at: `${firstDay}T00:00:00.000Z`,
+        ends_at: `${dailyLimits.shiftDay(firstDay, days)}T00:00:00.000Z`,
+    };
+}
+
+/**
+ * { starts_at, ends_at } of the current period (both null for all_time).
+ */
+function periodRange(period, now = Date.now()) {
+    switch (period) {
+        case 'daily':
+            return dayRange(dailyLimits.dayKey(now, 'UTC'), 1);
+        case 'weekly':
+            return dayRange(weekStart(now), 7);
+        default:
+            return { starts_at: null, ends_at: null };
+    }
+}
+
+function displayName(user) {
+    if (!user) return 'Unknown';
+    const fullName = [user.first_name, user.last_name].filter(Boolean).join(' ');
+    return fullName || (user.username ? `@${user.username}` : `User ${String(user.id).slice(-4)}`);
+}
+
+/**
+ * Ranked rows { place, user_id, score, commission }: the top `limit`, plus `userId`'s row if they are on the board.
+ */
+async function rank(board, range, limit, userId = null) {
+    const rows = await getStorage().rpc('leaderboard', {
+        p_board: board,
+        p_since: range.starts_at,
+        p_until: range.ends_at,
+        p_limit: limit,
+        p_user_id: userId,
+        p_earning_types: EARNING_TYPES,
+    });
+    return rows.map(row => ({
+        place: Number(row.place),
+        user_id: Number(row.user_id),
+        score: Number(row.score),
+        commission: Number(row.commission),
+    }));
+}
+
+/**
+ * The board for the mini app: names and photos of the top `limit`, and the user's own place.
+ */
+async function getLeaderboard(user, { board = 'earners', period = 'weekly', limit = DEFAULT_LIMIT } = {}) {
+    if (!BOARDS.includes(board) || !PERIODS.includes(period)) {
+        return {
+            ok: false,
+            reason: 'INVALID_LEADERBOARD',
+            message: `board must be one of ${BOARDS.join(', ')} and period one of ${PERIODS.join(', ')}.`,
+        };
+    }
+    const size = Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    const range = periodRange(period);
+    const rows = await rank(board, range, size, user.id);
+    const top = rows.filter(row => row.place <= size);
+    const own = rows.find(row => row.user_id === user.id) || null;
+
+    const profiles = await db.users.listByIds(top.map(row => row.user_id), 'id,username,first_name,last_name,photo_url');
+    const profileById = new Map(profiles.map(profile => [Number(profile.id), profile]));
+
+    return {
+        ok: true,
+        board,
+        period,
+        ...range,
+        entries: top.map(row => {
+            const profile = profileById.get(row.user_id);
+            return {
+                place: row.place,
+                name: displayName(profile),
+                photo_url: profile ? profile.photo_url || null : null,
+                score: row.score,
+                commission: row.commission,
+                is_me: row.user_id === user.id,
+            };
+        }),
+        me: own ? { place: own.place, score: own.score, commission: own.commission } : null,
+        // Prizes for place 1, 2, ... when the week is closed
+        prizes: period === 'weekly' ? await settings.get('leaderboard_weekly_prizes') : [],
+    };
+}
+
+/**
+ * Pays the weekly prizes of `board` for the week starting on Monday `week_start`
+ * (the last finished week by default). Admin-only; each week can be closed once.
+ */
+async function closeWeek(adminId, { board = 'earners', week_start: weekStartDay } = {}, now = Date.now()) {
+    const week = weekStartDay || dailyLimits.shiftDay(weekStart(now), -7);
+    if (!BOARDS.includes(board)) {
+        return { ok: false, reason: 'INVALID_LEADERBOARD', message: `board must be one of ${BOARDS.join(', ')}.` };
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(week) || Number.isNaN(Date.parse(week)) || weekStart(Date.parse(`${week}T12:00:00Z`)) !== week) {
+        return { ok: false, reason: 'INVALID_LEADERBOARD', message: 'week_start must be a Monday (YYYY-MM-DD).' };
+    }
+    const range = dayRange(week, 7);
+    if (Date.parse(range.ends_at) > now) {
+        return { ok: false, reason: 'INVALID_LEADERBOARD', message: 'Only a finished week can be closed.' };
+    }
+    if (await db.leaderboardClosures.find(board, week)) {
+        return { ok: false, reason: 'ALREADY_CLOSED', message: `The ${board} leaderboard of the week of ${week} is already closed.` };
+    }
+
+    // 1. Final standings of the week, one row per prize
+    const prizes = await settings.get('leaderboard_weekly_prizes');
+    const winners = (await rank(board, range, prizes.length)).map(row => ({
+        place: row.place,
+        user_id: row.user_id,
+        score: row.score,
+        prize: prizes[row.place - 1],
+    }));
+
+    // 2. Record the closure first, so a second close cannot pay the week again
+    try {
+        await db.leaderboardClosures.create({ board, week_start: week, closed_by: adminId, winners });
+    } catch (error) {
+        if (/duplicate key|unique/i.test(error.message)) {
+            return { ok: false, reason: 'ALREADY_CLOSED', message: `The ${board} leaderboard of the week of ${week} is already closed.` };
+        }
+        throw error;
+    }
+
+    // 3. Pay the prizes (the ledger reference makes each prize single-use)
+    for (const winner of winners) {
+        const entry = await ledger.credit(winner.user_id, ledger.ENTRY_TYPES.LEADERBOARD_PRIZE, winner.prize,
+            `leaderboard:${board}:${week}`, { board, week_start: week, place: winner.place, score: winner.score });
+        winner.credited = entry.ok;
+        if (!entry.ok) {
+            console.error(`Leaderboard prize for user ${winner.user_id} (${board}, ${week}) not paid: ${entry.message}`);
+            continue;
+        }
+        await notifications.leaderboardPrize(winner.user_id, { board, week, place: winner.place, prize: winner.prize });
+    }
+
+    await logAdminAction(adminId, 'close_leaderboard_week', null, { board, week_start: week, winners });
+    return { ok: true, board, week_start: week, ...range, winners };
+}
+
+module.exports = {
+    BOARDS,
+    PERIODS,
+    EARNING_TYPES,
+    weekStart,
+    periodRange,
+    displayName,
+    getLeaderboard,
+    closeWeek,
+};
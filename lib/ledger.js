@@ -0,0 +1,113 @@
+// /lib/ledger.js
+
+/**
+ * Balance Ledger
+ * Every credit or debit is an immutable row in `ledger_entries`. The
+ * `apply_ledger_entry` database function locks the user row, checks the
+ * resulting balance, writes the entry and updates the cached `users.balance`
+ * in a single transaction, so concurrent requests can never lose credits
+ * or overdraw an account.
+ */
+const { getStorage } = require('./storage');
+const { ledgerEntries } = require('./repositories');
+
+const ENTRY_TYPES = Object.freeze({
+    AD_REWARD: 'ad_reward',
+    SPIN_PRIZE: 'spin_prize',
+    CHECK_IN_BONUS: 'check_in_bonus',
+    TASK_REWARD: 'task_reward',
+    LEADERBOARD_PRIZE: 'leaderboard_prize',
+    REFERRAL_COMMISSION: 'referral_commission',
+    WITHDRAWAL: 'withdrawal',
+    REFUND: 'refund',
+    ADJUSTMENT: 'adjustment',
+});
+
+// Reasons raised by apply_ledger_entry (see supabase/migrations/0001_ledger.sql)
+const LEDGER_ERRORS = {
+    INSUFFICIENT_BALANCE: 'Insufficient balance.',
+    DUPLICATE_REFERENCE: 'This transaction has already been applied.',
+    USER_NOT_FOUND: 'User not found.',
+};
+
+/**
+ * Applies a signed amount to the user's balance.
+ * Returns { ok: true, entry, balance } or { ok: false, reason, message } for
+ * the business rejections above. Infrastructure errors are re-thrown.
+ */
+async function applyEntry(userId, type, amount, referenceId, metadata = {}) {
+    if (!Object.values(ENTRY_TYPES).includes(type)) {
+        throw new Error(`Unknown ledger entry type: ${type}`);
+    }
+    if (!referenceId) {
+        throw new Error('Ledger entries require a reference id.');
+    }
+
+    try {
+        const rows = await getStorage().rpc('apply_ledger_entry', {
+            p_user_id: userId,
+            p_type: type,
+            p_amount: amount,
+            p_reference_id: String(referenceId),
+            p_metadata: metadata,
+        });
+
+        const entry = rows[0];
+        if (!entry) {
+            throw new Error('apply_ledger_entry returned no entry.');
+        }
+
+        return { ok: true, entry, balance: Number(entry.balance_after) };
+    } catch (error) {
+        const reason = Object.keys(LEDGER_ERRORS).find(key => error.message.includes(key));
+        if (reason) {
+            return { ok: false, reason, message: LEDGER_ERRORS[reason] };
+        }
+        throw error;
+    }
+}
+
+function credit(userId, type, amount, referenceId, metadata) {
+    return applyEntry(userId, type, Math.abs(amount), referenceId, metadata);
+}
+
+function debit(userId, type, amount, referenceId, metadata) {
+    return applyEntry(userId, type, -Math.abs(amount), referenceId, metadata);
+}
+
+/**
+ * Returns the user's ledger entries, newest first (audit trail for support).
+ */
+async function getEntries(userId, limit = 50) {
+    return ledgerEntries.listByUser(userId, limit);
+}
+
+/**
+ * Recomputes the balance from the ledger and corrects `users.balance` if it drifted.
+ */
+async function reconcileBalance(userId) {
+    const rows = await getStorage().rpc('reconcile_user_balance', { p_user_id: userId });
+    const result = rows[0];
+    if (!result) {
+        return null;
+    }
+
+    if (result.corrected) {
+        console.warn(`Ledger drift corrected for user ${userId}: cached ${result.cached_balance}, ledger ${result.ledger_balance}.`);
+    }
+
+    return {
+        cached_balance: Number(result.cached_balance),
+        ledger_balance: Number(result.ledger_balance),
+        corrected: result.corrected,
+    };
+}
+
+module.exports = {
+    ENTRY_TYPES,
+    applyEntry,
+    credit,
+    debit,
+    getEntries,
+    reconcileBalance,
+};
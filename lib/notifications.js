@@ -0,0 +1,144 @@
+// /lib/notifications.js
+
+/**
+ * User notifications
+ * Bot messages about things that happen while the user is away from the mini
+ * app: withdrawal decisions, a friend joining through their invite link,
+ * leaderboard prizes and the daily limits resetting. Every message sent is
+ * logged in `notifications` under (user, kind, reference), so an event is
+ * never announced twice.
+ *
+ * Sending is best effort: a failure is logged and never fails the action that
+ * triggered it. A user who blocked the bot is marked (`users.bot_blocked_at`)
+ * and skipped until they /start the bot again (see lib/bot.js).
+ */
+const db = require('./repositories');
+const settings = require('./settings');
+const dailyLimits = require('./dailyLimits');
+const telegram = require('./telegram');
+
+const NOTIFICATION_TEMPLATES = {
+    withdrawal_approved: ({ amount }) =>
+        `✅ Your withdrawal of ${amount} SHIB was approved and will be paid out shortly.`,
+    withdrawal_rejected: ({ amount, reason }) =>
+        `❌ Your withdrawal of ${amount} SHIB was rejected${reason ? `: ${reason}` : '.'}\n`
+        + 'The amount has been returned to your balance.',
+    withdrawal_paid: ({ amount, payoutReference }) =>
+        `💸 Your withdrawal of ${amount} SHIB has been paid.${payoutReference ? `\nReference: ${payoutReference}` : ''}`,
+    referral_joined: ({ name }) =>
+        `🤝 ${name} joined with your invite link! You earn a commission on their ad rewards.`,
+    leaderboard_prize: ({ board, place, prize }) =>
+        `🏆 You finished #${place} on last week's ${board === 'referrers' ? 'top referrers' : 'top earners'} board `
+        + `and won ${prize} SHIB! It has been added to your balance.`,
+    daily_reset: () =>
+        '🔄 Your daily limits have reset. New ads and spins are waiting for you!',
+};
+
+const OPEN_APP_LABEL = '🚀 Open app';
+
+/**
+ * Sends notification `kind` to the user once per `reference`.
+ * Resolves with { ok: true } or { ok: false, reason } and never throws.
+ */
+async function notify(userId, kind, reference, params = {}) {
+    try {
+        if (!await settings.get('notifications_enabled')) {
+            return { ok: false, reason: 'DISABLED' };
+        }
+        if (await db.notifications.find(userId, kind, reference)) {
+            return { ok: false, reason: 'ALREADY_SENT' };
+        }
+
+        const user = await db.users.findById(userId, 'id,bot_blocked_at');
+        if (!user) {
+            return { ok: false, reason: 'NOT_FOUND' };
+        }
+        if (user.bot_blocked_at) {
+            return { ok: false, reason: 'BOT_BLOCKED' };
+        }
+
+        try {
+            await telegram.getTelegramClient().sendMessage(userId, NOTIFICATION_TEMPLATES[kind](params),
+                telegram.openAppMarkup(OPEN_APP_LABEL));
+        } catch (error) {
+            if (telegram.isBlockedError(error)) {
+                await db.users.update(userId, { bot_blocked_at: new Date().toISOString() });
+                return { ok: false, reason: 'BOT_BLOCKED' };
+            }
+            throw error;
+        }
+
+        await db.notifications.create({ user_id: userId, kind, reference: String(reference) });
+        return { ok: true };
+    } catch (error) {
+        console.error(`Notification ${kind} for user ${userId} failed:`, error.message);
+        return { ok: false, reason: 'SEND_FAILED', message: error.message };
+    }
+}
+
+/**
+ * Tells the user their withdrawal was approved, rejected or paid.
+ */
+function withdrawalStatusChanged(withdrawal) {
+    return notify(withdrawal.user_id, `withdrawal_${withdrawal.status}`, withdrawal.id, {
+        amount: Number(withdrawal.amount),
+        reason: withdrawal.rejection_reason,
+        payoutReference: withdrawal.payout_reference,
+    });
+}
+
+/**
+ * Tells the referrer that `referee` signed up with their invite link.
+ */
+function referralJoined(referrerId, referee) {
+    const name = referee.first_name || (referee.username ? `@${referee.username}` : 'A friend');
+    return notify(referrerId, 'referral_joined', referee.id, { name });
+}
+
+/**
+ * Tells a weekly leaderboard winner about their prize.
+ */
+function leaderboardPrize(userId, { board, week, place, prize }) {
+    return notify(userId, 'leaderboard_prize', `${board}:${week}`, { board, place, prize });
+}
+
+/**
+ * Tells users who reached a daily limit yesterday (in their own day) that a new
+ * day has started. Meant to run every hour, so each timezone is covered soon
+ * after its midnight; users are notified once per day.
+ */
+async function notifyDailyResets(now = Date.now()) {
+    const config = await settings.getAll();
+    const utcToday = dailyLimits.dayKey(now, 'UTC');
+    // A user's own day is at most one day off the UTC day
+    const days = [-2, -1, 0].map(offset => dailyLimits.shiftDay(utcToday, offset));
+
+    const rows = await db.dailyUsage.listLimitReached(days, {
+        maxAds: config.daily_max_ads,
+        maxSpins: config.daily_max_spins,
+    });
+
+    let sent = 0;
+    for (const row of rows) {
+        const user = await db.users.findById(row.user_id, 'id,timezone');
+        if (!user) continue;
+
+        const period = await dailyLimits.getPeriod(user, now);
+        if (period.day !== dailyLimits.shiftDay(row.day, 1)) continue;
+
+        if ((await notify(user.id, 'daily_reset', period.day)).ok) {
+            sent += 1;
+        }
+    }
+
+    return { ok: true, checked: rows.length, sent };
+}
+
+module.exports = {
+    NOTIFICATION_TEMPLATES,
+    notify,
+    withdrawalStatusChanged,
+    referralJoined,
+    leaderboardPrize,
+    notifyDailyResets,
+};
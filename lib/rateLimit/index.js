@@ -0,0 +1,182 @@
+// /lib/rateLimit/index.js
+
+/**
+ * Request rate limits
+ * Every API request is counted against sliding windows keyed by request type
+ * and caller: one set of limits per Telegram user and a looser one per IP
+ * (many users can share a carrier IP). Each request type belongs to a rate
+ * limit class (see ROUTES in api/index.js), which sets its policies:
+ *
+ *   { limit, windowMs, burst }   at most `limit` requests in any `windowMs`, and at
+ *                                most `burst` of them within BURST_WINDOW_MS
+ *
+ * A denied request gets `retry_after_ms`, sent to the client as Retry-After.
+ *
+ * Store selection:
+ * RATE_LIMIT_STORE=shared (default) keeps hits in the database so every
+ * serverless instance enforces the same limits;
+ * RATE_LIMIT_STORE=memory keeps them in process (single server, local runs).
+ */
+const { createMemoryStore } = require('./memoryStore');
+const { createSharedStore } = require('./sharedStore');
+
+const STORES = {
+    shared: createSharedStore,
+    memory: createMemoryStore,
+};
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const BURST_WINDOW_MS = 5 * SECOND;
+
+// Per class; a class without a user / ip policy uses the one of `default`
+const RATE_LIMITS = {
+    // Reads and everything else
+    default: {
+        user: { limit: 60, windowMs: MINUTE, burst: 10 },
+        ip: { limit: 600, windowMs: MINUTE, burst: 100 },
+    },
+    // register, createSession
+    session: {
+        user: { limit: 10, windowMs: MINUTE, burst: 3 },
+        ip: { limit: 120, windowMs: MINUTE, burst: 20 },
+    },
+    actionId: {
+        user: { limit: 30, windowMs: MINUTE, burst: 5 },
+    },
+    // watchAd, spin; includes the retries while an ad network's postback is on its way
+    adAction: {
+        user: { limit: 40, windowMs: MINUTE, burst: 8 },
+    },
+    spinResult: {
+        user: { limit: 20, windowMs: MINUTE, burst: 3 },
+    },
+    withdraw: {
+        user: { limit: 5, windowMs: 10 * MINUTE, burst: 2 },
+        ip: { limit: 60, windowMs: HOUR, burst: 10 },
+    },
+    // Changes to the user's own data: payout addresses, seeds
+    account: {
+        user: { limit: 20, windowMs: MINUTE, burst: 5 },
+    },
+    // Check-ins and tasks
+    claim: {
+        user: { limit: 20, windowMs: MINUTE, burst: 5 },
+    },
+    admin: {
+        user: { limit: 120, windowMs: MINUTE, burst: 20 },
+    },
+};
+
+let activeStore = null;
+
+function getRateLimitStore() {
+    if (!activeStore) {
+        const name = process.env.RATE_LIMIT_STORE || 'shared';
+        const factory = STORES[name];
+        if (!factory) {
+            throw new Error(`Unknown RATE_LIMIT_STORE "${name}". Expected one of: ${Object.keys(STORES).join(', ')}.`);
+        }
+        activeStore = factory();
+    }
+    return activeStore;
+}
+
+/**
+ * Replaces the active store (local server, fixtures).
+ */
+function setRateLimitStore(store) {
+    activeStore = store;
+}
+
+/**
+ * Store windows ({ limit, window_ms }) for a policy.
+ */
+function toWindows({ limit, windowMs, burst }) {
+    const windows = [{ limit, window_ms: windowMs }];
+    if (burst && burst < limit && BURST_WINDOW_MS < windowMs) {
+        windows.push({ limit: burst, window_ms: BURST_WINDOW_MS });
+    }
+    return windows;
+}
+
+function describeWait(ms) {
+    const seconds = Math.ceil(ms / SECOND);
+    return seconds < 120 ? `${seconds} seconds` : `${Math.ceil(seconds / 60)} minutes`;
+}
+
+/**
+ * { user, ip } policies of a rate limit class.
+ */
+function policiesFor(rateClass) {
+    if (!RATE_LIMITS[rateClass]) {
+        throw new Error(`Unknown rate limit class: ${rateClass}`);
+    }
+    return { ...RATE_LIMITS.default, ...RATE_LIMITS[rateClass] };
+}
+
+/**
+ * Counts a request of `type` from `userId` / `ip` (either may be missing) against
+ * `policies` ({ user, ip }; see policiesFor).
+ * Returns { ok: true } or { ok: false, scope: 'user' | 'ip', retry_after_ms, message }.
+ * Store failures let the request through, unless `failClosed` is set (limits that
+ * guard rewards): then the request is denied for BURST_WINDOW_MS.
+ */
+async function check(type, { userId, ip }, policies, { failClosed = false } = {}) {
+    const subjects = [
+        ['user', userId !== undefined && userId !== null ? String(userId) : null],
+        ['ip', ip || null],
+    ];
+
+    for (const [scope, subject] of subjects) {
+        const policy = policies[scope];
+        if (!subject || !policy || !(policy.limit > 0) || !(policy.windowMs > 0)) continue;
+
+        try {
+            const result = await getRateLimitStore().hit(`${type}:${scope}:${subject}`, toWindows(policy));
+            if (!result.allowed) {
+                return {
+                    ok: false,
+                    scope,
+                    retry_after_ms: result.retry_after_ms,
+                    message: `Too many requests. Please wait ${describeWait(result.retry_after_ms)} and try again.`,
+                };
+            }
+        } catch (error) {
+            console.error(`Rate limit check for ${type} (${scope}) failed:`, error.message);
+            if (failClosed) {
+                return {
+                    ok: false,
+                    scope,
+                    retry_after_ms: BURST_WINDOW_MS,
+                    message: `Please wait ${describeWait(BURST_WINDOW_MS)} and try again.`,
+                };
+            }
+        }
+    }
+    return { ok: true };
+}
+
+// No window is longer than an hour (min_time_between_actions_ms is capped there too)
+const MAX_WINDOW_MS = HOUR;
+
+/**
+ * Deletes stored hits older than any window (shared store only). Returns the number removed.
+ */
+async function purgeExpired() {
+    const store = getRateLimitStore();
+    return typeof store.purge === 'function' ? store.purge(MAX_WINDOW_MS) : 0;
+}
+
+module.exports = {
+    RATE_LIMITS,
+    BURST_WINDOW_MS,
+    getRateLimitStore,
+    setRateLimitStore,
+    policiesFor,
+    createMemoryStore,
+    createSharedStore,
+    check,
+    purgeExpired,
+};
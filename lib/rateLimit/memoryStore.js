@@ -0,0 +1,74 @@
+// /lib/rateLimit/memoryStore.js
+
+/**
+ * In-process rate limit store: a sliding log of hit times per key. Limits only
+ * hold within one process (a single server, local development).
+ */
+
+// Keys are swept once the map grows past this
+const SWEEP_THRESHOLD = 10000;
+
+/**
+ * Outcome of one more hit on a key with `times` (ascending) under `windows`.
+ * The rate_limit_hit database function applies the same rules.
+ */
+function evaluateWindows(times, windows, now) {
+    let retryAfterMs = 0;
+    let remaining = Infinity;
+
+    for (const { limit, window_ms: windowMs } of windows) {
+        const inWindow = times.filter(time => time > now - windowMs);
+        if (inWindow.length >= limit) {
+            // Allowed again once enough of the hits in the window have aged out
+            const freedAt = inWindow[inWindow.length - limit] + windowMs;
+            retryAfterMs = Math.max(retryAfterMs, freedAt - now);
+        } else {
+            remaining = Math.min(remaining, limit - inWindow.length - 1);
+        }
+    }
+
+    return retryAfterMs > 0
+        ? { allowed: false, retry_after_ms: Math.ceil(retryAfterMs), remaining: 0 }
+        : { allowed: true, retry_after_ms: 0, remaining: remaining === Infinity ? null : remaining };
+}
+
+function createMemoryStore() {
+    const hits = new Map(); // key -> ascending hit times
+
+    function sweep(now, longestWindowMs) {
+        for (const [key, times] of hits) {
+            if (times.length === 0 || times[times.length - 1] <= now - longestWindowMs) {
+                hits.delete(key);
+            }
+        }
+    }
+
+    return {
+        name: 'memory',
+
+        /**
+         * Records a hit on `key` unless one of `windows` ({ limit, window_ms }) is full.
+         * Returns { allowed, retry_after_ms, remaining }.
+         */
+        async hit(key, windows, now = Date.now()) {
+            const longestWindowMs = Math.max(...windows.map(w => w.window_ms));
+            const times = (hits.get(key) || []).filter(time => time > now - longestWindowMs);
+
+            const result = evaluateWindows(times, windows, now);
+            if (result.allowed) {
+                times.push(now);
+            }
+            hits.set(key, times);
+
+            if (hits.size > SWEEP_THRESHOLD) {
+                sweep(now, longestWindowMs);
+            }
+            return result;
+        },
+    };
+}
+
+module.exports = {
+    createMemoryStore,
+    evaluateWindows,
+};
@@ -0,0 +1,39 @@
+// /lib/rateLimit/sharedStore.js
+
+/**
+ * Shared rate limit store: hits are kept in the database (`rate_limit_hits`)
+ * and checked by the `rate_limit_hit` function under a per-key lock, so every
+ * serverless instance enforces the same limits.
+ */
+const { getStorage } = require('../storage');
+
+function createSharedStore() {
+    return {
+        name: 'shared',
+
+        async hit(key, windows, now = Date.now()) {
+            const [row] = await getStorage().rpc('rate_limit_hit', {
+                p_key: key,
+                p_windows: windows,
+                p_now: new Date(now).toISOString(),
+            });
+            return {
+                allowed: Boolean(row.allowed),
+                retry_after_ms: Number(row.retry_after_ms),
+                remaining: row.remaining === null ? null : Number(row.remaining),
+            };
+        },
+
+        /**
+         * Deletes hits older than `maxAgeMs` (keys that stopped being hit keep theirs otherwise).
+         */
+        async purge(maxAgeMs, now = Date.now()) {
+            const [row] = await getStorage().rpc('rate_limit_purge', { p_before: new Date(now - maxAgeMs).toISOString() });
+            return row ? Number(row.deleted) : 0;
+        },
+    };
+}
+
+module.exports = {
+    createSharedStore,
+};
@@ -0,0 +1,163 @@
+// /lib/referrals.js
+
+/**
+ * Referral commissions
+ * Commissions are paid server-side from inside the reward flow, following the
+ * referee's stored `ref_by` chain. Tier 1 is the direct referrer, tier 2 the
+ * referrer's referrer, and so on, one rate per tier.
+ *
+ * While the referee or a referrer is on a risk hold (see lib/fraud.js) the
+ * commission is withheld in `held_commissions` instead, until an admin review.
+ *
+ * The invite screen's dashboard lists the user's direct referees with what each
+ * earned them (`referral_stats`), and commission totals for today, this week
+ * (both UTC, as on the leaderboards) and all time (`referral_totals`).
+ */
+const db = require('./repositories');
+const ledger = require('./ledger');
+const { getStorage } = require('./storage');
+const { BAN_COLUMNS, isBanActive } = require('./admin');
+const { periodRange, displayName } = require('./leaderboards');
+
+const REFERRAL_SORTS = ['joined', 'last_active', 'ads_watched', 'commission', 'name'];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// SHIB amounts are kept to 8 decimal places
+function roundAmount(amount) {
+    return Math.round(amount * 1e8) / 1e8;
+}
+
+/**
+ * Credits every tier above `refereeId` for a reward the referee just earned.
+ * Never throws: a failed commission must not undo the referee's own reward.
+ * Returns the list of commissions actually paid.
+ */
+async function payReferralCommissions(refereeId, sourceReward, sourceType, sourceReference, rates) {
+    const paid = [];
+
+    try {
+        const referee = await db.users.findById(refereeId, 'id,ref_by,risk_hold');
+        const visited = new Set([String(refereeId)]);
+        let referrerId = referee ? referee.ref_by : null;
+
+        for (let tier = 1; tier <= rates.length && referrerId; tier++) {
+            // Stop on self-referrals and referral loops
+            if (visited.has(String(referrerId))) break;
+            visited.add(String(referrerId));
+
+            const referrer = await db.users.findById(referrerId, `id,ref_by,risk_hold,${BAN_COLUMNS}`);
+            if (!referrer) break;
+
+            const amount = roundAmount(sourceReward * rates[tier - 1]);
+            if (amount > 0 && !isBanActive(referrer) && (referee.risk_hold || referrer.risk_hold)) {
+                await db.heldCommissions.create({
+                    referrer_id: referrer.id,
+                    referee_id: refereeId,
+                    amount,
+                    source_reward: sourceReward,
+                    source_type: sourceType,
+                    source_reference: String(sourceReference),
+                    tier,
+                    status: 'held',
+                });
+            } else if (amount > 0 && !isBanActive(referrer)) {
+                const record = await db.commissionHistory.create({
+                    referrer_id: referrer.id,
+                    referee_id: refereeId,
+                    amount,
+                    source_reward: sourceReward,
+                    source_type: sourceType,
+                    source_reference: String(sourceReference),
+                    tier,
+                });
+
+                const entry = await ledger.credit(referrer.id, ledger.ENTRY_TYPES.REFERRAL_COMMISSION, amount, record.id,
+                    { referee_id: refereeId, tier, source_type: sourceType });
+                if (entry.ok) {
+                    paid.push({ referrer_id: referrer.id, tier, amount });
+                } else {
+                    console.warn(`Commission ${record.id} for referrer ${referrer.id} not credited: ${entry.message}`);
+                }
+            }
+
+            referrerId = referrer.ref_by;
+        }
+    } catch (error) {
+        console.error(`Referral commissions for user ${refereeId} failed:`, error.message);
+    }
+
+    return paid;
+}
+
+/**
+ * Referral counts and commission earned today, this week and all time.
+ */
+async function getReferralTotals(userId, now = Date.now()) {
+    const today = periodRange('daily', now);
+    const week = periodRange('weekly', now);
+    const [row] = await getStorage().rpc('referral_totals', {
+        p_referrer_id: userId,
+        p_day_start: today.starts_at,
+        p_week_start: week.starts_at,
+    });
+    return {
+        referrals_count: Number(row ? row.referrals_count : 0),
+        referrals_today: Number(row ? row.referrals_today : 0),
+        referrals_this_week: Number(row ? row.referrals_this_week : 0),
+        commission_today: Number(row ? row.commission_today : 0),
+        commission_this_week: Number(row ? row.commission_this_week : 0),
+        commission_all_time: Number(row ? row.commission_all_time : 0),
+        today_starts_at: today.starts_at,
+        week_starts_at: week.starts_at,
+    };
+}
+
+/**
+ * One page of the user's direct referees, sorted by `sort` ('joined' by default)
+ * in `order` ('desc' or 'asc'), with the totals.
+ */
+async function getReferralStats(user, { sort = 'joined', order = 'desc', limit = DEFAULT_PAGE_SIZE, offset = 0 } = {}) {
+    if (!REFERRAL_SORTS.includes(sort) || !['asc', 'desc'].includes(order)) {
+        return {
+            ok: false,
+            reason: 'INVALID_QUERY',
+            message: `sort must be one of ${REFERRAL_SORTS.join(', ')} and order asc or desc.`,
+        };
+    }
+    const size = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const start = Math.max(parseInt(offset) || 0, 0);
+
+    const [rows, totals] = await Promise.all([getStorage().rpc('referral_stats', {
+        p_referrer_id: user.id,
+        p_sort: sort,
+        p_descending: order === 'desc',
+        p_limit: size,
+        p_offset: start,
+    }), getReferralTotals(user.id)]);
+
+    return {
+        ok: true,
+        referrals: rows.map(row => ({
+            name: displayName({ ...row, id: row.user_id }),
+            photo_url: row.photo_url || null,
+            joined_at: row.joined_at,
+            last_active_at: row.last_active_at,
+            ads_watched: Number(row.ads_watched),
+            commission: Number(row.commission),
+        })),
+        total: totals.referrals_count,
+        sort,
+        order,
+        limit: size,
+        offset: start,
+        totals,
+    };
+}
+
+module.exports = {
+    REFERRAL_SORTS,
+    payReferralCommissions,
+    getReferralTotals,
+    getReferralStats,
+};
@@ -0,0 +1,649 @@
+// /lib/repositories.js
+
+/**
+ * Repository layer
+ * Table-specific data access used by the API handlers. Repositories speak to
+ * whichever storage backend is active (see lib/storage), so handlers never
+ * build backend-specific queries themselves.
+ */
+const { getStorage } = require('./storage');
+
+function first(rows) {
+    return rows.length > 0 ? rows[0] : null;
+}
+
+const users = {
+    async findById(id, columns = '*') {
+        return first(await getStorage().select('users', { filters: { id }, columns }));
+    },
+
+    async create(user) {
+        return first(await getStorage().insert('users', user));
+    },
+
+    async update(id, patch) {
+        return first(await getStorage().update('users', { id }, patch));
+    },
+
+    async listByIds(ids, columns = '*') {
+        if (ids.length === 0) return [];
+        return getStorage().select('users', { filters: { id: { in: ids } }, columns });
+    },
+
+    /**
+     * Counted in the database (see the referral_totals function) instead of fetching every referee.
+     */
+    async countReferrals(referrerId) {
+        const [totals] = await getStorage().rpc('referral_totals', { p_referrer_id: referrerId });
+        return totals ? Number(totals.referrals_count) : 0;
+    },
+
+    async listReferrals(referrerId, limit = 100) {
+        return getStorage().select('users', {
+            filters: { ref_by: referrerId },
+            columns: 'id,username,first_name,balance,ads_watched_today,last_activity,is_banned',
+            order: { column: 'id', ascending: false },
+            limit,
+        });
+    },
+
+    /**
+     * The `limit` newest referees with their sign-up time (fraud heuristics).
+     */
+    async listRecentReferees(referrerId, limit = 100) {
+        return getStorage().select('users', {
+            filters: { ref_by: referrerId },
+            columns: 'id,created_at',
+            order: { column: 'created_at', ascending: false },
+            limit,
+        });
+    },
+
+    /**
+     * Admin risk review: highest score first.
+     */
+    async listByRisk({ held, minScore, limit = 50, offset = 0 } = {}) {
+        return getStorage().select('users', {
+            filters: { risk_hold: held, risk_score: { gte: minScore } },
+            columns: 'id,username,first_name,last_name,balance,ref_by,is_banned,risk_score,risk_signals,risk_evaluated_at,risk_hold,risk_held_at',
+            order: { column: 'risk_score', ascending: false },
+            limit,
+            offset,
+        });
+    },
+
+    /**
+     * Admin search: a numeric query matches the Telegram id, anything else the username.
+     */
+    async search({ query, isBanned, refBy, limit = 50, offset = 0 } = {}) {
+        const filters = { is_banned: isBanned, ref_by: refBy };
+        if (query && /^\d+$/.test(query)) {
+            filters.id = parseInt(query);
+        } else if (query) {
+            filters.username = { ilike: `%${query.replace(/^@/, '')}%` };
+        }
+
+        return getStorage().select('users', {
+            filters,
+            columns: 'id,username,first_name,last_name,balance,ads_watched_today,spins_today,ref_by,last_activity,is_banned,ban_reason,ban_expires_at',
+            order: { column: 'id', ascending: true },
+            limit,
+            offset,
+        });
+    },
+};
+
+const withdrawals = {
+    async create(withdrawal) {
+        return first(await getStorage().insert('withdrawals', withdrawal));
+    },
+
+    async findById(id, columns = '*') {
+        return first(await getStorage().select('withdrawals', { filters: { id }, columns }));
+    },
+
+    async listByUser(userId, columns = '*') {
+        return getStorage().select('withdrawals', {
+            filters: { user_id: userId },
+            columns,
+            order: { column: 'created_at', ascending: false },
+        });
+    },
+
+    /**
+     * Admin queue search. Oldest first, so requests are reviewed in arrival order.
+     */
+    async search({ status, userId, needsReview, from, to, minAmount, maxAmount, limit = 50, offset = 0 } = {}) {
+        return getStorage().select('withdrawals', {
+            filters: {
+                status,
+                user_id: userId,
+                needs_review: needsReview,
+                created_at: { gte: from, lt: to },
+                amount: { gte: minAmount, lte: maxAmount },
+            },
+            order: { column: 'created_at', ascending: true },
+            limit,
+            offset,
+        });
+    },
+
+    /**
+     * Compare-and-set update: only applies while the row still has `expectedStatus`.
+     * Returns the updated row, or null if another request changed it first.
+     */
+    async updateIfStatus(id, expectedStatus, patch) {
+        return first(await getStorage().update('withdrawals', { id, status: expectedStatus }, patch));
+    },
+
+    /**
+     * The withdrawals that debited these ledger entries.
+     */
+    async listByLedgerEntries(entryIds, columns = '*') {
+        if (entryIds.length === 0) return [];
+        return getStorage().select('withdrawals', { filters: { ledger_entry_id: { in: entryIds } }, columns });
+    },
+};
+
+const payoutAddresses = {
+    /**
+     * Most recently used first.
+     */
+    async listByUser(userId) {
+        return getStorage().select('payout_addresses', {
+            filters: { user_id: userId },
+            columns: 'id,method,address,last_used_at',
+            order: { column: 'last_used_at', ascending: false },
+        });
+    },
+
+    async create(address) {
+        return first(await getStorage().insert('payout_addresses', address));
+    },
+
+    async update(id, patch) {
+        return first(await getStorage().update('payout_addresses', { id }, patch));
+    },
+
+    async remove(id, userId) {
+        return first(await getStorage().remove('payout_addresses', { id, user_id: userId }));
+    },
+};
+
+const userSessions = {
+    /**
+     * Records (or refreshes last_seen_at of) a user / IP / device combination.
+     */
+    async record(session) {
+        return first(await getStorage().upsert('user_sessions', session, ['user_id', 'ip', 'fingerprint']));
+    },
+
+    async listByUsers(userIds) {
+        if (userIds.length === 0) return [];
+        return getStorage().select('user_sessions', {
+            filters: { user_id: { in: userIds } },
+            columns: 'user_id,ip,fingerprint,last_seen_at',
+        });
+    },
+
+    /**
+     * Sessions of any user on one of `ips` or `fingerprints`.
+     */
+    async listMatching({ ips = [], fingerprints = [] }, limit = 500) {
+        const [byIp, byFingerprint] = await Promise.all([
+            ips.length > 0
+                ? getStorage().select('user_sessions', { filters: { ip: { in: ips } }, columns: 'user_id,ip,fingerprint', limit })
+                : [],
+            fingerprints.length > 0
+                ? getStorage().select('user_sessions', { filters: { fingerprint: { in: fingerprints } }, columns: 'user_id,ip,fingerprint', limit })
+                : [],
+        ]);
+        return [...byIp, ...byFingerprint];
+    },
+};
+
+const tempActions = {
+    async listForUser(userId, actionType) {
+        return getStorage().select('temp_actions', {
+            filters: { user_id: userId, action_type: actionType },
+            columns: 'id,action_id,created_at',
+            order: { column: 'created_at', ascending: false },
+        });
+    },
+
+    async find(userId, actionId, actionType) {
+        return first(await getStorage().select('temp_actions', {
+            filters: { user_id: userId, action_id: actionId, action_type: actionType },
+            columns: 'id,created_at',
+        }));
+    },
+
+    async findByActionId(actionId) {
+        return first(await getStorage().select('temp_actions', {
+            filters: { action_id: actionId },
+            columns: 'id,user_id,action_type,created_at',
+        }));
+    },
+
+    async create(action) {
+        return first(await getStorage().insert('temp_actions', action));
+    },
+
+    async removeById(id) {
+        return getStorage().remove('temp_actions', { id });
+    },
+
+    async removeForUser(userId, actionType) {
+        return getStorage().remove('temp_actions', { user_id: userId, action_type: actionType });
+    },
+};
+
+const adCompletions = {
+    async findByActionId(actionId) {
+        return first(await getStorage().select('ad_completions', { filters: { action_id: actionId } }));
+    },
+
+    async findByEvent(network, eventId) {
+        return first(await getStorage().select('ad_completions', { filters: { network, event_id: eventId } }));
+    },
+
+    async create(completion) {
+        return first(await getStorage().insert('ad_completions', completion));
+    },
+
+    /**
+     * Compare-and-set on status: returns null if the completion was not in `expectedStatus`.
+     */
+    async updateIfStatus(actionId, expectedStatus, patch) {
+        return first(await getStorage().update('ad_completions', { action_id: actionId, status: expectedStatus }, patch));
+    },
+};
+
+const adImpressions = {
+    async create(impression) {
+        return first(await getStorage().insert('ad_impressions', impression));
+    },
+
+    async createMany(impressions) {
+        return getStorage().insert('ad_impressions', impressions);
+    },
+
+    async findByActionId(actionId) {
+        return first(await getStorage().select('ad_impressions', { filters: { action_id: actionId }, limit: 1 }));
+    },
+};
+
+const spinResults = {
+    async create(result) {
+        return first(await getStorage().insert('spin_results', result));
+    },
+
+    async findById(id) {
+        return first(await getStorage().select('spin_results', { filters: { id } }));
+    },
+
+    async listByIds(ids, columns = '*') {
+        if (ids.length === 0) return [];
+        return getStorage().select('spin_results', { filters: { id: { in: ids } }, columns });
+    },
+
+    async listByUser(userId, limit = 50) {
+        return getStorage().select('spin_results', {
+            filters: { user_id: userId },
+            order: { column: 'created_at', ascending: false },
+            limit,
+        });
+    },
+};
+
+const spinSessions = {
+    async create(session) {
+        return first(await getStorage().insert('spin_sessions', session));
+    },
+
+    async findById(id) {
+        return first(await getStorage().select('spin_sessions', { filters: { id } }));
+    },
+
+    /**
+     * The user's sessions in `status`, newest first.
+     */
+    async listByUser(userId, status, limit = 50) {
+        return getStorage().select('spin_sessions', {
+            filters: { user_id: userId, status },
+            order: { column: 'id', ascending: false },
+            limit,
+        });
+    },
+
+    async update(id, patch) {
+        return first(await getStorage().update('spin_sessions', { id }, patch));
+    },
+
+    /**
+     * Compare-and-set on status: returns null if the session was not in `expectedStatus`.
+     */
+    async updateIfStatus(id, expectedStatus, patch) {
+        return first(await getStorage().update('spin_sessions', { id, status: expectedStatus }, patch));
+    },
+};
+
+const spinSeeds = {
+    async findActive(userId) {
+        return first(await getStorage().select('spin_seeds', { filters: { user_id: userId, active: true } }));
+    },
+
+    async findById(id) {
+        return first(await getStorage().select('spin_seeds', { filters: { id } }));
+    },
+
+    async create(pair) {
+        return first(await getStorage().insert('spin_seeds', pair));
+    },
+
+    /**
+     * Deactivates the pair so its server seed may be shown. Returns null if it was already revealed.
+     */
+    async reveal(id) {
+        return first(await getStorage().update('spin_seeds', { id, active: true },
+            { active: false, revealed_at: new Date().toISOString() }));
+    },
+
+    /**
+     * Claims `expectedNonce` for one spin. Returns null if another spin claimed it first.
+     */
+    async advanceNonce(id, expectedNonce) {
+        return first(await getStorage().update('spin_seeds', { id, nonce: expectedNonce, active: true },
+            { nonce: expectedNonce + 1 }));
+    },
+};
+
+const wheelConfigs = {
+    async findActive() {
+        return first(await getStorage().select('wheel_configs', {
+            filters: { active: true },
+            order: { column: 'id', ascending: false },
+            limit: 1,
+        }));
+    },
+
+    async findById(id) {
+        return first(await getStorage().select('wheel_configs', { filters: { id } }));
+    },
+
+    async create(config) {
+        return first(await getStorage().insert('wheel_configs', config));
+    },
+
+    async deactivateAll() {
+        return getStorage().update('wheel_configs', { active: true }, { active: false });
+    },
+};
+
+const dailyUsage = {
+    async find(userId, day) {
+        return first(await getStorage().select('daily_usage', { filters: { user_id: userId, day } }));
+    },
+
+    async listByUser(userId, limit = 30) {
+        return getStorage().select('daily_usage', {
+            filters: { user_id: userId },
+            columns: 'day,ads_watched,spins,earned,updated_at',
+            order: { column: 'day', ascending: false },
+            limit,
+        });
+    },
+
+    /**
+     * Rows of `days` on which the user reached the ad or the spin maximum (a maximum of 0 is ignored).
+     */
+    async listLimitReached(days, { maxAds, maxSpins }, limit = 5000) {
+        const query = filters => getStorage().select('daily_usage', {
+            filters: { day: { in: days }, ...filters },
+            columns: 'user_id,day,ads_watched,spins',
+            limit,
+        });
+        const [byAds, bySpins] = await Promise.all([
+            maxAds > 0 ? query({ ads_watched: { gte: maxAds } }) : [],
+            maxSpins > 0 ? query({ spins: { gte: maxSpins } }) : [],
+        ]);
+        const seen = new Set();
+        return [...byAds, ...bySpins].filter(row => {
+            const key = `${row.user_id}:${row.day}`;
+            return seen.has(key) ? false : seen.add(key);
+        });
+    },
+};
+
+const checkIns = {
+    async findLatest(userId) {
+        return first(await getStorage().select('check_ins', {
+            filters: { user_id: userId },
+            order: { column: 'day', ascending: false },
+            limit: 1,
+        }));
+    },
+
+    async create(checkIn) {
+        return first(await getStorage().insert('check_ins', checkIn));
+    },
+};
+
+const tasks = {
+    async findById(id) {
+        return first(await getStorage().select('tasks', { filters: { id } }));
+    },
+
+    async listActive() {
+        return getStorage().select('tasks', {
+            filters: { active: true },
+            order: { column: 'sort_order', ascending: true },
+        });
+    },
+
+    async listAll(limit = 200) {
+        return getStorage().select('tasks', {
+            order: { column: 'id', ascending: false },
+            limit,
+        });
+    },
+
+    async create(task) {
+        return first(await getStorage().insert('tasks', task));
+    },
+
+    async update(id, patch) {
+        return first(await getStorage().update('tasks', { id }, patch));
+    },
+};
+
+const taskCompletions = {
+    async find(taskId, userId, period) {
+        return first(await getStorage().select('task_completions', { filters: { task_id: taskId, user_id: userId, period } }));
+    },
+
+    async listByUser(userId, limit = 500) {
+        return getStorage().select('task_completions', {
+            filters: { user_id: userId },
+            columns: 'task_id,period,reward,created_at',
+            order: { column: 'id', ascending: false },
+            limit,
+        });
+    },
+};
+
+const taskStarts = {
+    async find(taskId, userId, period) {
+        return first(await getStorage().select('task_starts', { filters: { task_id: taskId, user_id: userId, period } }));
+    },
+
+    async listByUser(userId, limit = 500) {
+        return getStorage().select('task_starts', {
+            filters: { user_id: userId },
+            columns: 'task_id,period,started_at',
+            order: { column: 'started_at', ascending: false },
+            limit,
+        });
+    },
+
+    async create(start) {
+        return first(await getStorage().insert('task_starts', start));
+    },
+};
+
+const notifications = {
+    async find(userId, kind, reference) {
+        return first(await getStorage().select('notifications', {
+            filters: { user_id: userId, kind, reference: String(reference) },
+            columns: 'id,created_at',
+        }));
+    },
+
+    async create(notification) {
+        return first(await getStorage().insert('notifications', notification));
+    },
+};
+
+const leaderboardClosures = {
+    async find(board, weekStart) {
+        return first(await getStorage().select('leaderboard_closures', { filters: { board, week_start: weekStart } }));
+    },
+
+    async create(closure) {
+        return first(await getStorage().insert('leaderboard_closures', closure));
+    },
+};
+
+const appSettings = {
+    async list() {
+        return getStorage().select('app_settings', { columns: 'key,value,updated_by,updated_at' });
+    },
+
+    async upsert(rows) {
+        return getStorage().upsert('app_settings', rows, ['key']);
+    },
+};
+
+const commissionHistory = {
+    async create(record) {
+        return first(await getStorage().insert('commission_history', record));
+    },
+
+    async listByIds(ids, columns = '*') {
+        if (ids.length === 0) return [];
+        return getStorage().select('commission_history', { filters: { id: { in: ids } }, columns });
+    },
+};
+
+/**
+ * Commissions withheld while the referrer or the referee is on a risk hold (see lib/fraud.js).
+ */
+const heldCommissions = {
+    async create(record) {
+        return first(await getStorage().insert('held_commissions', record));
+    },
+
+    async listHeld({ referrerId, refereeId }) {
+        return getStorage().select('held_commissions', {
+            filters: { status: 'held', referrer_id: referrerId, referee_id: refereeId },
+            order: { column: 'id', ascending: true },
+        });
+    },
+
+    /**
+     * Compare-and-set: resolves the row only while it is still held. Returns null otherwise.
+     */
+    async resolve(id, patch) {
+        return first(await getStorage().update('held_commissions', { id, status: 'held' }, patch));
+    },
+};
+
+const ledgerEntries = {
+    async listByUser(userId, limit = 50) {
+        return getStorage().select('ledger_entries', {
+            filters: { user_id: userId },
+            columns: 'id,type,amount,balance_after,reference_id,metadata,created_at',
+            order: { column: 'id', ascending: false },
+            limit,
+        });
+    },
+
+    /**
+     * One page of the user's entries of `types` created in [from, to), newest first.
+     */
+    async listPage(userId, { types, from, to, limit = 20, offset = 0 } = {}) {
+        return getStorage().select('ledger_entries', {
+            filters: { user_id: userId, type: { in: types }, created_at: { gte: from, lt: to } },
+            columns: 'id,type,amount,balance_after,reference_id,metadata,created_at',
+            order: { column: 'id', ascending: false },
+            limit,
+            offset,
+        });
+    },
+
+    /**
+     * Creation times of the user's latest entries of `type`, newest first.
+     */
+    async listTimesByType(userId, type, limit) {
+        return getStorage().select('ledger_entries', {
+            filters: { user_id: userId, type },
+            columns: 'id,created_at',
+            order: { column: 'id', ascending: false },
+            limit,
+        });
+    },
+
+    /**
+     * How many of `userIds` have no entry of `type`, counted in the database
+     * (see the count_users_without_entry function).
+     */
+    async countUsersWithout(userIds, type) {
+        if (userIds.length === 0) return 0;
+        const [row] = await getStorage().rpc('count_users_without_entry', { p_user_ids: userIds, p_type: type });
+        return row ? Number(row.users_count) : 0;
+    },
+
+    /**
+     * Number of the user's entries of `type`, counted up to `upTo`.
+     */
+    async countByType(userId, type, upTo) {
+        const rows = await getStorage().select('ledger_entries', {
+            filters: { user_id: userId, type },
+            columns: 'id',
+            limit: upTo,
+        });
+        return rows.length;
+    },
+};
+
+const adminAuditLog = {
+    async create(record) {
+        return first(await getStorage().insert('admin_audit_log', record));
+    },
+};
+
+module.exports = {
+    users,
+    withdrawals,
+    payoutAddresses,
+    userSessions,
+    tempActions,
+    adCompletions,
+    adImpressions,
+    spinResults,
+    spinSessions,
+    spinSeeds,
+    wheelConfigs,
+    dailyUsage,
+    checkIns,
+    tasks,
+    taskCompletions,
+    taskStarts,
+    notifications,
+    leaderboardClosures,
+    appSettings,
+    commissionHistory,
+    heldCommissions,
+    ledgerEntries,
+    adminAuditLog,
+};
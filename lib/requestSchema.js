@@ -0,0 +1,142 @@
+// /lib/requestSchema.js
+
+/**
+ * Request payload schemas
+ * Each API request type declares its fields (see ROUTES in api/index.js); the
+ * payload is checked before the handler runs and the handler only sees the
+ * declared fields. A field is
+ *
+ *   { type, required, default, ... }
+ *
+ * type: 'integer' | 'number'  (finite; numeric strings are accepted) with optional min / max
+ *       'string'              (trimmed, '' counts as missing) with optional maxLength / pattern
+ *       'boolean'
+ *       'enum'                (one of `options`)
+ *       'date'                (anything Date.parse reads; passed on as an ISO string)
+ *       'object'              (with `fields`: checked like a payload; without: any object, left
+ *                              to the subsystem that uses it)
+ *       'array'               (any list of up to `maxLength` entries, left to the subsystem)
+ *
+ * Missing optional fields get their `default` (an object with `fields` gets the
+ * defaults of its fields), or are left out. null counts as missing.
+ */
+
+function isMissing(value) {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+function toNumber(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value.trim())) return Number(value);
+    return NaN;
+}
+
+/**
+ * Checks one present value. Returns { value } or { error } (a message without the field name).
+ */
+function checkValue(spec, value, path) {
+    switch (spec.type) {
+        case 'integer':
+        case 'number': {
+            const number = toNumber(value);
+            if (!Number.isFinite(number) || (spec.type === 'integer' && !Number.isSafeInteger(number))) {
+                return { error: `must be ${spec.type === 'integer' ? 'an integer' : 'a number'}` };
+            }
+            if (spec.min !== undefined && number < spec.min) {
+                return { error: `must be at least ${spec.min}` };
+            }
+            if (spec.max !== undefined && number > spec.max) {
+                return { error: `must be at most ${spec.max}` };
+            }
+            return { value: number };
+        }
+        case 'string': {
+            if (typeof value !== 'string') {
+                return { error: 'must be a string' };
+            }
+            const text = value.trim();
+            if (spec.maxLength !== undefined && text.length > spec.maxLength) {
+                return { error: `must be at most ${spec.maxLength} characters` };
+            }
+            if (spec.pattern && !spec.pattern.test(text)) {
+                return { error: spec.patternHint ? `must be ${spec.patternHint}` : 'has an invalid format' };
+            }
+            return { value: text };
+        }
+        case 'boolean':
+            return typeof value === 'boolean' ? { value } : { error: 'must be true or false' };
+        case 'enum':
+            return spec.options.includes(value)
+                ? { value }
+                : { error: `must be one of: ${spec.options.join(', ')}` };
+        case 'date': {
+            const time = typeof value === 'string' || typeof value === 'number' ? new Date(value).getTime() : NaN;
+            return Number.isNaN(time) ? { error: 'must be a valid date' } : { value: new Date(time).toISOString() };
+        }
+        case 'object': {
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                return { error: 'must be an object' };
+            }
+            if (!spec.fields) {
+                return { value };
+            }
+            const nested = validateFields(spec.fields, value, `${path}.`);
+            return nested.ok ? { value: nested.value } : { failure: nested };
+        }
+        case 'array':
+            if (!Array.isArray(value)) {
+                return { error: 'must be a list' };
+            }
+            if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+                return { error: `must have at most ${spec.maxLength} entries` };
+            }
+            return { value };
+        default:
+            throw new Error(`Field ${path} has an unknown schema type: ${spec.type}`);
+    }
+}
+
+function validateFields(fields, payload, prefix) {
+    const value = {};
+    for (const [name, spec] of Object.entries(fields)) {
+        const path = `${prefix}${name}`;
+        const raw = payload[name];
+
+        if (isMissing(raw)) {
+            if (spec.required) {
+                return { ok: false, field: path, message: `${path} is required.` };
+            }
+            if (spec.default !== undefined) {
+                value[name] = spec.default;
+            } else if (spec.type === 'object' && spec.fields) {
+                // An object of optional fields: their defaults still apply
+                const nested = validateFields(spec.fields, {}, `${path}.`);
+                if (!nested.ok) return nested;
+                value[name] = nested.value;
+            }
+            continue;
+        }
+
+        const checked = checkValue(spec, raw, path);
+        if (checked.failure) {
+            return checked.failure;
+        }
+        if (checked.error) {
+            return { ok: false, field: path, message: `${path} ${checked.error}.` };
+        }
+        value[name] = checked.value;
+    }
+    return { ok: true, value };
+}
+
+/**
+ * Checks `payload` against `fields` ({ name: spec }).
+ * Returns { ok: true, value } (declared fields only) or { ok: false, field, message } for the first invalid field.
+ */
+function validatePayload(fields, payload) {
+    return validateFields(fields, payload && typeof payload === 'object' ? payload : {}, '');
+}
+
+module.exports = {
+    validatePayload,
+};
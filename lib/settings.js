@@ -0,0 +1,240 @@
+// /lib/settings.js
+
+/**
+ * Runtime settings
+ * Reward amounts and limits live in the `app_settings` table so they can be
+ * changed by an admin without a deploy. Values are validated against the
+ * definitions below, fall back to their defaults when unset, and are cached
+ * per instance for a short time.
+ */
+const db = require('./repositories');
+const { logAdminAction } = require('./admin');
+const { AD_PROVIDERS, waterfallOrder } = require('./adProviders');
+const { WITHDRAWAL_METHODS, validateMethodLimits } = require('./withdrawalMethods');
+
+const CACHE_TTL_MS = 30000;
+
+/**
+ * type: 'number' | 'integer' | 'boolean' | 'rates' (array of fractions) | 'enum' (one of `options`)
+ *       | 'list' (distinct entries of `options`) | 'ids' (short string per key of `options`)
+ *       | 'amounts' (1 to `maxLength` positive numbers up to `max`)
+ *       | 'methods' (limits and fee per key of `options`, merged over the defaults; see lib/withdrawalMethods.js)
+ * public: sent to the mini app through getConfig
+ */
+const SETTING_DEFINITIONS = {
+    // Above 0: every watched ad is a ledger credit, and the ledger refuses 0 amounts
+    reward_per_ad: { type: 'number', default: 3, min: 0.01, max: 1000000, public: true },
+    referral_commission_rates: { type: 'rates', default: [0.05, 0.02, 0.01], maxLength: 5, public: true },
+    pay_commission_on_spin_prizes: { type: 'boolean', default: false, public: true },
+    daily_max_ads: { type: 'integer', default: 100, min: 0, max: 10000, public: true },
+    daily_max_spins: { type: 'integer', default: 15, min: 0, max: 10000, public: true },
+    // 'utc': daily limits reset at 00:00 UTC; 'user': at midnight in the user's own timezone
+    daily_reset_timezone: { type: 'enum', options: ['utc', 'user'], default: 'utc', public: true },
+    min_time_between_actions_ms: { type: 'integer', default: 3000, min: 0, max: 3600000, public: true },
+    // Check-in bonus for day 1, 2, ... of a streak; the cycle repeats after the last day
+    check_in_rewards: { type: 'amounts', default: [5, 10, 15, 20, 30, 40, 50], maxLength: 31, max: 1000000, public: true },
+    // Let users restore a streak broken by one missed day by watching an ad
+    check_in_restore_enabled: { type: 'boolean', default: true, public: true },
+    // Bot messages about withdrawals, new referrals and the daily reset (see lib/notifications.js)
+    notifications_enabled: { type: 'boolean', default: true, public: false },
+    // Weekly leaderboard prizes for place 1, 2, ... (paid when an admin closes the week)
+    leaderboard_weekly_prizes: { type: 'amounts', default: [5000, 2500, 1000], maxLength: 100, max: 100000000, public: true },
+    // Limits and fee of each withdrawal method (disabled methods are not offered)
+    withdrawal_methods: {
+        type: 'methods',
+        options: Object.keys(WITHDRAWAL_METHODS),
+        default: {
+            binance_pay: { enabled: true, min: 400, max: 10000000, fee_type: 'flat', fee: 0 },
+            ton: { enabled: true, min: 5000, max: 10000000, fee_type: 'flat', fee: 500 },
+            bep20: { enabled: true, min: 5000, max: 10000000, fee_type: 'flat', fee: 300 },
+            erc20: { enabled: true, min: 50000, max: 10000000, fee_type: 'flat', fee: 5000 },
+            faucetpay: { enabled: true, min: 400, max: 1000000, fee_type: 'percent', fee: 1 },
+        },
+        public: true,
+    },
+    // Withdrawal risk controls (0 turns a control off; see lib/withdrawalRisk.js)
+    withdrawal_daily_cap: { type: 'number', default: 500000, min: 0, max: 1000000000, public: true },
+    withdrawal_weekly_cap: { type: 'number', default: 2000000, min: 0, max: 1000000000, public: true },
+    withdrawal_cooldown_minutes: { type: 'integer', default: 60, min: 0, max: 43200, public: true },
+    // Before the first withdrawal only
+    withdrawal_min_account_age_hours: { type: 'integer', default: 24, min: 0, max: 8760, public: true },
+    withdrawal_min_ads_watched: { type: 'integer', default: 20, min: 0, max: 100000, public: true },
+    // Requests of at least this amount wait for manual review
+    withdrawal_review_threshold: { type: 'number', default: 100000, min: 0, max: 1000000000, public: false },
+    // Risk score (0-100) that puts a user on a risk hold; 0 never holds (see lib/fraud.js)
+    fraud_hold_score: { type: 'integer', default: 60, min: 0, max: 100, public: false },
+    // Ad waterfall: providers tried in this order until one has an ad (see lib/adProviders.js).
+    // Only providers whose postbacks are accepted are offered, which leaves Adsgram out
+    ad_provider_order: { type: 'list', options: Object.keys(AD_PROVIDERS), default: ['gigapub', 'monetag'], public: true },
+    // Block / zone id of each provider; a provider without an id is skipped
+    ad_provider_ids: { type: 'ids', options: Object.keys(AD_PROVIDERS), default: { gigapub: '3459', adsgram: '', monetag: '' }, public: true },
+};
+
+let cachedSettings = null;
+let cachedAt = 0;
+
+/**
+ * Returns an error message if `value` is not valid for `key`, otherwise null.
+ */
+function validateSetting(key, value) {
+    const definition = SETTING_DEFINITIONS[key];
+    if (!definition) {
+        return `Unknown setting: ${key}`;
+    }
+
+    switch (definition.type) {
+        case 'boolean':
+            return typeof value === 'boolean' ? null : `${key} must be true or false.`;
+        case 'integer':
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value) || (definition.type === 'integer' && !Number.isInteger(value))) {
+                return `${key} must be ${definition.type === 'integer' ? 'an integer' : 'a number'}.`;
+            }
+            if (value < definition.min || value > definition.max) {
+                return `${key} must be between ${definition.min} and ${definition.max}.`;
+            }
+            return null;
+        case 'rates':
+            if (!Array.isArray(value) || value.length > definition.maxLength
+                || !value.every(rate => typeof rate === 'number' && rate >= 0 && rate <= 1)) {
+                return `${key} must be a list of at most ${definition.maxLength} fractions between 0 and 1.`;
+            }
+            return null;
+        case 'amounts':
+            if (!Array.isArray(value) || value.length === 0 || value.length > definition.maxLength
+                || !value.every(amount => typeof amount === 'number' && amount > 0 && amount <= definition.max)) {
+                return `${key} must be a list of 1 to ${definition.maxLength} amounts above 0 and up to ${definition.max}.`;
+            }
+            return null;
+        case 'enum':
+            return definition.options.includes(value) ? null : `${key} must be one of: ${definition.options.join(', ')}.`;
+        case 'list':
+            if (!Array.isArray(value) || new Set(value).size !== value.length
+                || !value.every(entry => definition.options.includes(entry))) {
+                return `${key} must be a list of distinct entries from: ${definition.options.join(', ')}.`;
+            }
+            return null;
+        case 'ids':
+            if (!value || typeof value !== 'object' || Array.isArray(value)
+                || !Object.entries(value).every(([id, entry]) => definition.options.includes(id)
+                    && typeof entry === 'string' && /^[\w-]{0,64}$/.test(entry))) {
+                return `${key} must map ${definition.options.join(', ')} to ids (letters, digits, _ or -).`;
+            }
+            return null;
+        case 'methods': {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                return `${key} must map ${definition.options.join(', ')} to their limits.`;
+            }
+            for (const [method, limits] of Object.entries(value)) {
+                if (!definition.options.includes(method)) {
+                    return `${key}: unknown method ${method}.`;
+                }
+                const error = validateMethodLimits(limits);
+                if (error) {
+                    return `${key}.${method}: ${error}.`;
+                }
+            }
+            return null;
+        }
+        default:
+            return `Setting ${key} has an unknown type.`;
+    }
+}
+
+function defaults() {
+    return Object.fromEntries(Object.entries(SETTING_DEFINITIONS).map(([key, definition]) => [key, definition.default]));
+}
+
+/**
+ * All settings (stored values over defaults). Invalid stored values are ignored.
+ */
+async function getAll() {
+    if (cachedSettings && Date.now() - cachedAt < CACHE_TTL_MS) {
+        return cachedSettings;
+    }
+
+    const settings = defaults();
+    try {
+        const rows = await db.appSettings.list();
+        rows.forEach(({ key, value }) => {
+            if (validateSetting(key, value) === null) {
+                // Methods left out of a stored 'methods' value keep their defaults
+                settings[key] = SETTING_DEFINITIONS[key].type === 'methods' ? { ...settings[key], ...value } : value;
+            } else if (SETTING_DEFINITIONS[key]) {
+                console.warn(`Ignoring invalid stored value for setting ${key}.`);
+            }
+        });
+    } catch (error) {
+        // Keep serving with defaults (or the last known values) if the store is unreachable
+        console.error('Failed to load settings:', error.message);
+        if (cachedSettings) return cachedSettings;
+    }
+
+    cachedSettings = Object.freeze(settings);
+    cachedAt = Date.now();
+    return cachedSettings;
+}
+
+async function get(key) {
+    return (await getAll())[key];
+}
+
+/**
+ * The subset of settings the mini app is allowed to see.
+ */
+async function getPublic() {
+    const settings = await getAll();
+    const values = Object.fromEntries(
+        Object.entries(SETTING_DEFINITIONS)
+            .filter(([, definition]) => definition.public)
+            .map(([key]) => [key, settings[key]])
+    );
+    values.ad_provider_order = waterfallOrder(settings.ad_provider_order);
+    return values;
+}
+
+/**
+ * Validates and stores several settings at once. Nothing is written if any value is invalid.
+ */
+async function update(adminId, changes) {
+    if (!changes || typeof changes !== 'object' || Object.keys(changes).length === 0) {
+        return { ok: false, reason: 'INVALID_SETTING', message: 'No settings to update.' };
+    }
+
+    for (const [key, value] of Object.entries(changes)) {
+        const error = validateSetting(key, value);
+        if (error) {
+            return { ok: false, reason: 'INVALID_SETTING', message: error };
+        }
+    }
+
+    const previous = await getAll();
+    // A 'methods' change only replaces the methods it names
+    const values = Object.fromEntries(Object.entries(changes).map(([key, value]) => [
+        key,
+        SETTING_DEFINITIONS[key].type === 'methods' ? { ...previous[key], ...value } : value,
+    ]));
+    const updatedAt = new Date().toISOString();
+    await db.appSettings.upsert(Object.entries(values).map(([key, value]) => ({
+        key,
+        value,
+        updated_by: adminId,
+        updated_at: updatedAt,
+    })));
+
+    cachedSettings = null;
+    await logAdminAction(adminId, 'update_settings', null, {
+        changes: Object.fromEntries(Object.entries(values).map(([key, value]) => [key, { from: previous[key], to: value }])),
+    });
+
+    return { ok: true, settings: await getAll() };
+}
+
+module.exports = {
+    SETTING_DEFINITIONS,
+    validateSetting,
+    getAll,
+    get,
+    getPublic,
+    update,
+};
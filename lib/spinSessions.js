@@ -0,0 +1,151 @@
+// /lib/spinSessions.js
+
+/**
+ * Spin sessions
+ * `spin` opens a pending session (after its ad was verified) and `spinResult`
+ * resolves exactly that session, once. A session left pending past its
+ * expiry is refunded as a spin credit, which a later `spin` can redeem
+ * without another ad and without counting against the daily limit again.
+ *
+ *   pending  -> resolved   (spinResult paid the prize)
+ *   pending  -> refunded   (expired unresolved; now a spin credit)
+ *   refunded -> redeemed   (the credit opened a new session)
+ *
+ * Every transition is a compare-and-set on status, so concurrent requests
+ * can never resolve or redeem the same session twice.
+ */
+const db = require('./repositories');
+
+const SPIN_SESSION_STATUSES = Object.freeze({
+    PENDING: 'pending',
+    RESOLVED: 'resolved',
+    REFUNDED: 'refunded',
+    REDEEMED: 'redeemed',
+});
+
+const SESSION_TTL_MS = 10 * 60 * 1000;
+
+function isExpired(session, now = Date.now()) {
+    return new Date(session.expires_at).getTime() <= now;
+}
+
+function toPublicSession(session) {
+    return {
+        id: session.id,
+        status: session.status,
+        source: session.source,
+        expires_at: session.expires_at,
+        created_at: session.created_at,
+    };
+}
+
+/**
+ * Refunds the user's expired pending sessions as spin credits.
+ */
+async function refundExpired(userId) {
+    const pending = await db.spinSessions.listByUser(userId, SPIN_SESSION_STATUSES.PENDING);
+    for (const session of pending.filter(s => isExpired(s))) {
+        await db.spinSessions.updateIfStatus(session.id, SPIN_SESSION_STATUSES.PENDING, {
+            status: SPIN_SESSION_STATUSES.REFUNDED,
+            refunded_at: new Date().toISOString(),
+        });
+    }
+}
+
+/**
+ * The user's unfinished spin (if any) and number of spin credits.
+ */
+async function getState(userId) {
+    await refundExpired(userId);
+    const [pending, credits] = await Promise.all([
+        db.spinSessions.listByUser(userId, SPIN_SESSION_STATUSES.PENDING),
+        db.spinSessions.listByUser(userId, SPIN_SESSION_STATUSES.REFUNDED),
+    ]);
+    return { pending: pending.length > 0 ? pending[0] : null, credits: credits.length };
+}
+
+async function openSession(userId, { source, actionId = null, creditSessionId = null }) {
+    return db.spinSessions.create({
+        user_id: userId,
+        source,
+        action_id: actionId,
+        credit_session_id: creditSessionId,
+        status: SPIN_SESSION_STATUSES.PENDING,
+        expires_at: new Date(Date.now() + SESSION_TTL_MS).toISOString(),
+    });
+}
+
+/**
+ * Opens a session for a spin paid with an ad (the ad and daily limit are checked by the caller).
+ */
+async function openAdSession(userId, actionId) {
+    return openSession(userId, { source: 'ad', actionId });
+}
+
+/**
+ * Redeems the user's oldest spin credit and opens a session with it.
+ */
+async function openCreditSession(userId) {
+    const credits = await db.spinSessions.listByUser(userId, SPIN_SESSION_STATUSES.REFUNDED);
+    for (const credit of credits.reverse()) {
+        const redeemed = await db.spinSessions.updateIfStatus(credit.id, SPIN_SESSION_STATUSES.REFUNDED, {
+            status: SPIN_SESSION_STATUSES.REDEEMED,
+            redeemed_at: new Date().toISOString(),
+        });
+        if (redeemed) {
+            return { ok: true, session: await openSession(userId, { source: 'credit', creditSessionId: credit.id }) };
+        }
+    }
+    return { ok: false, reason: 'NO_SPIN_CREDITS', message: 'You have no spin credits.' };
+}
+
+/**
+ * Claims a pending session for resolution. Expired sessions are refunded instead.
+ */
+async function claimSession(userId, sessionId) {
+    const session = sessionId ? await db.spinSessions.findById(sessionId) : null;
+    if (!session || session.user_id !== userId) {
+        return { ok: false, reason: 'NOT_FOUND', message: 'Spin not found.' };
+    }
+    if (session.status !== SPIN_SESSION_STATUSES.PENDING) {
+        return { ok: false, reason: 'ALREADY_RESOLVED', message: 'This spin has already been resolved.' };
+    }
+    if (isExpired(session)) {
+        await refundExpired(userId);
+        return { ok: false, reason: 'EXPIRED', message: 'This spin expired and was returned as a spin credit.' };
+    }
+
+    const claimed = await db.spinSessions.updateIfStatus(session.id, SPIN_SESSION_STATUSES.PENDING, {
+        status: SPIN_SESSION_STATUSES.RESOLVED,
+        resolved_at: new Date().toISOString(),
+    });
+    if (!claimed) {
+        return { ok: false, reason: 'ALREADY_RESOLVED', message: 'This spin has already been resolved.' };
+    }
+    return { ok: true, session: claimed };
+}
+
+/**
+ * Hands a claimed session back if paying its prize failed, so the user can retry.
+ */
+async function releaseSession(sessionId) {
+    return db.spinSessions.updateIfStatus(sessionId, SPIN_SESSION_STATUSES.RESOLVED, {
+        status: SPIN_SESSION_STATUSES.PENDING,
+        resolved_at: null,
+    });
+}
+
+async function attachResult(sessionId, spinResultId) {
+    return db.spinSessions.update(sessionId, { spin_result_id: spinResultId });
+}
+
+module.exports = {
+    SPIN_SESSION_STATUSES,
+    toPublicSession,
+    getState,
+    openAdSession,
+    openCreditSession,
+    claimSession,
+    releaseSession,
+    attachResult,
+};
@@ -0,0 +1,42 @@
+// /lib/storage/index.js
+
+/**
+ * Storage backend selection.
+ * STORAGE_BACKEND=supabase (default) uses the Supabase REST API;
+ * STORAGE_BACKEND=memory keeps everything in process memory for local runs.
+ */
+const { createSupabaseBackend } = require('./supabaseBackend');
+const { createMemoryBackend } = require('./memoryBackend');
+
+const BACKENDS = {
+    supabase: createSupabaseBackend,
+    memory: createMemoryBackend,
+};
+
+let activeBackend = null;
+
+function getStorage() {
+    if (!activeBackend) {
+        const name = process.env.STORAGE_BACKEND || 'supabase';
+        const factory = BACKENDS[name];
+        if (!factory) {
+            throw new Error(`Unknown STORAGE_BACKEND "${name}". Expected one of: ${Object.keys(BACKENDS).join(', ')}.`);
+        }
+        activeBackend = factory();
+    }
+    return activeBackend;
+}
+
+/**
+ * Replaces the active backend (local server, fixtures).
+ */
+function setStorage(backend) {
+    activeBackend = backend;
+}
+
+module.exports = {
+    getStorage,
+    setStorage,
+    createSupabaseBackend,
+    createMemoryBackend,
+};
@@ -0,0 +1,207 @@
+// /lib/storage/memoryBackend.js
+
+/**
+ * In-memory storage backend.
+ * Lets the whole API run on a laptop without a Supabase project. Tables are
+ * plain arrays created on first use; database functions are replaced by the
+ * JavaScript procedures in ./procedures.js, which run synchronously and are
+ * therefore atomic within the process.
+ */
+const { toConditions } = require('./query');
+const procedures = require('./procedures');
+
+function compareValues(a, b) {
+    if (typeof a === 'number' && typeof b === 'number') {
+        return a - b;
+    }
+    if (typeof a === 'number' || typeof b === 'number') {
+        const numA = Number(a);
+        const numB = Number(b);
+        if (!Number.isNaN(numA) && !Number.isNaN(numB)) {
+            return numA - numB;
+        }
+    }
+    const strA = a instanceof Date ? a.toISOString() : String(a);
+    const strB = b instanceof Date ? b.toISOString() : String(b);
+    return strA < strB ? -1 : strA > strB ? 1 : 0;
+}
+
+function likeToRegExp(pattern) {
+    const escaped = String(pattern).replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`^${escaped.replace(/[%*]/g, '.*')}$`, 'i');
+}
+
+function matches(row, [column, operator, value]) {
+    const actual = row[column];
+    const isNull = actual === null || actual === undefined;
+
+    switch (operator) {
+        case 'is':
+            return value === null ? isNull : actual === value;
+        case 'eq':
+            return !isNull && compareValues(actual, value) === 0;
+        case 'neq':
+            return !isNull && compareValues(actual, value) !== 0;
+        case 'gt':
+            return !isNull && compareValues(actual, value) > 0;
+        case 'gte':
+            return !isNull && compareValues(actual, value) >= 0;
+        case 'lt':
+            return !isNull && compareValues(actual, value) < 0;
+        case 'lte':
+            return !isNull && compareValues(actual, value) <= 0;
+        case 'in':
+            return !isNull && value.some(v => compareValues(actual, v) === 0);
+        case 'ilike':
+            return !isNull && likeToRegExp(value).test(String(actual));
+        default:
+            throw new Error(`Unsupported filter operator: ${operator}`);
+    }
+}
+
+function project(row, columns = '*') {
+    if (columns === '*') {
+        return { ...row };
+    }
+    const projected = {};
+    columns.split(',').map(c => c.trim()).filter(Boolean).forEach(column => {
+        projected[column] = row[column] === undefined ? null : row[column];
+    });
+    return projected;
+}
+
+function createMemoryBackend(seed = {}) {
+    const tables = new Map();
+    const sequences = new Map();
+
+    function table(name) {
+        if (!tables.has(name)) {
+            tables.set(name, []);
+        }
+        return tables.get(name);
+    }
+
+    function nextId(name) {
+        const next = (sequences.get(name) || 0) + 1;
+        sequences.set(name, next);
+        return next;
+    }
+
+    function filterRows(name, filters) {
+        const conditions = toConditions(filters);
+        return table(name).filter(row => conditions.every(condition => matches(row, condition)));
+    }
+
+    // Synchronous primitives, also handed to procedures so they run atomically
+    const tx = {
+        select(name, { filters, columns = '*', order, limit, offset = 0 } = {}) {
+            let rows = filterRows(name, filters);
+            if (order) {
+                const direction = order.ascending ? 1 : -1;
+                rows = [...rows].sort((a, b) => {
+                    const aNull = a[order.column] === null || a[order.column] === undefined;
+                    const bNull = b[order.column] === null || b[order.column] === undefined;
+                    if (aNull || bNull) return aNull === bNull ? 0 : aNull ? 1 : -1;
+                    return compareValues(a[order.column], b[order.column]) * direction;
+                });
+            }
+            rows = rows.slice(offset, limit !== undefined ? offset + limit : undefined);
+            return rows.map(row => project(row, columns));
+        },
+
+        insert(name, rows) {
+            const inserted = (Array.isArray(rows) ? rows : [rows]).map(row => {
+                const record = { ...row };
+                if (record.id === undefined || record.id === null) {
+                    record.id = nextId(name);
+                } else if (typeof record.id === 'number') {
+                    sequences.set(name, Math.max(sequences.get(name) || 0, record.id));
+                }
+                if (!record.created_at) {
+                    record.created_at = new Date().toISOString();
+                }
+                table(name).push(record);
+                return record;
+            });
+            return inserted.map(row => ({ ...row }));
+        },
+
+        /**
+         * Inserts rows, or merges them into the existing row with the same `conflictColumns` values.
+         */
+        upsert(name, rows, conflictColumns) {
+            return (Array.isArray(rows) ? rows : [rows]).map(row => {
+                const existing = table(name).find(current => conflictColumns.every(column => current[column] === row[column]));
+                if (existing) {
+                    Object.assign(existing, row);
+                    return { ...existing };
+                }
+                return tx.insert(name, row)[0];
+            });
+        },
+
+        update(name, filters, patch) {
+            return filterRows(name, filters).map(row => {
+                Object.assign(row, patch);
+                return { ...row };
+            });
+        },
+
+        remove(name, filters) {
+            const removed = filterRows(name, filters);
+            tables.set(name, table(name).filter(row => !removed.includes(row)));
+            return removed.map(row => ({ ...row }));
+        },
+    };
+
+    Object.entries(seed).forEach(([name, rows]) => tx.insert(name, rows));
+
+    function requireFilters(filters, operation) {
+        if (toConditions(filters).length === 0) {
+            throw new Error(`Refusing to ${operation} without filters.`);
+        }
+    }
+
+    return {
+        name: 'memory',
+
+        async select(name, query) {
+            return tx.select(name, query);
+        },
+
+        async insert(name, rows) {
+            return tx.insert(name, rows);
+        },
+
+        async upsert(name, rows, conflictColumns) {
+            return tx.upsert(name, rows, conflictColumns);
+        },
+
+        async update(name, filters, patch) {
+            requireFilters(filters, 'update');
+            return tx.update(name, filters, patch);
+        },
+
+        async remove(name, filters) {
+            requireFilters(filters, 'delete');
+            return tx.remove(name, filters);
+        },
+
+        async rpc(functionName, params = {}) {
+            const procedure = procedures[functionName];
+            if (!procedure) {
+                throw new Error(`Could not find the function public.${functionName}`);
+            }
+            return procedure(tx, params);
+        },
+
+        // Raw access for local tooling (dev server, fixtures)
+        dump() {
+            return Object.fromEntries([...tables].map(([name, rows]) => [name, rows.map(row => ({ ...row }))]));
+        },
+    };
+}
+
+module.exports = {
+    createMemoryBackend,
+};
@@ -0,0 +1,265 @@
+// /lib/storage/procedures.js
+
+/**
+ * JavaScript equivalents of the Postgres functions in supabase/migrations,
+ * used by the in-memory backend. Each procedure receives the backend's
+ * synchronous primitives (select/insert/update/remove) and must not await,
+ * so it runs as one atomic step. Errors use the same messages the SQL
+ * functions raise.
+ */
+const { evaluateWindows } = require('../rateLimit/memoryStore');
+
+function apply_ledger_entry(tx, { p_user_id, p_type, p_amount, p_reference_id, p_metadata }) {
+    const [user] = tx.select('users', { filters: { id: p_user_id }, columns: 'id,balance' });
+    if (!user) {
+        throw new Error('USER_NOT_FOUND');
+    }
+
+    const balanceAfter = Number(user.balance || 0) + Number(p_amount);
+    if (balanceAfter < 0) {
+        throw new Error('INSUFFICIENT_BALANCE');
+    }
+    // check (amount <> 0) of the table
+    if (Number(p_amount) === 0) {
+        throw new Error('new row for relation "ledger_entries" violates check constraint "ledger_entries_amount_check"');
+    }
+
+    const duplicate = tx.select('ledger_entries', {
+        filters: { user_id: p_user_id, type: p_type, reference_id: p_reference_id },
+        columns: 'id',
+    });
+    if (duplicate.length > 0) {
+        throw new Error('DUPLICATE_REFERENCE');
+    }
+
+    const [entry] = tx.insert('ledger_entries', {
+        user_id: p_user_id,
+        type: p_type,
+        amount: Number(p_amount),
+        balance_after: balanceAfter,
+        reference_id: p_reference_id,
+        metadata: p_metadata || {},
+    });
+
+    tx.update('users', { id: p_user_id }, { balance: balanceAfter });
+
+    return [entry];
+}
+
+function reconcile_user_balance(tx, { p_user_id }) {
+    const [user] = tx.select('users', { filters: { id: p_user_id }, columns: 'id,balance' });
+    if (!user) {
+        return [];
+    }
+
+    const ledgerBalance = tx.select('ledger_entries', { filters: { user_id: p_user_id }, columns: 'amount' })
+        .reduce((sum, entry) => sum + Number(entry.amount), 0);
+    const corrected = Number(user.balance) !== ledgerBalance;
+
+    if (corrected) {
+        tx.update('users', { id: p_user_id }, { balance: ledgerBalance });
+    }
+
+    return [{ user_id: p_user_id, cached_balance: user.balance, ledger_balance: ledgerBalance, corrected }];
+}
+
+function record_daily_usage(tx, { p_user_id, p_day, p_ads = 0, p_spins = 0, p_earned = 0, p_max_ads = null, p_max_spins = null }) {
+    let [usage] = tx.select('daily_usage', { filters: { user_id: p_user_id, day: p_day } });
+    if (!usage) {
+        [usage] = tx.insert('daily_usage', { user_id: p_user_id, day: p_day, ads_watched: 0, spins: 0, earned: 0 });
+    }
+
+    const adsWatched = usage.ads_watched + Number(p_ads);
+    const spins = usage.spins + Number(p_spins);
+    if ((p_max_ads !== null && Number(p_ads) > 0 && adsWatched > p_max_ads)
+        || (p_max_spins !== null && Number(p_spins) > 0 && spins > p_max_spins)) {
+        throw new Error('DAILY_LIMIT_REACHED');
+    }
+
+    return tx.update('daily_usage', { user_id: p_user_id, day: p_day }, {
+        ads_watched: adsWatched,
+        spins,
+        earned: usage.earned + Number(p_earned),
+        updated_at: new Date().toISOString(),
+    });
+}
+
+function record_task_completion(tx, { p_task_id, p_user_id, p_period, p_reward }) {
+    const [task] = tx.select('tasks', { filters: { id: p_task_id }, columns: 'id,max_completions,completions_count' });
+    if (!task) {
+        throw new Error('TASK_NOT_FOUND');
+    }
+    if (task.max_completions !== null && task.max_completions !== undefined
+        && task.completions_count >= task.max_completions) {
+        throw new Error('TASK_LIMIT_REACHED');
+    }
+    if (tx.select('task_completions', { filters: { task_id: p_task_id, user_id: p_user_id, period: p_period } }).length > 0) {
+        throw new Error('ALREADY_CLAIMED');
+    }
+
+    tx.update('tasks', { id: p_task_id }, { completions_count: (task.completions_count || 0) + 1 });
+    return tx.insert('task_completions', {
+        task_id: p_task_id,
+        user_id: p_user_id,
+        period: p_period,
+        reward: Number(p_reward),
+    });
+}
+
+function ad_provider_stats(tx, { p_since }) {
+    const stats = new Map();
+    tx.select('ad_impressions', { filters: { created_at: { gte: p_since } } }).forEach(row => {
+        if (!stats.has(row.provider)) {
+            stats.set(row.provider, {
+                provider: row.provider, attempts: 0, served: 0, no_fill: 0, errors: 0,
+                ads_rewarded: 0, spins_unlocked: 0, streaks_restored: 0, rewards_paid: 0,
+            });
+        }
+        const s = stats.get(row.provider);
+        s.attempts += 1;
+        if (row.result === 'served') s.served += 1;
+        if (row.result === 'no_fill') s.no_fill += 1;
+        if (row.result === 'error') s.errors += 1;
+        if (row.result === 'served' && row.action_type === 'watchAd') s.ads_rewarded += 1;
+        if (row.result === 'served' && row.action_type === 'spin') s.spins_unlocked += 1;
+        if (row.result === 'served' && row.action_type === 'restoreStreak') s.streaks_restored += 1;
+        s.rewards_paid += Number(row.reward || 0);
+    });
+    return Array.from(stats.values());
+}
+
+function isBanned(user) {
+    return Boolean(user.is_banned) && (!user.ban_expires_at || new Date(user.ban_expires_at).getTime() > Date.now());
+}
+
+function leaderboard(tx, { p_board, p_since = null, p_until = null, p_limit, p_user_id = null, p_earning_types = [] }) {
+    const inWindow = row => (!p_since || row.created_at >= p_since) && (!p_until || row.created_at < p_until);
+    const scores = new Map(); // user_id -> { score, commission }
+    const add = (userId, score, commission) => {
+        const current = scores.get(userId) || { score: 0, commission: 0 };
+        scores.set(userId, { score: current.score + score, commission: current.commission + commission });
+    };
+
+    if (p_board === 'earners') {
+        tx.select('ledger_entries', { filters: { type: { in: p_earning_types } } }).filter(inWindow).forEach(entry => {
+            add(entry.user_id, Number(entry.amount), entry.type === 'referral_commission' ? Number(entry.amount) : 0);
+        });
+    } else if (p_board === 'referrers') {
+        tx.select('users').filter(user => user.ref_by !== null && user.ref_by !== undefined && inWindow(user))
+            .forEach(user => add(user.ref_by, 1, 0));
+        tx.select('commission_history').filter(inWindow).forEach(record => add(record.referrer_id, 0, Number(record.amount)));
+    }
+
+    const ranked = [...scores]
+        .map(([userId, totals]) => ({ user_id: userId, ...totals, user: tx.select('users', { filters: { id: userId } })[0] }))
+        .filter(row => row.score > 0 && row.user && !isBanned(row.user))
+        .sort((a, b) => b.score - a.score || b.commission - a.commission || a.user_id - b.user_id)
+        .map((row, index) => ({ place: index + 1, user_id: row.user_id, score: row.score, commission: row.commission }));
+
+    return ranked.filter(row => row.place <= p_limit || row.user_id === p_user_id);
+}
+
+function referral_totals(tx, { p_referrer_id, p_day_start = null, p_week_start = null }) {
+    const since = (rows, start) => (start ? rows.filter(row => row.created_at >= start) : []);
+    const sum = rows => rows.reduce((total, row) => total + Number(row.amount), 0);
+    const referees = tx.select('users', { filters: { ref_by: p_referrer_id }, columns: 'id,created_at' });
+    const commissions = tx.select('commission_history', { filters: { referrer_id: p_referrer_id }, columns: 'amount,created_at' });
+
+    return [{
+        referrals_count: referees.length,
+        referrals_today: since(referees, p_day_start).length,
+        referrals_this_week: since(referees, p_week_start).length,
+        commission_today: sum(since(commissions, p_day_start)),
+        commission_this_week: sum(since(commissions, p_week_start)),
+        commission_all_time: sum(commissions),
+    }];
+}
+
+const REFERRAL_SORT_KEYS = {
+    joined: row => Date.parse(row.joined_at),
+    last_active: row => (row.last_active_at ? Date.parse(row.last_active_at) : null),
+    ads_watched: row => row.ads_watched,
+    commission: row => row.commission,
+    name: row => (row.first_name || row.username || '').toLowerCase(),
+};
+
+function referral_stats(tx, { p_referrer_id, p_sort = 'joined', p_descending = true, p_limit = 20, p_offset = 0 }) {
+    const sortKey = REFERRAL_SORT_KEYS[p_sort] || REFERRAL_SORT_KEYS.joined;
+    const direction = p_descending ? -1 : 1;
+
+    return tx.select('users', { filters: { ref_by: p_referrer_id } })
+        .map(user => ({
+            user_id: user.id,
+            username: user.username || null,
+            first_name: user.first_name || null,
+            last_name: user.last_name || null,
+            photo_url: user.photo_url || null,
+            joined_at: user.created_at,
+            last_active_at: user.last_activity || null,
+            ads_watched: tx.select('daily_usage', { filters: { user_id: user.id } })
+                .reduce((total, row) => total + Number(row.ads_watched), 0),
+            commission: tx.select('commission_history', { filters: { referrer_id: p_referrer_id, referee_id: user.id } })
+                .reduce((total, row) => total + Number(row.amount), 0),
+        }))
+        .sort((a, b) => {
+            const [x, y] = [sortKey(a), sortKey(b)];
+            // Nulls last in both directions, then newest referee first
+            if (x === null || y === null) return x === y ? b.user_id - a.user_id : x === null ? 1 : -1;
+            if (x !== y) return (x < y ? -1 : 1) * direction;
+            return b.user_id - a.user_id;
+        })
+        .slice(p_offset, p_offset + p_limit);
+}
+
+function activity_totals(tx, { p_user_id, p_types, p_since = null, p_until = null }) {
+    const totals = new Map(); // type -> { type, entries, amount }
+    tx.select('ledger_entries', { filters: { user_id: p_user_id, type: { in: p_types } } })
+        .filter(entry => (!p_since || entry.created_at >= p_since) && (!p_until || entry.created_at < p_until))
+        .forEach(entry => {
+            const row = totals.get(entry.type) || { type: entry.type, entries: 0, amount: 0 };
+            row.entries += 1;
+            row.amount += Number(entry.amount);
+            totals.set(entry.type, row);
+        });
+    return Array.from(totals.values());
+}
+
+function count_users_without_entry(tx, { p_user_ids, p_type }) {
+    const withEntry = new Set(tx.select('ledger_entries', { filters: { user_id: { in: p_user_ids }, type: p_type }, columns: 'user_id' })
+        .map(entry => Number(entry.user_id)));
+    return [{ users_count: new Set(p_user_ids.map(Number)).size - withEntry.size }];
+}
+
+function rate_limit_hit(tx, { p_key, p_windows, p_now }) {
+    const now = Date.parse(p_now);
+    const longestWindowMs = Math.max(...p_windows.map(w => w.window_ms));
+    const cutoff = new Date(now - longestWindowMs).toISOString();
+    tx.remove('rate_limit_hits', { key: p_key, hit_at: { lte: cutoff } });
+
+    const times = tx.select('rate_limit_hits', { filters: { key: p_key }, order: { column: 'hit_at', ascending: true } })
+        .map(row => Date.parse(row.hit_at));
+    const result = evaluateWindows(times, p_windows, now);
+    if (result.allowed) {
+        tx.insert('rate_limit_hits', { key: p_key, hit_at: new Date(now).toISOString() });
+    }
+    return [result];
+}
+
+function rate_limit_purge(tx, { p_before }) {
+    return [{ deleted: tx.remove('rate_limit_hits', { hit_at: { lt: p_before } }).length }];
+}
+
+module.exports = {
+    apply_ledger_entry,
+    reconcile_user_balance,
+    record_daily_usage,
+    record_task_completion,
+    ad_provider_stats,
+    leaderboard,
+    referral_totals,
+    referral_stats,
+    activity_totals,
+    count_users_without_entry,
+    rate_limit_hit,
+    rate_limit_purge,
+};
@@ -0,0 +1,43 @@
+// /lib/storage/query.js
+
+/**
+ * Backend-neutral query description shared by every storage backend.
+ *
+ * filters: { column: value }                   -> column = value (null -> IS NULL)
+ *          { column: { gte: a, lt: b } }       -> one condition per operator
+ *          operators: eq, neq, gt, gte, lt, lte, in, is, ilike
+ * order:   { column, ascending }
+ */
+const OPERATORS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'in', 'is', 'ilike'];
+
+/**
+ * Expands a filters object into a flat list of [column, operator, value] conditions.
+ */
+function toConditions(filters = {}) {
+    const conditions = [];
+
+    for (const [column, condition] of Object.entries(filters)) {
+        if (condition === undefined) continue;
+
+        if (condition === null) {
+            conditions.push([column, 'is', null]);
+        } else if (typeof condition === 'object' && !Array.isArray(condition) && !(condition instanceof Date)) {
+            for (const [operator, value] of Object.entries(condition)) {
+                if (!OPERATORS.includes(operator)) {
+                    throw new Error(`Unsupported filter operator: ${operator}`);
+                }
+                if (value === undefined) continue;
+                conditions.push([column, operator, value]);
+            }
+        } else {
+            conditions.push([column, 'eq', condition]);
+        }
+    }
+
+    return conditions;
+}
+
+module.exports = {
+    OPERATORS,
+    toConditions,
+};
@@ -0,0 +1,89 @@
+// /lib/storage/supabaseBackend.js
+
+/**
+ * Storage backend for the Supabase REST API (PostgREST).
+ * Translates backend-neutral queries into PostgREST query strings.
+ */
+const { supabaseFetch, supabaseRpc } = require('../supabase');
+const { toConditions } = require('./query');
+
+function formatValue(operator, value) {
+    if (operator === 'in') {
+        return `(${value.map(v => encodeURIComponent(v)).join(',')})`;
+    }
+    if (operator === 'is') {
+        return value === null ? 'null' : String(value);
+    }
+    if (operator === 'ilike') {
+        // PostgREST uses * as the wildcard in URLs
+        return encodeURIComponent(String(value).replace(/%/g, '*'));
+    }
+    return encodeURIComponent(value instanceof Date ? value.toISOString() : value);
+}
+
+function buildQuery({ filters, columns = '*', order, limit, offset } = {}) {
+    const params = [`select=${columns}`];
+
+    for (const [column, operator, value] of toConditions(filters)) {
+        params.push(`${column}=${operator}.${formatValue(operator, value)}`);
+    }
+    if (order) {
+        params.push(`order=${order.column}.${order.ascending ? 'asc' : 'desc'}`);
+    }
+    if (limit !== undefined) {
+        params.push(`limit=${limit}`);
+    }
+    if (offset !== undefined) {
+        params.push(`offset=${offset}`);
+    }
+
+    return `?${params.join('&')}`;
+}
+
+function requireFilters(filters, operation) {
+    if (toConditions(filters).length === 0) {
+        throw new Error(`Refusing to ${operation} without filters.`);
+    }
+}
+
+function asRows(result) {
+    return Array.isArray(result) ? result : [];
+}
+
+function createSupabaseBackend() {
+    return {
+        name: 'supabase',
+
+        async select(table, query = {}) {
+            return asRows(await supabaseFetch(table, 'GET', null, buildQuery(query)));
+        },
+
+        async insert(table, rows) {
+            return asRows(await supabaseFetch(table, 'POST', rows, '?select=*'));
+        },
+
+        async upsert(table, rows, conflictColumns) {
+            return asRows(await supabaseFetch(table, 'POST', rows, `?on_conflict=${conflictColumns.join(',')}&select=*`,
+                'resolution=merge-duplicates,return=representation'));
+        },
+
+        async update(table, filters, patch) {
+            requireFilters(filters, 'update');
+            return asRows(await supabaseFetch(table, 'PATCH', patch, buildQuery({ filters })));
+        },
+
+        async remove(table, filters) {
+            requireFilters(filters, 'delete');
+            return asRows(await supabaseFetch(table, 'DELETE', null, buildQuery({ filters })));
+        },
+
+        async rpc(functionName, params) {
+            return asRows(await supabaseRpc(functionName, params));
+        },
+    };
+}
+
+module.exports = {
+    createSupabaseBackend,
+    buildQuery,
+};
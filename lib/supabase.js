@@ -0,0 +1,67 @@
+// /lib/supabase.js
+
+/**
+ * Thin client for the Supabase REST API (PostgREST).
+ * Shared by the API handlers and the server-side subsystems in /lib.
+ */
+
+// Load environment variables for Supabase connection
+const SUPABASE_URL = process.env.NEXT_PUBLIC_SUPABASE_URL;
+const SUPABASE_ANON_KEY = process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY;
+
+async function supabaseFetch(tableName, method, body = null, queryParams = '?select=*', prefer = 'return=representation') {
+  if (!SUPABASE_URL || !SUPABASE_ANON_KEY) {
+    throw new Error('Supabase environment variables are not configured.');
+  }
+
+  const url = `${SUPABASE_URL}/rest/v1/${tableName}${queryParams}`;
+
+  const headers = {
+    'apikey': SUPABASE_ANON_KEY,
+    'Authorization': `Bearer ${SUPABASE_ANON_KEY}`,
+    'Content-Type': 'application/json',
+    'Prefer': prefer
+  };
+
+  const options = {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : null,
+  };
+
+  const response = await fetch(url, options);
+
+  if (response.ok) {
+      const responseText = await response.text();
+      try {
+          const jsonResponse = JSON.parse(responseText);
+          return Array.isArray(jsonResponse) ? jsonResponse : { success: true };
+      } catch (e) {
+          return { success: true };
+      }
+  }
+
+  let data;
+  try {
+      data = await response.json();
+  } catch (e) {
+      const errorMsg = `Supabase error: ${response.status} ${response.statusText}`;
+      throw new Error(errorMsg);
+  }
+
+  const errorMsg = data.message || `Supabase error: ${response.status} ${response.statusText}`;
+  throw new Error(errorMsg);
+}
+
+/**
+ * Calls a Postgres function exposed by PostgREST under /rpc.
+ * Functions should return SETOF rows so the result always comes back as an array.
+ */
+async function supabaseRpc(functionName, params = {}) {
+    return supabaseFetch(`rpc/${functionName}`, 'POST', params, '');
+}
+
+module.exports = {
+    supabaseFetch,
+    supabaseRpc,
+};
@@ -0,0 +1,320 @@
+// /lib/tasks.js
+
+/**
+ * Tasks (partner promotions and quests)
+ * Admins publish tasks with a reward, an optional start/end date and an
+ * optional cap on total completions. How a task is verified depends on its type:
+ *
+ *   join_channel    the Bot API getChatMember says the user is in `chat_id`
+ *                   (the bot must be an administrator of that chat)
+ *   start_bot,
+ *   visit_link      the user opened `url` (startTask) at least VISIT_MIN_SECONDS ago
+ *   watch_ads       `target` ads watched today (repeats every day)
+ *   invite_friends  `target` referrals
+ *
+ * A claim is recorded by the `record_task_completion` database function, which
+ * enforces the completion cap and one completion per user (per day for daily
+ * tasks); the reward is then paid through the ledger.
+ */
+const db = require('./repositories');
+const ledger = require('./ledger');
+const dailyLimits = require('./dailyLimits');
+const telegram = require('./telegram');
+const { getStorage } = require('./storage');
+const { logAdminAction } = require('./admin');
+
+// verify: how a claim is checked; daily: completable once per day instead of once
+const TASK_TYPES = {
+    join_channel: { verify: 'membership', daily: false },
+    start_bot: { verify: 'visit', daily: false },
+    visit_link: { verify: 'visit', daily: false },
+    watch_ads: { verify: 'count', daily: true },
+    invite_friends: { verify: 'count', daily: false },
+};
+
+const VISIT_MIN_SECONDS = 10;
+const MAX_REWARD = 1000000;
+
+function isLive(task, now = Date.now()) {
+    return task.active
+        && (!task.starts_at || new Date(task.starts_at).getTime() <= now)
+        && (!task.ends_at || new Date(task.ends_at).getTime() > now);
+}
+
+function isSoldOut(task) {
+    return task.max_completions !== null && task.max_completions !== undefined
+        && task.completions_count >= task.max_completions;
+}
+
+function toPublicTask(task) {
+    return {
+        id: task.id,
+        type: task.type,
+        title: task.title,
+        description: task.description,
+        url: task.url,
+        target: task.target,
+        reward: Number(task.reward),
+        ends_at: task.ends_at,
+        daily: TASK_TYPES[task.type].daily,
+    };
+}
+
+/**
+ * Returns an error message for invalid task fields, or null if they are valid.
+ */
+function validateTask(input) {
+    if (!input || typeof input !== 'object') {
+        return 'Task must be an object.';
+    }
+    const type = TASK_TYPES[input.type];
+    if (!type) {
+        return `type must be one of: ${Object.keys(TASK_TYPES).join(', ')}.`;
+    }
+    if (typeof input.title !== 'string' || !input.title.trim() || input.title.length > 80) {
+        return 'title must be a non-empty string of at most 80 characters.';
+    }
+    if (input.description !== undefined && input.description !== null
+        && (typeof input.description !== 'string' || input.description.length > 300)) {
+        return 'description must be a string of at most 300 characters.';
+    }
+    if (!Number.isFinite(input.reward) || input.reward <= 0 || input.reward > MAX_REWARD) {
+        return `reward must be a number above 0 and up to ${MAX_REWARD}.`;
+    }
+    if (type.verify !== 'count' && (typeof input.url !== 'string' || !/^https:\/\/\S+$/.test(input.url))) {
+        return 'url must be an https:// link.';
+    }
+    if (type.verify === 'membership'
+        && !(typeof input.chat_id === 'string' && /^(@\w{5,32}|-100\d+)$/.test(input.chat_id))) {
+        return 'chat_id must be a @channel username or a -100... chat id.';
+    }
+    if (type.verify === 'count' && !(Number.isInteger(input.target) && input.target > 0)) {
+        return 'target must be a positive integer.';
+    }
+    for (const field of ['starts_at', 'ends_at']) {
+        if (input[field] !== undefined && input[field] !== null && Number.isNaN(Date.parse(input[field]))) {
+            return `${field} must be a date.`;
+        }
+    }
+    if (input.starts_at && input.ends_at && Date.parse(input.starts_at) >= Date.parse(input.ends_at)) {
+        return 'ends_at must be after starts_at.';
+    }
+    if (input.max_completions !== undefined && input.max_completions !== null
+        && !(Number.isInteger(input.max_completions) && input.max_completions > 0)) {
+        return 'max_completions must be a positive integer.';
+    }
+    return null;
+}
+
+function normalizeTask(input) {
+    const verify = TASK_TYPES[input.type].verify;
+    return {
+        type: input.type,
+        title: input.title.trim(),
+        description: input.description || null,
+        url: verify !== 'count' ? input.url : null,
+        chat_id: verify === 'membership' ? input.chat_id : null,
+        target: verify === 'count' ? input.target : null,
+        reward: input.reward,
+        starts_at: input.starts_at ? new Date(input.starts_at).toISOString() : null,
+        ends_at: input.ends_at ? new Date(input.ends_at).toISOString() : null,
+        max_completions: input.max_completions || null,
+        active: input.active !== false,
+        sort_order: Number.isInteger(input.sort_order) ? input.sort_order : 0,
+    };
+}
+
+/**
+ * Creates a task, or updates task `input.id`. Admin-only.
+ */
+async function saveTask(adminId, input) {
+    const error = validateTask(input);
+    if (error) {
+        return { ok: false, reason: 'INVALID_TASK', message: error };
+    }
+
+    const fields = { ...normalizeTask(input), updated_at: new Date().toISOString() };
+    let task;
+    if (input.id) {
+        task = await db.tasks.update(input.id, fields);
+        if (!task) {
+            return { ok: false, reason: 'NOT_FOUND', message: 'Task not found.' };
+        }
+    } else {
+        task = await db.tasks.create({ ...fields, completions_count: 0, created_by: adminId });
+    }
+
+    await logAdminAction(adminId, input.id ? 'update_task' : 'create_task', null, { task_id: task.id, task: fields });
+    return { ok: true, task };
+}
+
+/**
+ * The completion period of a task for the user: 'once', or today's date for daily tasks.
+ */
+async function getPeriodKey(task, user) {
+    return TASK_TYPES[task.type].daily ? (await dailyLimits.getPeriod(user)).day : 'once';
+}
+
+async function getProgress(task, user) {
+    if (task.type === 'watch_ads') {
+        const period = await dailyLimits.getPeriod(user);
+        return (await dailyLimits.getUsage(user.id, period.day)).ads_watched;
+    }
+    if (task.type === 'invite_friends') {
+        return db.users.countReferrals(user.id);
+    }
+    return null;
+}
+
+/**
+ * Live tasks for the user with their state: 'available' | 'started' | 'completed'.
+ * Sold-out tasks are only listed to users who completed them.
+ */
+async function listForUser(user) {
+    const [tasks, completions, starts, period] = await Promise.all([
+        db.tasks.listActive(),
+        db.taskCompletions.listByUser(user.id),
+        db.taskStarts.listByUser(user.id),
+        dailyLimits.getPeriod(user),
+    ]);
+
+    const listed = [];
+    for (const task of tasks.filter(t => isLive(t) && TASK_TYPES[t.type])) {
+        const periodKey = TASK_TYPES[task.type].daily ? period.day : 'once';
+        const completed = completions.some(c => c.task_id === task.id && c.period === periodKey);
+        if (!completed && isSoldOut(task)) continue;
+
+        const started = starts.some(s => s.task_id === task.id && s.period === periodKey);
+        listed.push({
+            ...toPublicTask(task),
+            status: completed ? 'completed' : started ? 'started' : 'available',
+            progress: completed ? task.target : await getProgress(task, user),
+        });
+    }
+    return listed;
+}
+
+async function findLiveTask(taskId) {
+    const task = taskId ? await db.tasks.findById(taskId) : null;
+    if (!task || !TASK_TYPES[task.type] || !isLive(task)) {
+        return null;
+    }
+    return task;
+}
+
+/**
+ * Records that the user opened a visit task's link (claimable VISIT_MIN_SECONDS later).
+ */
+async function startTask(user, taskId) {
+    const task = await findLiveTask(taskId);
+    if (!task) {
+        return { ok: false, reason: 'NOT_FOUND', message: 'Task not found or no longer available.' };
+    }
+    if (TASK_TYPES[task.type].verify !== 'visit') {
+        return { ok: true, task: toPublicTask(task) };
+    }
+
+    const period = await getPeriodKey(task, user);
+    let start = await db.taskStarts.find(task.id, user.id, period);
+    if (!start) {
+        start = await db.taskStarts.create({ task_id: task.id, user_id: user.id, period, started_at: new Date().toISOString() });
+    }
+    const claimableAt = new Date(new Date(start.started_at).getTime() + VISIT_MIN_SECONDS * 1000).toISOString();
+    return { ok: true, task: toPublicTask(task), claimable_at: claimableAt };
+}
+
+/**
+ * Checks that the user did what the task asks. Returns null when verified, otherwise a failure.
+ */
+async function verify(task, user, period) {
+    switch (TASK_TYPES[task.type].verify) {
+        case 'membership': {
+            let joined;
+            try {
+                joined = await telegram.isChatMember(task.chat_id, user.id);
+            } catch (error) {
+                console.error(`getChatMember failed for task ${task.id}:`, error.message);
+                return { ok: false, reason: 'VERIFICATION_FAILED', message: 'Could not check your membership. Please try again later.' };
+            }
+            return joined ? null : { ok: false, reason: 'NOT_VERIFIED', message: 'Join the channel first, then claim the reward.' };
+        }
+        case 'visit': {
+            const start = await db.taskStarts.find(task.id, user.id, period);
+            if (!start) {
+                return { ok: false, reason: 'NOT_STARTED', message: 'Open the task link first.' };
+            }
+            const waitMs = new Date(start.started_at).getTime() + VISIT_MIN_SECONDS * 1000 - Date.now();
+            return waitMs <= 0 ? null : {
+                ok: false, reason: 'NOT_VERIFIED', message: `Please wait ${Math.ceil(waitMs / 1000)} more seconds.`,
+            };
+        }
+        case 'count': {
+            const progress = await getProgress(task, user);
+            return progress >= task.target ? null : {
+                ok: false, reason: 'NOT_VERIFIED', message: `Progress ${progress}/${task.target}. Keep going!`, progress,
+            };
+        }
+        default:
+            return { ok: false, reason: 'NOT_FOUND', message: 'Unknown task type.' };
+    }
+}
+
+/**
+ * Verifies the task for the user and pays its reward once (per day for daily tasks).
+ */
+async function claimTask(user, taskId) {
+    const task = await findLiveTask(taskId);
+    if (!task) {
+        return { ok: false, reason: 'NOT_FOUND', message: 'Task not found or no longer available.' };
+    }
+
+    const period = await getPeriodKey(task, user);
+    if (await db.taskCompletions.find(task.id, user.id, period)) {
+        return { ok: false, reason: 'ALREADY_CLAIMED', message: 'You have already claimed this task.' };
+    }
+
+    const failure = await verify(task, user, period);
+    if (failure) {
+        return failure;
+    }
+
+    // 1. Record the completion (atomic: completion cap and one claim per user and period)
+    try {
+        await getStorage().rpc('record_task_completion', {
+            p_task_id: task.id,
+            p_user_id: user.id,
+            p_period: period,
+            p_reward: Number(task.reward),
+        });
+    } catch (error) {
+        if (error.message.includes('TASK_LIMIT_REACHED')) {
+            return { ok: false, reason: 'SOLD_OUT', message: 'This task has reached its completion limit.' };
+        }
+        if (error.message.includes('ALREADY_CLAIMED')) {
+            return { ok: false, reason: 'ALREADY_CLAIMED', message: 'You have already claimed this task.' };
+        }
+        throw error;
+    }
+
+    // 2. Pay the reward
+    const entry = await ledger.credit(user.id, ledger.ENTRY_TYPES.TASK_REWARD, Number(task.reward), `task:${task.id}:${period}`, {
+        task_type: task.type,
+    });
+    if (!entry.ok) {
+        return entry;
+    }
+    const day = (await dailyLimits.getPeriod(user)).day;
+    await dailyLimits.recordUsage(user.id, day, { earned: Number(task.reward) });
+
+    return { ok: true, reward: Number(task.reward), balance: entry.balance, task: toPublicTask(task) };
+}
+
+module.exports = {
+    TASK_TYPES,
+    VISIT_MIN_SECONDS,
+    validateTask,
+    saveTask,
+    listForUser,
+    startTask,
+    claimTask,
+};
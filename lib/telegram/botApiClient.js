@@ -0,0 +1,53 @@
+// /lib/telegram/botApiClient.js
+
+/**
+ * Telegram client for the Bot API (https://core.telegram.org/bots/api).
+ * Methods resolve with the `result` of the call and throw on `ok: false`;
+ * the thrown error carries Telegram's `error_code` as `code` (403 when the
+ * user blocked the bot).
+ */
+const API_BASE_URL = 'https://api.telegram.org';
+
+function createBotApiClient(token = process.env.BOT_TOKEN) {
+    async function call(method, params = {}) {
+        if (!token) {
+            throw new Error('BOT_TOKEN is not configured.');
+        }
+
+        const response = await fetch(`${API_BASE_URL}/bot${token}/${method}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(params),
+        });
+
+        let data;
+        try {
+            data = await response.json();
+        } catch (e) {
+            throw new Error(`Telegram API error: ${response.status} ${response.statusText}`);
+        }
+        if (!data.ok) {
+            const error = new Error(`Telegram API error: ${data.description || response.status}`);
+            error.code = data.error_code || response.status;
+            throw error;
+        }
+        return data.result;
+    }
+
+    return {
+        name: 'bot_api',
+        call,
+
+        async getChatMember(chatId, userId) {
+            return call('getChatMember', { chat_id: chatId, user_id: userId });
+        },
+
+        async sendMessage(chatId, text, extra = {}) {
+            return call('sendMessage', { chat_id: chatId, text, ...extra });
+        },
+    };
+}
+
+module.exports = {
+    createBotApiClient,
+};
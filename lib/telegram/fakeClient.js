@@ -0,0 +1,66 @@
+// /lib/telegram/fakeClient.js
+
+/**
+ * In-process stand-in for the Bot API, used by the local dev server.
+ * Users are members of every chat unless `leaveChat` was called for them,
+ * so join tasks can be claimed without a real channel. Sent messages are kept
+ * in `sent` (and logged) instead of being delivered.
+ */
+function createFakeClient({ joinedByDefault = true, log = false } = {}) {
+    const memberships = new Map(); // "chatId:userId" -> true / false
+    const blockedBy = new Set(); // chat ids of users who "blocked the bot"
+    const sent = [];
+
+    return {
+        name: 'fake',
+        sent,
+
+        async call(method, params = {}) {
+            if (method === 'getChatMember') {
+                return this.getChatMember(params.chat_id, params.user_id);
+            }
+            if (method === 'sendMessage') {
+                const { chat_id, text, ...extra } = params;
+                return this.sendMessage(chat_id, text, extra);
+            }
+            return true;
+        },
+
+        async getChatMember(chatId, userId) {
+            const key = `${chatId}:${userId}`;
+            const joined = memberships.has(key) ? memberships.get(key) : joinedByDefault;
+            return { status: joined ? 'member' : 'left', user: { id: userId } };
+        },
+
+        async sendMessage(chatId, text, extra = {}) {
+            if (blockedBy.has(String(chatId))) {
+                const error = new Error('Telegram API error: Forbidden: bot was blocked by the user');
+                error.code = 403;
+                throw error;
+            }
+            const message = { message_id: sent.length + 1, chat: { id: chatId }, text, ...extra, date: Math.floor(Date.now() / 1000) };
+            sent.push(message);
+            if (log) {
+                console.log(`[telegram -> ${chatId}] ${text}`);
+            }
+            return message;
+        },
+
+        // Local tooling: change who is in which chat
+        joinChat(chatId, userId) {
+            memberships.set(`${chatId}:${userId}`, true);
+        },
+
+        leaveChat(chatId, userId) {
+            memberships.set(`${chatId}:${userId}`, false);
+        },
+
+        blockBot(userId) {
+            blockedBy.add(String(userId));
+        },
+    };
+}
+
+module.exports = {
+    createFakeClient,
+};
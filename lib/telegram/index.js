@@ -0,0 +1,90 @@
+// /lib/telegram/index.js
+
+/**
+ * Telegram Bot API client selection.
+ * TELEGRAM_CLIENT=bot_api (default) calls api.telegram.org with BOT_TOKEN;
+ * TELEGRAM_CLIENT=fake answers locally for development and offline runs.
+ */
+const { createBotApiClient } = require('./botApiClient');
+const { createFakeClient } = require('./fakeClient');
+
+const CLIENTS = {
+    bot_api: createBotApiClient,
+    fake: createFakeClient,
+};
+
+// getChatMember statuses that count as being in the chat
+const MEMBER_STATUSES = ['creator', 'administrator', 'member'];
+
+// Bot API error code when the user blocked the bot (or deleted their account)
+const BLOCKED_ERROR_CODE = 403;
+
+let activeClient = null;
+
+function getTelegramClient() {
+    if (!activeClient) {
+        const name = process.env.TELEGRAM_CLIENT || 'bot_api';
+        const factory = CLIENTS[name];
+        if (!factory) {
+            throw new Error(`Unknown TELEGRAM_CLIENT "${name}". Expected one of: ${Object.keys(CLIENTS).join(', ')}.`);
+        }
+        activeClient = factory();
+    }
+    return activeClient;
+}
+
+/**
+ * Replaces the active client (local server, fixtures).
+ */
+function setTelegramClient(client) {
+    activeClient = client;
+}
+
+/**
+ * Whether the user is currently in the channel or group (restricted members count too).
+ */
+async function isChatMember(chatId, userId) {
+    const member = await getTelegramClient().getChatMember(chatId, userId);
+    return MEMBER_STATUSES.includes(member.status) || (member.status === 'restricted' && member.is_member === true);
+}
+
+function isBlockedError(error) {
+    return Boolean(error) && error.code === BLOCKED_ERROR_CODE;
+}
+
+/**
+ * URL of the hosted mini app (MINI_APP_URL). A web_app button does not pass a
+ * start parameter to the app, so `startParam` (e.g. "ref_123") is added as a
+ * `startapp` query parameter, which the page reads itself.
+ */
+function miniAppUrl(startParam) {
+    const base = process.env.MINI_APP_URL;
+    if (!base) {
+        return null;
+    }
+    const url = new URL(base);
+    if (startParam) {
+        url.searchParams.set('startapp', startParam);
+    }
+    return url.toString();
+}
+
+/**
+ * sendMessage options with a single button that opens the mini app, or {} when
+ * MINI_APP_URL is not configured.
+ */
+function openAppMarkup(label, startParam) {
+    const url = miniAppUrl(startParam);
+    return url ? { reply_markup: { inline_keyboard: [[{ text: label, web_app: { url } }]] } } : {};
+}
+
+module.exports = {
+    getTelegramClient,
+    setTelegramClient,
+    isChatMember,
+    isBlockedError,
+    miniAppUrl,
+    openAppMarkup,
+    createBotApiClient,
+    createFakeClient,
+};
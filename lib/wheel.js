@@ -0,0 +1,159 @@
+// /lib/wheel.js
+
+/**
+ * Spin wheel configuration
+ * The wheel (prize value, weight, color, label, jackpot flag per sector) lives
+ * on the server and is sent to the client, which only renders it. Admins can
+ * publish a new wheel at any time; each spin records the wheel it used so it
+ * can still be verified after the wheel changes.
+ */
+const db = require('./repositories');
+const { logAdminAction } = require('./admin');
+
+// Used until an admin publishes a wheel (same prizes and odds as the original hard-coded wheel)
+const DEFAULT_WHEEL = Object.freeze({
+    id: null,
+    name: 'default',
+    sectors: [
+        { value: 5, weight: 1, color: '#00bfff', label: '5', jackpot: false },
+        { value: 10, weight: 1, color: '#ff8c00', label: '10', jackpot: false },
+        { value: 15, weight: 1, color: '#28a745', label: '15', jackpot: false },
+        { value: 20, weight: 1, color: '#ff4500', label: '20', jackpot: false },
+        { value: 5, weight: 1, color: '#00f2fe', label: '5', jackpot: false },
+    ],
+});
+
+const MIN_SECTORS = 2;
+const MAX_SECTORS = 24;
+const CACHE_TTL_MS = 30000;
+
+let cachedWheel = null;
+let cachedAt = 0;
+
+/**
+ * Returns an error message for an invalid sector list, or null if it is valid.
+ */
+function validateSectors(sectors) {
+    if (!Array.isArray(sectors) || sectors.length < MIN_SECTORS || sectors.length > MAX_SECTORS) {
+        return `A wheel needs between ${MIN_SECTORS} and ${MAX_SECTORS} sectors.`;
+    }
+
+    for (const [i, sector] of sectors.entries()) {
+        if (!sector || typeof sector !== 'object') {
+            return `Sector ${i} must be an object.`;
+        }
+        if (!Number.isFinite(sector.value) || sector.value < 0) {
+            return `Sector ${i}: value must be a non-negative number.`;
+        }
+        if (!Number.isFinite(sector.weight) || sector.weight <= 0) {
+            return `Sector ${i}: weight must be a positive number.`;
+        }
+        if (typeof sector.color !== 'string' || !/^#[0-9a-fA-F]{3,8}$/.test(sector.color)) {
+            return `Sector ${i}: color must be a hex color such as #ff8c00.`;
+        }
+        if (sector.label !== undefined && (typeof sector.label !== 'string' || sector.label.length > 16)) {
+            return `Sector ${i}: label must be a string of at most 16 characters.`;
+        }
+        if (sector.jackpot !== undefined && typeof sector.jackpot !== 'boolean') {
+            return `Sector ${i}: jackpot must be true or false.`;
+        }
+    }
+
+    return null;
+}
+
+function normalizeSectors(sectors) {
+    return sectors.map(sector => ({
+        value: sector.value,
+        weight: sector.weight,
+        color: sector.color,
+        label: sector.label !== undefined ? sector.label : String(sector.value),
+        jackpot: sector.jackpot === true,
+    }));
+}
+
+/**
+ * Maps a uniform roll in [0, 1) to a sector index, proportionally to the weights.
+ */
+function pickWeightedIndex(roll, sectors) {
+    const totalWeight = sectors.reduce((sum, sector) => sum + sector.weight, 0);
+    const target = roll * totalWeight;
+
+    let cumulative = 0;
+    for (let i = 0; i < sectors.length; i++) {
+        cumulative += sectors[i].weight;
+        if (target < cumulative) {
+            return i;
+        }
+    }
+    return sectors.length - 1;
+}
+
+async function getActiveWheel() {
+    if (cachedWheel && Date.now() - cachedAt < CACHE_TTL_MS) {
+        return cachedWheel;
+    }
+
+    const config = await db.wheelConfigs.findActive();
+    cachedWheel = config ? { id: config.id, name: config.name, sectors: config.sectors } : DEFAULT_WHEEL;
+    cachedAt = Date.now();
+    return cachedWheel;
+}
+
+/**
+ * Wheel a past spin used (null id = the default wheel).
+ */
+async function getWheelById(id) {
+    if (!id) {
+        return DEFAULT_WHEEL;
+    }
+    const config = await db.wheelConfigs.findById(id);
+    return config ? { id: config.id, name: config.name, sectors: config.sectors } : null;
+}
+
+/**
+ * What the client needs to draw the wheel, including each sector's probability.
+ */
+function toPublicWheel(wheel) {
+    const totalWeight = wheel.sectors.reduce((sum, sector) => sum + sector.weight, 0);
+    return {
+        id: wheel.id,
+        name: wheel.name,
+        sectors: wheel.sectors.map(sector => ({
+            ...sector,
+            probability: sector.weight / totalWeight,
+        })),
+    };
+}
+
+/**
+ * Publishes a new wheel and makes it the active one.
+ */
+async function publishWheel(adminId, name, sectors) {
+    const error = validateSectors(sectors);
+    if (error) {
+        return { ok: false, reason: 'INVALID_WHEEL', message: error };
+    }
+
+    await db.wheelConfigs.deactivateAll();
+    const config = await db.wheelConfigs.create({
+        name,
+        sectors: normalizeSectors(sectors),
+        active: true,
+        created_by: adminId,
+    });
+
+    cachedWheel = null;
+    await logAdminAction(adminId, 'publish_wheel', null, { wheel_id: config.id, name });
+    return { ok: true, wheel: toPublicWheel(config) };
+}
+
+module.exports = {
+    DEFAULT_WHEEL,
+    validateSectors,
+    pickWeightedIndex,
+    getActiveWheel,
+    getWheelById,
+    toPublicWheel,
+    publishWheel,
+};
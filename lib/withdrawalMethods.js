@@ -0,0 +1,96 @@
+// /lib/withdrawalMethods.js
+
+/**
+ * Withdrawal methods
+ * Where a withdrawal can be paid and how its address is checked. Limits and
+ * fees are runtime settings (`withdrawal_methods`, one entry per method):
+ *
+ *   { enabled, min, max, fee_type: 'flat' | 'percent', fee }
+ *
+ * The user is debited the requested amount; the fee is kept back and the rest
+ * (`net_amount`) is paid out.
+ */
+const formats = require('./addressFormats');
+
+const WITHDRAWAL_METHODS = {
+    binance_pay: { label: 'Binance Pay ID', normalize: formats.normalizeBinancePayId, hint: 'an 8 to 12 digit Binance Pay ID' },
+    ton: { label: 'TON wallet', normalize: formats.normalizeTonAddress, hint: 'a TON wallet address (EQ... / UQ...)' },
+    bep20: { label: 'BEP20 (BNB Smart Chain)', normalize: formats.normalizeEvmAddress, hint: 'a 0x... address with a valid checksum' },
+    erc20: { label: 'ERC20 (Ethereum)', normalize: formats.normalizeEvmAddress, hint: 'a 0x... address with a valid checksum' },
+    faucetpay: { label: 'FaucetPay email', normalize: formats.normalizeEmail, hint: 'the email of your FaucetPay account' },
+};
+
+const FEE_TYPES = ['flat', 'percent'];
+
+// SHIB amounts are kept to 8 decimal places
+function roundAmount(value) {
+    return Math.round(value * 1e8) / 1e8;
+}
+
+/**
+ * Returns an error message if `limits` is not a valid settings entry for a method, otherwise null.
+ */
+function validateMethodLimits(limits) {
+    if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+        return 'must be an object';
+    }
+    if (typeof limits.enabled !== 'boolean') {
+        return 'enabled must be true or false';
+    }
+    if (!Number.isFinite(limits.min) || !Number.isFinite(limits.max) || limits.min < 0 || limits.max < limits.min) {
+        return 'min and max must be numbers with 0 <= min <= max';
+    }
+    if (!FEE_TYPES.includes(limits.fee_type)) {
+        return `fee_type must be one of: ${FEE_TYPES.join(', ')}`;
+    }
+    if (!Number.isFinite(limits.fee) || limits.fee < 0 || (limits.fee_type === 'percent' && limits.fee >= 100)) {
+        return 'fee must be at least 0 (and below 100 for a percent fee)';
+    }
+    return null;
+}
+
+function calculateFee(limits, amount) {
+    return roundAmount(limits.fee_type === 'percent' ? amount * limits.fee / 100 : limits.fee);
+}
+
+/**
+ * Checks a withdrawal against the method's address format, limits and fee.
+ * methodSettings: the `withdrawal_methods` setting.
+ * Returns { ok: true, method, address, amount, fee, net_amount } or { ok: false, reason, message }.
+ */
+function prepareWithdrawal(methodSettings, { method, address, amount }) {
+    const definition = WITHDRAWAL_METHODS[method];
+    const limits = methodSettings[method];
+    if (!definition || !limits || !limits.enabled) {
+        return { ok: false, reason: 'INVALID_METHOD', message: 'This withdrawal method is not available.' };
+    }
+
+    const normalized = definition.normalize(address);
+    if (!normalized) {
+        return { ok: false, reason: 'INVALID_ADDRESS', message: `Please enter ${definition.hint}.` };
+    }
+
+    if (!Number.isFinite(amount) || amount < limits.min || amount > limits.max) {
+        return {
+            ok: false,
+            reason: 'INVALID_AMOUNT',
+            message: `${definition.label} withdrawals must be between ${limits.min} and ${limits.max} SHIB.`,
+        };
+    }
+
+    const fee = calculateFee(limits, amount);
+    const netAmount = roundAmount(amount - fee);
+    if (netAmount <= 0) {
+        return { ok: false, reason: 'INVALID_AMOUNT', message: `The amount does not cover the ${fee} SHIB fee.` };
+    }
+
+    return { ok: true, method, address: normalized, amount, fee, net_amount: netAmount };
+}
+
+module.exports = {
+    WITHDRAWAL_METHODS,
+    FEE_TYPES,
+    validateMethodLimits,
+    calculateFee,
+    prepareWithdrawal,
+};
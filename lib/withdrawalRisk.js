@@ -0,0 +1,129 @@
+// /lib/withdrawalRisk.js
+
+/**
+ * Withdrawal risk controls
+ * Checked before a withdrawal is debited, in this order:
+ *
+ *   ACCOUNT_TOO_NEW     first withdrawal before withdrawal_min_account_age_hours
+ *   NOT_ENOUGH_ADS      first withdrawal before withdrawal_min_ads_watched rewarded ads
+ *   PENDING_WITHDRAWAL  another request is still pending (also a unique index)
+ *   COOLDOWN            the last request was less than withdrawal_cooldown_minutes ago
+ *   DAILY_CAP,
+ *   WEEKLY_CAP          requests of the last 24 hours / 7 days would pass the cap
+ *                       (rejected requests do not count)
+ *
+ * A setting of 0 turns its control off. Requests of at least
+ * withdrawal_review_threshold, and every request of a user on a risk hold (see
+ * lib/fraud.js), are accepted but flagged for manual review.
+ * Rejections carry `details` (limits, amounts, when to retry) for the withdraw screen.
+ */
+const db = require('./repositories');
+const ledger = require('./ledger');
+const settings = require('./settings');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+function reject(reason, message, details) {
+    return { ok: false, reason, message, details };
+}
+
+/**
+ * Cap check over the requests of the `windowMs` before `now`.
+ */
+function checkCap(reason, label, cap, requests, amount, now, windowMs) {
+    if (!(cap > 0)) return null;
+
+    const since = now - windowMs;
+    const inWindow = requests.filter(w => Date.parse(w.created_at) > since);
+    const used = inWindow.reduce((sum, w) => sum + Number(w.amount), 0);
+    if (used + amount <= cap) return null;
+
+    const available = Math.max(cap - used, 0);
+    return reject(reason, available > 0
+        ? `You can withdraw up to ${available} more SHIB ${label}.`
+        : `You have reached the withdrawal limit of ${cap} SHIB ${label}.`, {
+        cap,
+        used,
+        available,
+        // When the oldest request of the window stops counting
+        retry_at: inWindow.length > 0
+            ? new Date(Math.min(...inWindow.map(w => Date.parse(w.created_at))) + windowMs).toISOString()
+            : null,
+    });
+}
+
+/**
+ * Whether `user` (id, created_at, risk_hold, risk_score) may withdraw `amount` now.
+ * Returns { ok: true, needs_review, review_reason } or { ok: false, reason, message, details }.
+ */
+async function checkWithdrawal(user, amount, now = Date.now()) {
+    const config = await settings.getAll();
+    const requests = (await db.withdrawals.listByUser(user.id, 'id,amount,status,created_at'))
+        .filter(w => w.status !== 'rejected');
+
+    // 1. Before the first withdrawal: account age and ads watched
+    if (requests.length === 0) {
+        const minAgeHours = config.withdrawal_min_account_age_hours;
+        const eligibleAt = user.created_at ? Date.parse(user.created_at) + minAgeHours * HOUR_MS : 0;
+        if (minAgeHours > 0 && eligibleAt > now) {
+            return reject('ACCOUNT_TOO_NEW', `New accounts can withdraw ${minAgeHours} hours after joining.`, {
+                min_account_age_hours: minAgeHours,
+                retry_at: new Date(eligibleAt).toISOString(),
+            });
+        }
+
+        const minAds = config.withdrawal_min_ads_watched;
+        if (minAds > 0) {
+            const adsWatched = await db.ledgerEntries.countByType(user.id, ledger.ENTRY_TYPES.AD_REWARD, minAds);
+            if (adsWatched < minAds) {
+                return reject('NOT_ENOUGH_ADS', `Watch at least ${minAds} ads before your first withdrawal (${adsWatched} so far).`, {
+                    min_ads_watched: minAds,
+                    ads_watched: adsWatched,
+                });
+            }
+        }
+    }
+
+    // 2. One pending request at a time
+    const pending = requests.find(w => w.status === 'pending');
+    if (pending) {
+        return reject('PENDING_WITHDRAWAL', 'You already have a pending withdrawal. Please wait until it is processed.', {
+            withdrawal_id: pending.id,
+        });
+    }
+
+    // 3. Cooldown since the last request
+    const cooldownMs = config.withdrawal_cooldown_minutes * 60 * 1000;
+    const lastRequestAt = requests.length > 0 ? Math.max(...requests.map(w => Date.parse(w.created_at))) : 0;
+    if (cooldownMs > 0 && lastRequestAt + cooldownMs > now) {
+        const retryAt = lastRequestAt + cooldownMs;
+        return reject('COOLDOWN', `Please wait ${Math.ceil((retryAt - now) / 60000)} more minutes before your next withdrawal.`, {
+            cooldown_minutes: config.withdrawal_cooldown_minutes,
+            retry_at: new Date(retryAt).toISOString(),
+        });
+    }
+
+    // 4. Rolling daily and weekly caps
+    const capFailure = checkCap('DAILY_CAP', 'per 24 hours', config.withdrawal_daily_cap, requests, amount, now, DAY_MS)
+        || checkCap('WEEKLY_CAP', 'per 7 days', config.withdrawal_weekly_cap, requests, amount, now, 7 * DAY_MS);
+    if (capFailure) {
+        return capFailure;
+    }
+
+    // 5. Large requests and users on a risk hold are reviewed by hand
+    if (user.risk_hold) {
+        return { ok: true, needs_review: true, review_reason: `Risk hold (score ${user.risk_score})` };
+    }
+    const threshold = config.withdrawal_review_threshold;
+    const needsReview = threshold > 0 && amount >= threshold;
+    return {
+        ok: true,
+        needs_review: needsReview,
+        review_reason: needsReview ? `Amount of at least ${threshold} SHIB` : null,
+    };
+}
+
+module.exports = {
+    checkWithdrawal,
+};
@@ -0,0 +1,144 @@
+// /lib/withdrawals.js
+
+/**
+ * Withdrawal lifecycle
+ *   pending ──> approved ──> paid
+ *      │            │
+ *      └──> rejected <┘      (rejection refunds the amount through the ledger)
+ *
+ * Every transition is a compare-and-set on the current status, so two admins
+ * acting on the same request cannot both succeed. Requests of a user on a risk
+ * hold (see lib/fraud.js) cannot be approved until the hold is resolved. The user is notified by the
+ * bot after each transition.
+ *
+ * Users can keep up to MAX_SAVED_ADDRESSES payout addresses for reuse; saving
+ * one more forgets the least recently used.
+ */
+const db = require('./repositories');
+const ledger = require('./ledger');
+const notifications = require('./notifications');
+const { WITHDRAWAL_METHODS } = require('./withdrawalMethods');
+const { logAdminAction } = require('./admin');
+
+const WITHDRAWAL_STATUSES = Object.freeze({
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    PAID: 'paid',
+    REJECTED: 'rejected',
+});
+
+const TRANSITIONS = {
+    pending: ['approved', 'rejected'],
+    approved: ['paid', 'rejected'],
+    paid: [],
+    rejected: [],
+};
+
+async function transition(withdrawalId, toStatus, adminId, patch = {}) {
+    const withdrawal = await db.withdrawals.findById(withdrawalId);
+    if (!withdrawal) {
+        return { ok: false, reason: 'NOT_FOUND', message: 'Withdrawal not found.' };
+    }
+
+    if (!(TRANSITIONS[withdrawal.status] || []).includes(toStatus)) {
+        return { ok: false, reason: 'INVALID_TRANSITION', message: `Cannot move a ${withdrawal.status} withdrawal to ${toStatus}.` };
+    }
+
+    const updated = await db.withdrawals.updateIfStatus(withdrawalId, withdrawal.status, {
+        ...patch,
+        status: toStatus,
+        reviewed_by: adminId,
+        reviewed_at: new Date().toISOString(),
+    });
+    if (!updated) {
+        return { ok: false, reason: 'INVALID_TRANSITION', message: 'Withdrawal was changed by another request. Reload and try again.' };
+    }
+
+    await logAdminAction(adminId, `withdrawal_${toStatus}`, updated.user_id, { withdrawal_id: updated.id, from: withdrawal.status, ...patch });
+    return { ok: true, withdrawal: updated };
+}
+
+async function approveWithdrawal(withdrawalId, adminId) {
+    const withdrawal = await db.withdrawals.findById(withdrawalId, 'id,user_id');
+    const owner = withdrawal ? await db.users.findById(withdrawal.user_id, 'id,risk_hold') : null;
+    if (owner && owner.risk_hold) {
+        return { ok: false, reason: 'RISK_HOLD', message: `User ${owner.id} is on a risk hold. Resolve the hold before approving.` };
+    }
+
+    const result = await transition(withdrawalId, WITHDRAWAL_STATUSES.APPROVED, adminId);
+    if (result.ok) {
+        await notifications.withdrawalStatusChanged(result.withdrawal);
+    }
+    return result;
+}
+
+async function rejectWithdrawal(withdrawalId, adminId, reason) {
+    const result = await transition(withdrawalId, WITHDRAWAL_STATUSES.REJECTED, adminId, { rejection_reason: reason });
+    if (!result.ok) {
+        return result;
+    }
+
+    const { withdrawal } = result;
+    const refund = await ledger.credit(withdrawal.user_id, ledger.ENTRY_TYPES.REFUND, withdrawal.amount, withdrawal.id,
+        { withdrawal_id: withdrawal.id, reason });
+    if (!refund.ok) {
+        // DUPLICATE_REFERENCE means the amount was already refunded; anything else needs a human
+        console.error(`Refund for withdrawal ${withdrawal.id} not applied: ${refund.message}`);
+    }
+    await notifications.withdrawalStatusChanged(withdrawal);
+
+    return { ok: true, withdrawal, new_balance: refund.ok ? refund.balance : undefined };
+}
+
+async function markWithdrawalPaid(withdrawalId, adminId, payoutReference) {
+    const result = await transition(withdrawalId, WITHDRAWAL_STATUSES.PAID, adminId, {
+        payout_reference: payoutReference,
+        paid_at: new Date().toISOString(),
+    });
+    if (result.ok) {
+        await notifications.withdrawalStatusChanged(result.withdrawal);
+    }
+    return result;
+}
+
+const MAX_SAVED_ADDRESSES = 10;
+
+/**
+ * Saves a payout address for reuse, or marks an already saved one as just used.
+ */
+async function savePayoutAddress(userId, method, address) {
+    const definition = WITHDRAWAL_METHODS[method];
+    const normalized = definition ? definition.normalize(address) : null;
+    if (!normalized) {
+        return { ok: false, reason: 'INVALID_ADDRESS', message: definition ? `Please enter ${definition.hint}.` : 'Unknown withdrawal method.' };
+    }
+
+    const saved = await db.payoutAddresses.listByUser(userId);
+    const usedAt = new Date().toISOString();
+    const existing = saved.find(entry => entry.method === method && entry.address === normalized);
+    if (existing) {
+        return { ok: true, address: await db.payoutAddresses.update(existing.id, { last_used_at: usedAt }) };
+    }
+
+    if (saved.length >= MAX_SAVED_ADDRESSES) {
+        await db.payoutAddresses.remove(saved[saved.length - 1].id, userId);
+    }
+    return {
+        ok: true,
+        address: await db.payoutAddresses.create({ user_id: userId, method, address: normalized, last_used_at: usedAt }),
+    };
+}
+
+async function deletePayoutAddress(userId, addressId) {
+    const removed = await db.payoutAddresses.remove(addressId, userId);
+    return removed ? { ok: true } : { ok: false, reason: 'NOT_FOUND', message: 'Saved address not found.' };
+}
+
+module.exports = {
+    WITHDRAWAL_STATUSES,
+    approveWithdrawal,
+    rejectWithdrawal,
+    markWithdrawalPaid,
+    savePayoutAddress,
+    deletePayoutAddress,
+};
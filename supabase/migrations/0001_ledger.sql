@@ -0,0 +1,108 @@
+-- Append-only balance ledger.
+-- Every balance change is an immutable entry; users.balance is a cached copy
+-- of the latest balance_after and is only written by apply_ledger_entry.
+
+create table if not exists public.ledger_entries (
+    id bigint generated always as identity primary key,
+    user_id bigint not null references public.users (id),
+    type text not null check (type in (
+        'ad_reward', 'spin_prize', 'referral_commission', 'withdrawal', 'refund', 'adjustment'
+    )),
+    amount numeric not null check (amount <> 0),
+    balance_after numeric not null check (balance_after >= 0),
+    reference_id text not null,
+    metadata jsonb not null default '{}'::jsonb,
+    created_at timestamptz not null default now(),
+    unique (user_id, type, reference_id)
+);
+
+create index if not exists ledger_entries_user_id_idx on public.ledger_entries (user_id, id desc);
+
+-- Entries can never be edited or removed.
+create or replace function public.ledger_entries_immutable()
+returns trigger
+language plpgsql
+as $$
+begin
+    raise exception 'ledger_entries is append-only';
+end;
+$$;
+
+drop trigger if exists ledger_entries_no_change on public.ledger_entries;
+create trigger ledger_entries_no_change
+    before update or delete on public.ledger_entries
+    for each row execute function public.ledger_entries_immutable();
+
+-- Applies one signed amount atomically: locks the user row, rejects overdrafts
+-- and duplicate references, writes the entry and refreshes the cached balance.
+create or replace function public.apply_ledger_entry(
+    p_user_id bigint,
+    p_type text,
+    p_amount numeric,
+    p_reference_id text,
+    p_metadata jsonb default '{}'::jsonb
+)
+returns setof public.ledger_entries
+language plpgsql
+as $$
+declare
+    v_balance numeric;
+    v_entry public.ledger_entries;
+begin
+    select balance into v_balance from public.users where id = p_user_id for update;
+    if not found then
+        raise exception 'USER_NOT_FOUND';
+    end if;
+
+    if coalesce(v_balance, 0) + p_amount < 0 then
+        raise exception 'INSUFFICIENT_BALANCE';
+    end if;
+
+    begin
+        insert into public.ledger_entries (user_id, type, amount, balance_after, reference_id, metadata)
+        values (p_user_id, p_type, p_amount, coalesce(v_balance, 0) + p_amount, p_reference_id, coalesce(p_metadata, '{}'::jsonb))
+        returning * into v_entry;
+    exception when unique_violation then
+        raise exception 'DUPLICATE_REFERENCE';
+    end;
+
+    update public.users set balance = v_entry.balance_after where id = p_user_id;
+
+    return next v_entry;
+end;
+$$;
+
+-- Recomputes a user's balance from the ledger and repairs the cached value.
+create or replace function public.reconcile_user_balance(p_user_id bigint)
+returns table (user_id bigint, cached_balance numeric, ledger_balance numeric, corrected boolean)
+language plpgsql
+as $$
+#variable_conflict use_column
+declare
+    v_cached numeric;
+    v_ledger numeric;
+begin
+    select u.balance into v_cached from public.users u where u.id = p_user_id for update;
+    if not found then
+        return;
+    end if;
+
+    select coalesce(sum(e.amount), 0) into v_ledger from public.ledger_entries e where e.user_id = p_user_id;
+
+    if v_cached is distinct from v_ledger then
+        update public.users u set balance = v_ledger where u.id = p_user_id;
+    end if;
+
+    return query select p_user_id, v_cached, v_ledger, v_cached is distinct from v_ledger;
+end;
+$$;
+
+-- Withdrawals keep a pointer to the debit that funded them.
+alter table public.withdrawals add column if not exists ledger_entry_id bigint references public.ledger_entries (id);
+
+-- Opening entries so existing balances are backed by the ledger.
+insert into public.ledger_entries (user_id, type, amount, balance_after, reference_id, metadata)
+select id, 'adjustment', balance, balance, 'opening_balance', '{"reason": "Opening balance migrated from users.balance"}'::jsonb
+from public.users
+where balance > 0
+on conflict (user_id, type, reference_id) do nothing;
@@ -0,0 +1,14 @@
+-- Withdrawal review queue: pending -> approved -> paid, or -> rejected (refunded).
+
+alter table public.withdrawals
+    add column if not exists reviewed_by bigint,
+    add column if not exists reviewed_at timestamptz,
+    add column if not exists rejection_reason text,
+    add column if not exists payout_reference text,
+    add column if not exists paid_at timestamptz;
+
+alter table public.withdrawals drop constraint if exists withdrawals_status_check;
+alter table public.withdrawals
+    add constraint withdrawals_status_check check (status in ('pending', 'approved', 'paid', 'rejected'));
+
+create index if not exists withdrawals_status_created_at_idx on public.withdrawals (status, created_at);
@@ -0,0 +1,24 @@
+-- Admin user management: ban details, Telegram profile for search, audit log.
+
+alter table public.users
+    add column if not exists username text,
+    add column if not exists first_name text,
+    add column if not exists last_name text,
+    add column if not exists ban_reason text,
+    add column if not exists banned_at timestamptz,
+    add column if not exists banned_by bigint,
+    add column if not exists ban_expires_at timestamptz;
+
+create index if not exists users_username_idx on public.users (lower(username));
+create index if not exists users_ref_by_idx on public.users (ref_by);
+
+create table if not exists public.admin_audit_log (
+    id bigint generated always as identity primary key,
+    admin_id bigint not null,
+    action text not null,
+    target_user_id bigint,
+    details jsonb not null default '{}'::jsonb,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists admin_audit_log_target_idx on public.admin_audit_log (target_user_id, created_at desc);
@@ -0,0 +1,9 @@
+-- Server-side, multi-tier referral commissions.
+
+alter table public.commission_history
+    add column if not exists tier smallint not null default 1,
+    add column if not exists source_type text,
+    add column if not exists source_reference text;
+
+create index if not exists commission_history_referrer_idx on public.commission_history (referrer_id, created_at desc);
+create index if not exists commission_history_referee_idx on public.commission_history (referee_id);
@@ -0,0 +1,23 @@
+-- Provably fair spins: per-user commit-reveal seed pairs.
+
+create table if not exists public.spin_seeds (
+    id bigint generated always as identity primary key,
+    user_id bigint not null references public.users (id),
+    server_seed text not null,
+    server_seed_hash text not null,
+    client_seed text not null,
+    nonce integer not null default 0,
+    active boolean not null default true,
+    revealed_at timestamptz,
+    created_at timestamptz not null default now()
+);
+
+-- At most one active pair per user
+create unique index if not exists spin_seeds_one_active_idx on public.spin_seeds (user_id) where active;
+
+alter table public.spin_results
+    add column if not exists seed_pair_id bigint references public.spin_seeds (id),
+    add column if not exists server_seed_hash text,
+    add column if not exists client_seed text,
+    add column if not exists nonce integer,
+    add column if not exists prize_index smallint;
@@ -0,0 +1,15 @@
+-- Server-driven spin wheel: weighted sectors with labels, colors and jackpots.
+
+create table if not exists public.wheel_configs (
+    id bigint generated always as identity primary key,
+    name text not null,
+    sectors jsonb not null,
+    active boolean not null default false,
+    created_by bigint,
+    created_at timestamptz not null default now()
+);
+
+create unique index if not exists wheel_configs_one_active_idx on public.wheel_configs ((true)) where active;
+
+alter table public.spin_results
+    add column if not exists wheel_config_id bigint references public.wheel_configs (id);
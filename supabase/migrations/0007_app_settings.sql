@@ -0,0 +1,10 @@
+-- Runtime settings (rewards, limits) editable by admins without a deploy.
+-- Missing keys fall back to the defaults in lib/settings.js.
+
+create table if not exists public.app_settings (
+    key text primary key,
+    value jsonb not null,
+    updated_by bigint,
+    updated_at timestamptz not null default now(),
+    created_at timestamptz not null default now()
+);
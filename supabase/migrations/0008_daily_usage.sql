@@ -0,0 +1,68 @@
+-- Calendar-based daily limits: per-user, per-day counters and earnings.
+-- The day is a calendar date in UTC, or in users.timezone when the
+-- daily_reset_timezone setting is 'user'.
+
+alter table public.users
+    add column if not exists timezone text;
+
+create table if not exists public.daily_usage (
+    user_id bigint not null references public.users (id),
+    day date not null,
+    ads_watched integer not null default 0 check (ads_watched >= 0),
+    spins integer not null default 0 check (spins >= 0),
+    earned numeric not null default 0,
+    updated_at timestamptz not null default now(),
+    created_at timestamptz not null default now(),
+    primary key (user_id, day)
+);
+
+-- Adds to a user's day atomically. Raises DAILY_LIMIT_REACHED (and changes
+-- nothing) when an ad or spin increment would pass the given maximum.
+create or replace function public.record_daily_usage(
+    p_user_id bigint,
+    p_day date,
+    p_ads integer default 0,
+    p_spins integer default 0,
+    p_earned numeric default 0,
+    p_max_ads integer default null,
+    p_max_spins integer default null
+)
+returns setof public.daily_usage
+language plpgsql
+as $$
+declare
+    v_usage public.daily_usage;
+begin
+    insert into public.daily_usage (user_id, day)
+    values (p_user_id, p_day)
+    on conflict (user_id, day) do nothing;
+
+    select * into v_usage
+    from public.daily_usage
+    where user_id = p_user_id and day = p_day
+    for update;
+
+    if (p_max_ads is not null and p_ads > 0 and v_usage.ads_watched + p_ads > p_max_ads)
+        or (p_max_spins is not null and p_spins > 0 and v_usage.spins + p_spins > p_max_spins) then
+        raise exception 'DAILY_LIMIT_REACHED';
+    end if;
+
+    update public.daily_usage
+    set ads_watched = ads_watched + p_ads,
+        spins = spins + p_spins,
+        earned = earned + p_earned,
+        updated_at = now()
+    where user_id = p_user_id and day = p_day
+    returning * into v_usage;
+
+    return next v_usage;
+end;
+$$;
+
+-- Carry over today's counters so existing users do not get a fresh allowance on deploy.
+insert into public.daily_usage (user_id, day, ads_watched, spins)
+select id, (now() at time zone 'utc')::date, coalesce(ads_watched_today, 0), coalesce(spins_today, 0)
+from public.users
+where last_activity is not null
+  and (last_activity::timestamptz at time zone 'utc')::date = (now() at time zone 'utc')::date
+on conflict (user_id, day) do nothing;
@@ -0,0 +1,19 @@
+-- Ad completions confirmed by signed server-to-server postbacks from the ad network.
+-- Rewards for ad-gated actions (watchAd, spin) are only granted once a row exists here.
+
+create table if not exists public.ad_completions (
+    id bigint generated always as identity primary key,
+    action_id text not null unique,
+    action_type text not null check (action_type in ('watchAd', 'spin')),
+    user_id bigint not null references public.users (id),
+    network text not null,
+    event_id text not null,
+    status text not null default 'verified' check (status in ('verified', 'claimed', 'settled')),
+    verified_at timestamptz not null default now(),
+    claimed_at timestamptz,
+    settled_at timestamptz,
+    created_at timestamptz not null default now(),
+    unique (network, event_id)
+);
+
+create index if not exists ad_completions_user_id_idx on public.ad_completions (user_id, created_at desc);
@@ -0,0 +1,33 @@
+-- Spin sessions: `spin` opens one, `spinResult` resolves it exactly once.
+-- Pending sessions that expire are refunded as spin credits (status 'refunded')
+-- and can be redeemed for a later spin without another ad.
+
+create table if not exists public.spin_sessions (
+    id bigint generated always as identity primary key,
+    user_id bigint not null references public.users (id),
+    source text not null check (source in ('ad', 'credit')),
+    action_id text,
+    credit_session_id bigint references public.spin_sessions (id),
+    status text not null default 'pending' check (status in ('pending', 'resolved', 'refunded', 'redeemed')),
+    expires_at timestamptz not null,
+    resolved_at timestamptz,
+    refunded_at timestamptz,
+    redeemed_at timestamptz,
+    spin_result_id bigint references public.spin_results (id),
+    created_at timestamptz not null default now()
+);
+
+create index if not exists spin_sessions_user_status_idx on public.spin_sessions (user_id, status, id desc);
+
+-- At most one unfinished spin per user
+create unique index if not exists spin_sessions_one_pending_idx on public.spin_sessions (user_id) where status = 'pending';
+
+alter table public.spin_results
+    add column if not exists spin_session_id bigint references public.spin_sessions (id);
+
+-- The spin session now tracks the spin between `spin` and `spinResult`,
+-- so ad completions go straight from verified to settled.
+alter table public.ad_completions drop constraint if exists ad_completions_status_check;
+alter table public.ad_completions
+    add constraint ad_completions_status_check check (status in ('verified', 'settled'));
+alter table public.ad_completions drop column if exists claimed_at;
@@ -0,0 +1,45 @@
+-- Ad waterfall attempts per provider: the ad that was served for an action
+-- (recorded by watchAd / spin) and the providers that had no fill before it
+-- (reported by the mini app). Used to compare fill rate and rewards per network.
+
+create table if not exists public.ad_impressions (
+    id bigint generated always as identity primary key,
+    user_id bigint not null references public.users (id),
+    provider text not null,
+    result text not null check (result in ('served', 'no_fill', 'error')),
+    action_id text,
+    action_type text check (action_type in ('watchAd', 'spin')),
+    reward numeric not null default 0 check (reward >= 0),
+    created_at timestamptz not null default now()
+);
+
+create index if not exists ad_impressions_created_at_idx on public.ad_impressions (created_at desc, provider);
+
+-- Attempts, fills and rewards per provider since p_since (adminGetAdStats).
+create or replace function public.ad_provider_stats(p_since timestamptz)
+returns table (
+    provider text,
+    attempts bigint,
+    served bigint,
+    no_fill bigint,
+    errors bigint,
+    ads_rewarded bigint,
+    spins_unlocked bigint,
+    rewards_paid numeric
+)
+language sql
+stable
+as $$
+    select
+        i.provider,
+        count(*),
+        count(*) filter (where i.result = 'served'),
+        count(*) filter (where i.result = 'no_fill'),
+        count(*) filter (where i.result = 'error'),
+        count(*) filter (where i.result = 'served' and i.action_type = 'watchAd'),
+        count(*) filter (where i.result = 'served' and i.action_type = 'spin'),
+        coalesce(sum(i.reward), 0)
+    from public.ad_impressions i
+    where i.created_at >= p_since
+    group by i.provider;
+$$;
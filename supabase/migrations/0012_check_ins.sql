@@ -0,0 +1,58 @@
+-- Daily check-in streaks: one row per checked-in day (or restored missed day)
+-- with the streak reached on it. Bonuses are paid as 'check_in_bonus' ledger
+-- entries referenced by the day; restoring a streak is ad-gated ('restoreStreak').
+
+create table if not exists public.check_ins (
+    user_id bigint not null references public.users (id),
+    day date not null,
+    streak integer not null check (streak > 0),
+    reward numeric not null default 0 check (reward >= 0),
+    restored boolean not null default false,
+    created_at timestamptz not null default now(),
+    primary key (user_id, day)
+);
+
+alter table public.ledger_entries drop constraint if exists ledger_entries_type_check;
+alter table public.ledger_entries add constraint ledger_entries_type_check check (type in (
+    'ad_reward', 'spin_prize', 'check_in_bonus', 'referral_commission', 'withdrawal', 'refund', 'adjustment'
+));
+
+alter table public.ad_completions drop constraint if exists ad_completions_action_type_check;
+alter table public.ad_completions add constraint ad_completions_action_type_check
+    check (action_type in ('watchAd', 'spin', 'restoreStreak'));
+
+alter table public.ad_impressions drop constraint if exists ad_impressions_action_type_check;
+alter table public.ad_impressions add constraint ad_impressions_action_type_check
+    check (action_type in ('watchAd', 'spin', 'restoreStreak'));
+
+-- ad_provider_stats also counts the streak restores each provider unlocked
+drop function if exists public.ad_provider_stats(timestamptz);
+create function public.ad_provider_stats(p_since timestamptz)
+returns table (
+    provider text,
+    attempts bigint,
+    served bigint,
+    no_fill bigint,
+    errors bigint,
+    ads_rewarded bigint,
+    spins_unlocked bigint,
+    streaks_restored bigint,
+    rewards_paid numeric
+)
+language sql
+stable
+as $$
+    select
+        i.provider,
+        count(*),
+        count(*) filter (where i.result = 'served'),
+        count(*) filter (where i.result = 'no_fill'),
+        count(*) filter (where i.result = 'error'),
+        count(*) filter (where i.result = 'served' and i.action_type = 'watchAd'),
+        count(*) filter (where i.result = 'served' and i.action_type = 'spin'),
+        count(*) filter (where i.result = 'served' and i.action_type = 'restoreStreak'),
+        coalesce(sum(i.reward), 0)
+    from public.ad_impressions i
+    where i.created_at >= p_since
+    group by i.provider;
+$$;
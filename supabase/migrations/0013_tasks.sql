@@ -0,0 +1,96 @@
+-- Tasks / quests: partner promotions with a reward, an optional date window
+-- and an optional cap on total completions. See lib/tasks.js for the types.
+
+create table if not exists public.tasks (
+    id bigint generated always as identity primary key,
+    type text not null check (type in ('join_channel', 'start_bot', 'visit_link', 'watch_ads', 'invite_friends')),
+    title text not null,
+    description text,
+    url text,
+    chat_id text,
+    target integer check (target > 0),
+    reward numeric not null check (reward > 0),
+    starts_at timestamptz,
+    ends_at timestamptz,
+    max_completions integer check (max_completions > 0),
+    completions_count integer not null default 0,
+    active boolean not null default true,
+    sort_order integer not null default 0,
+    created_by bigint,
+    updated_at timestamptz not null default now(),
+    created_at timestamptz not null default now()
+);
+
+create index if not exists tasks_active_idx on public.tasks (active, sort_order);
+
+-- One row per claimed task; period is 'once' or the day (YYYY-MM-DD) for daily tasks
+create table if not exists public.task_completions (
+    id bigint generated always as identity primary key,
+    task_id bigint not null references public.tasks (id),
+    user_id bigint not null references public.users (id),
+    period text not null,
+    reward numeric not null,
+    created_at timestamptz not null default now(),
+    unique (task_id, user_id, period)
+);
+
+create index if not exists task_completions_user_idx on public.task_completions (user_id, id desc);
+
+-- When the user opened the link of a visit task (start_bot, visit_link)
+create table if not exists public.task_starts (
+    task_id bigint not null references public.tasks (id),
+    user_id bigint not null references public.users (id),
+    period text not null,
+    started_at timestamptz not null default now(),
+    primary key (task_id, user_id, period)
+);
+
+alter table public.ledger_entries drop constraint if exists ledger_entries_type_check;
+alter table public.ledger_entries add constraint ledger_entries_type_check check (type in (
+    'ad_reward', 'spin_prize', 'check_in_bonus', 'task_reward', 'referral_commission', 'withdrawal', 'refund', 'adjustment'
+));
+
+-- Records a claim atomically. Raises TASK_LIMIT_REACHED when the task's
+-- completion cap is used up and ALREADY_CLAIMED for a second claim in the period.
+create or replace function public.record_task_completion(
+    p_task_id bigint,
+    p_user_id bigint,
+    p_period text,
+    p_reward numeric
+)
+returns setof public.task_completions
+language plpgsql
+as $$
+declare
+    v_task public.tasks;
+begin
+    select * into v_task
+    from public.tasks
+    where id = p_task_id
+    for update;
+
+    if not found then
+        raise exception 'TASK_NOT_FOUND';
+    end if;
+
+    if v_task.max_completions is not null and v_task.completions_count >= v_task.max_completions then
+        raise exception 'TASK_LIMIT_REACHED';
+    end if;
+
+    if exists (
+        select 1 from public.task_completions
+        where task_id = p_task_id and user_id = p_user_id and period = p_period
+    ) then
+        raise exception 'ALREADY_CLAIMED';
+    end if;
+
+    update public.tasks
+    set completions_count = completions_count + 1
+    where id = p_task_id;
+
+    return query
+    insert into public.task_completions (task_id, user_id, period, reward)
+    values (p_task_id, p_user_id, p_period, p_reward)
+    returning *;
+end;
+$$;
@@ -0,0 +1,23 @@
+-- Bot notifications: whether the bot can message a user, and a log of every
+-- notification sent, one per (user, kind, reference) so an event is never
+-- announced twice. See lib/notifications.js.
+
+-- bot_started_at: last /start; bot_blocked_at: a message failed with 403 (cleared by the next /start)
+alter table public.users
+    add column if not exists bot_started_at timestamptz,
+    add column if not exists bot_blocked_at timestamptz;
+
+create table if not exists public.notifications (
+    id bigint generated always as identity primary key,
+    user_id bigint not null references public.users (id),
+    kind text not null check (kind in (
+        'withdrawal_approved', 'withdrawal_rejected', 'withdrawal_paid', 'referral_joined', 'daily_reset'
+    )),
+    -- withdrawal id, referee id or the day that started
+    reference text not null,
+    created_at timestamptz not null default now(),
+    unique (user_id, kind, reference)
+);
+
+-- The daily reset job looks up the users who reached a limit on the last few days
+create index if not exists daily_usage_day_idx on public.daily_usage (day);
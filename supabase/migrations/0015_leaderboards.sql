@@ -0,0 +1,101 @@
+-- Leaderboards: top earners and top referrers, all-time, weekly and daily,
+-- ranked by the `leaderboard` function below. Weekly prizes are paid as
+-- 'leaderboard_prize' ledger entries when an admin closes a week.
+
+-- Shown on the boards (photo_url comes from the mini app's initData)
+alter table public.users
+    add column if not exists photo_url text,
+    add column if not exists created_at timestamptz not null default now();
+
+alter table public.ledger_entries drop constraint if exists ledger_entries_type_check;
+alter table public.ledger_entries add constraint ledger_entries_type_check check (type in (
+    'ad_reward', 'spin_prize', 'check_in_bonus', 'task_reward', 'leaderboard_prize', 'referral_commission',
+    'withdrawal', 'refund', 'adjustment'
+));
+
+alter table public.notifications drop constraint if exists notifications_kind_check;
+alter table public.notifications add constraint notifications_kind_check check (kind in (
+    'withdrawal_approved', 'withdrawal_rejected', 'withdrawal_paid', 'referral_joined', 'leaderboard_prize', 'daily_reset'
+));
+
+create index if not exists ledger_entries_type_created_at_idx on public.ledger_entries (type, created_at);
+create index if not exists users_ref_by_created_at_idx on public.users (ref_by, created_at) where ref_by is not null;
+create index if not exists commission_history_created_at_idx on public.commission_history (created_at);
+
+-- One row per closed week and board; the primary key stops a week from being paid twice
+create table if not exists public.leaderboard_closures (
+    board text not null check (board in ('earners', 'referrers')),
+    week_start date not null,
+    closed_by bigint not null,
+    winners jsonb not null default '[]'::jsonb,
+    created_at timestamptz not null default now(),
+    primary key (board, week_start)
+);
+
+-- Places on a board within [p_since, p_until) (null bounds are open): the top
+-- p_limit plus the row of p_user_id. earners: credits of p_earning_types, with
+-- the referral commission part; referrers: invited users, then commission earned.
+create or replace function public.leaderboard(
+    p_board text,
+    p_since timestamptz,
+    p_until timestamptz,
+    p_limit integer,
+    p_user_id bigint default null,
+    p_earning_types text[] default '{}'
+)
+returns table (place bigint, user_id bigint, score numeric, commission numeric)
+language sql
+stable
+as $$
+    with earners as (
+        select
+            e.user_id,
+            sum(e.amount) as score,
+            coalesce(sum(e.amount) filter (where e.type = 'referral_commission'), 0) as commission
+        from public.ledger_entries e
+        where p_board = 'earners'
+          and e.type = any (p_earning_types)
+          and (p_since is null or e.created_at >= p_since)
+          and (p_until is null or e.created_at < p_until)
+        group by e.user_id
+    ),
+    referrals as (
+        select r.ref_by as user_id, count(*)::numeric as invited
+        from public.users r
+        where p_board = 'referrers'
+          and r.ref_by is not null
+          and (p_since is null or r.created_at >= p_since)
+          and (p_until is null or r.created_at < p_until)
+        group by r.ref_by
+    ),
+    commissions as (
+        select c.referrer_id as user_id, sum(c.amount) as amount
+        from public.commission_history c
+        where p_board = 'referrers'
+          and (p_since is null or c.created_at >= p_since)
+          and (p_until is null or c.created_at < p_until)
+        group by c.referrer_id
+    ),
+    scores as (
+        select s.user_id, s.score, s.commission from earners s
+        union all
+        select coalesce(r.user_id, c.user_id), coalesce(r.invited, 0), coalesce(c.amount, 0)
+        from referrals r
+        full join commissions c on c.user_id = r.user_id
+    ),
+    ranked as (
+        select
+            row_number() over (order by s.score desc, s.commission desc, s.user_id) as place,
+            s.user_id,
+            s.score,
+            s.commission
+        from scores s
+        join public.users u on u.id = s.user_id
+        where s.score > 0
+          and not (coalesce(u.is_banned, false) and (u.ban_expires_at is null or u.ban_expires_at > now()))
+    )
+    select ranked.place, ranked.user_id, ranked.score, ranked.commission
+    from ranked
+    where ranked.place <= p_limit or ranked.user_id = p_user_id
+    order by ranked.place;
+$$;
@@ -0,0 +1,35 @@
+-- Withdrawal methods: each request records the method, the payout address,
+-- the fee kept back and the net amount paid out (see lib/withdrawalMethods.js).
+-- Users can save payout addresses for reuse.
+
+alter table public.withdrawals
+    add column if not exists method text,
+    add column if not exists address text,
+    add column if not exists fee numeric not null default 0 check (fee >= 0),
+    add column if not exists net_amount numeric;
+
+-- Earlier requests were all Binance Pay, paid in full
+update public.withdrawals
+set method = 'binance_pay', address = binance_id, net_amount = amount
+where method is null;
+
+alter table public.withdrawals alter column method set not null;
+alter table public.withdrawals alter column net_amount set not null;
+alter table public.withdrawals drop constraint if exists withdrawals_method_check;
+alter table public.withdrawals
+    add constraint withdrawals_method_check check (method in ('binance_pay', 'ton', 'bep20', 'erc20', 'faucetpay'));
+
+create table if not exists public.payout_addresses (
+    id bigint generated always as identity primary key,
+    user_id bigint not null references public.users (id),
+    method text not null check (method in ('binance_pay', 'ton', 'bep20', 'erc20', 'faucetpay')),
+    address text not null,
+    last_used_at timestamptz not null default now(),
+    created_at timestamptz not null default now(),
+    unique (user_id, method, address)
+);
+
+create index if not exists payout_addresses_user_idx on public.payout_addresses (user_id, last_used_at desc);
+
+-- The single minimum is replaced by the per-method limits in withdrawal_methods
+delete from public.app_settings where key = 'min_withdraw';
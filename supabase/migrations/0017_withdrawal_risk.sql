@@ -0,0 +1,18 @@
+-- Withdrawal risk controls (see lib/withdrawalRisk.js): large requests are
+-- flagged for manual review, and a user can have one pending request at a time.
+
+alter table public.withdrawals
+    add column if not exists needs_review boolean not null default false,
+    add column if not exists review_reason text;
+
+-- One pending withdrawal per user. Users with several pending requests from
+-- before this migration must have them processed first:
+--   select user_id from public.withdrawals where status = 'pending' group by user_id having count(*) > 1;
+create unique index if not exists withdrawals_one_pending_idx
+    on public.withdrawals (user_id) where status = 'pending';
+
+-- Cooldown and cap checks read a user's recent requests
+create index if not exists withdrawals_user_created_at_idx on public.withdrawals (user_id, created_at desc);
+
+create index if not exists withdrawals_needs_review_idx
+    on public.withdrawals (created_at) where status = 'pending' and needs_review;
@@ -0,0 +1,47 @@
+-- Multi-account and self-referral detection (see lib/fraud.js): the IP and
+-- device of each app start, a risk score per user, and commissions withheld
+-- while a user is on a risk hold.
+
+create table if not exists public.user_sessions (
+    id bigint generated always as identity primary key,
+    user_id bigint not null references public.users (id),
+    ip text not null default '',
+    -- SHA-256 of device properties collected by the mini app ('' when unknown)
+    fingerprint text not null default '',
+    user_agent text,
+    last_seen_at timestamptz not null default now(),
+    created_at timestamptz not null default now(),
+    unique (user_id, ip, fingerprint)
+);
+
+create index if not exists user_sessions_ip_idx on public.user_sessions (ip) where ip <> '';
+create index if not exists user_sessions_fingerprint_idx on public.user_sessions (fingerprint) where fingerprint <> '';
+
+alter table public.users
+    add column if not exists risk_score smallint not null default 0 check (risk_score between 0 and 100),
+    add column if not exists risk_signals jsonb not null default '[]'::jsonb,
+    add column if not exists risk_evaluated_at timestamptz,
+    add column if not exists risk_hold boolean not null default false,
+    add column if not exists risk_held_at timestamptz,
+    -- Score at which an admin released the hold; it only returns above this score
+    add column if not exists risk_cleared_score smallint;
+
+create index if not exists users_risk_idx on public.users (risk_score desc) where risk_score > 0;
+create index if not exists users_ref_by_created_at_idx on public.users (ref_by, created_at desc);
+
+create table if not exists public.held_commissions (
+    id bigint generated always as identity primary key,
+    referrer_id bigint not null references public.users (id),
+    referee_id bigint not null references public.users (id),
+    amount numeric not null check (amount > 0),
+    source_reward numeric,
+    source_type text,
+    source_reference text,
+    tier smallint not null default 1,
+    status text not null default 'held' check (status in ('held', 'released', 'forfeited')),
+    resolved_at timestamptz,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists held_commissions_referrer_idx on public.held_commissions (referrer_id) where status = 'held';
+create index if not exists held_commissions_referee_idx on public.held_commissions (referee_id) where status = 'held';
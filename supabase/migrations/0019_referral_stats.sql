@@ -0,0 +1,109 @@
+-- Referral dashboard (see lib/referrals.js): the user's direct referees with
+-- the commission each earned them, and referral / commission totals.
+
+create index if not exists users_ref_by_idx on public.users (ref_by) where ref_by is not null;
+create index if not exists commission_history_referrer_referee_idx on public.commission_history (referrer_id, referee_id);
+
+-- Referral count and commission totals of p_referrer_id. The today / this week
+-- figures count from p_day_start / p_week_start and are 0 when those are null.
+create or replace function public.referral_totals(
+    p_referrer_id bigint,
+    p_day_start timestamptz default null,
+    p_week_start timestamptz default null
+)
+returns table (
+    referrals_count bigint,
+    referrals_today bigint,
+    referrals_this_week bigint,
+    commission_today numeric,
+    commission_this_week numeric,
+    commission_all_time numeric
+)
+language sql
+stable
+as $$
+    with referees as (
+        select
+            count(*) as total,
+            count(*) filter (where u.created_at >= p_day_start) as today,
+            count(*) filter (where u.created_at >= p_week_start) as this_week
+        from public.users u
+        where u.ref_by = p_referrer_id
+    ),
+    commissions as (
+        select
+            coalesce(sum(c.amount) filter (where c.created_at >= p_day_start), 0) as today,
+            coalesce(sum(c.amount) filter (where c.created_at >= p_week_start), 0) as this_week,
+            coalesce(sum(c.amount), 0) as all_time
+        from public.commission_history c
+        where c.referrer_id = p_referrer_id
+    )
+    select r.total, r.today, r.this_week, c.today, c.this_week, c.all_time
+    from referees r, commissions c;
+$$;
+
+-- One page of p_referrer_id's direct referees. p_sort: joined, last_active,
+-- ads_watched (all days), commission (earned from that referee) or name.
+-- Nulls sort last; ties go to the newest referee.
+create or replace function public.referral_stats(
+    p_referrer_id bigint,
+    p_sort text default 'joined',
+    p_descending boolean default true,
+    p_limit integer default 20,
+    p_offset integer default 0
+)
+returns table (
+    user_id bigint,
+    username text,
+    first_name text,
+    last_name text,
+    photo_url text,
+    joined_at timestamptz,
+    last_active_at timestamptz,
+    ads_watched bigint,
+    commission numeric
+)
+language sql
+stable
+as $$
+    with referees as (
+        select
+            u.id,
+            u.username,
+            u.first_name,
+            u.last_name,
+            u.photo_url,
+            u.created_at,
+            u.last_activity::timestamptz as last_activity,
+            coalesce((select sum(d.ads_watched) from public.daily_usage d where d.user_id = u.id), 0)::bigint as ads_watched,
+            coalesce((
+                select sum(c.amount) from public.commission_history c
+                where c.referrer_id = p_referrer_id and c.referee_id = u.id
+            ), 0) as commission
+        from public.users u
+        where u.ref_by = p_referrer_id
+    ),
+    keyed as (
+        select
+            r.*,
+            case p_sort
+                when 'last_active' then extract(epoch from r.last_activity)
+                when 'ads_watched' then r.ads_watched
+                when 'commission' then r.commission
+                when 'name' then null
+                else extract(epoch from r.created_at)
+            end as sort_number,
+            case when p_sort = 'name' then lower(coalesce(r.first_name, r.username, '')) end as sort_text
+        from referees r
+    )
+    select k.id, k.username, k.first_name, k.last_name, k.photo_url, k.created_at, k.last_activity, k.ads_watched, k.commission
+    from keyed k
+    order by
+        case when p_descending then k.sort_number end desc nulls last,
+        case when not p_descending then k.sort_number end asc nulls last,
+        case when p_descending then k.sort_text end desc nulls last,
+        case when not p_descending then k.sort_text end asc nulls last,
+        k.id desc
+    limit p_limit
+    offset p_offset;
+$$;
@@ -0,0 +1,86 @@
+-- Shared rate limit store (see lib/rateLimit): one row per counted request,
+-- checked against sliding windows under a per-key advisory lock so concurrent
+-- serverless instances cannot both take the last slot.
+
+create table if not exists public.rate_limit_hits (
+    id bigint generated always as identity primary key,
+    key text not null,
+    hit_at timestamptz not null default now()
+);
+
+create index if not exists rate_limit_hits_key_idx on public.rate_limit_hits (key, hit_at);
+create index if not exists rate_limit_hits_hit_at_idx on public.rate_limit_hits (hit_at);
+
+-- Records a hit on p_key unless one of p_windows ([{ "limit": n, "window_ms": ms }, ...])
+-- already holds `limit` hits. retry_after_ms: when the fullest window frees a slot;
+-- remaining: hits left in the tightest window after this one.
+create or replace function public.rate_limit_hit(
+    p_key text,
+    p_windows jsonb,
+    p_now timestamptz default now()
+)
+returns table (allowed boolean, retry_after_ms bigint, remaining integer)
+language plpgsql
+as $$
+declare
+    v_window jsonb;
+    v_limit integer;
+    v_window_ms bigint;
+    v_longest_ms bigint := 0;
+    v_count integer;
+    v_freed_at timestamptz;
+    v_retry_ms bigint := 0;
+    v_remaining integer;
+begin
+    perform pg_advisory_xact_lock(hashtext('rate_limit:' || p_key));
+
+    for v_window in select * from jsonb_array_elements(p_windows) loop
+        v_window_ms := greatest((v_window->>'window_ms')::bigint, v_longest_ms);
+        v_longest_ms := v_window_ms;
+    end loop;
+
+    delete from public.rate_limit_hits h
+    where h.key = p_key and h.hit_at <= p_now - make_interval(secs => v_longest_ms / 1000.0);
+
+    for v_window in select * from jsonb_array_elements(p_windows) loop
+        v_limit := (v_window->>'limit')::integer;
+        v_window_ms := (v_window->>'window_ms')::bigint;
+
+        select count(*) into v_count
+        from public.rate_limit_hits h
+        where h.key = p_key and h.hit_at > p_now - make_interval(secs => v_window_ms / 1000.0);
+
+        if v_count >= v_limit then
+            -- Allowed again once enough of the hits in the window have aged out
+            select h.hit_at + make_interval(secs => v_window_ms / 1000.0) into v_freed_at
+            from public.rate_limit_hits h
+            where h.key = p_key and h.hit_at > p_now - make_interval(secs => v_window_ms / 1000.0)
+            order by h.hit_at
+            offset v_count - v_limit
+            limit 1;
+            v_retry_ms := greatest(v_retry_ms, ceil(extract(epoch from (v_freed_at - p_now)) * 1000)::bigint);
+        else
+            v_remaining := least(coalesce(v_remaining, v_limit), v_limit - v_count - 1);
+        end if;
+    end loop;
+
+    if v_retry_ms > 0 then
+        return query select false, v_retry_ms, 0;
+        return;
+    end if;
+
+    insert into public.rate_limit_hits (key, hit_at) values (p_key, p_now);
+    return query select true, 0::bigint, v_remaining;
+end;
+$$;
+
+-- Deletes hits older than p_before (keys nobody hits again keep theirs otherwise).
+create or replace function public.rate_limit_purge(p_before timestamptz)
+returns table (deleted bigint)
+language sql
+as $$
+    with removed as (
+        delete from public.rate_limit_hits where hit_at < p_before returning 1
+    )
+    select count(*) from removed;
+$$;
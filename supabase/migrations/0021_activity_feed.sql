@@ -0,0 +1,29 @@
+-- Activity history (see lib/activity.js): the user's ledger entries filtered
+-- by type and creation time, and per-type totals of the same filter.
+
+create index if not exists ledger_entries_user_created_at_idx on public.ledger_entries (user_id, created_at);
+
+-- Number and signed sum of p_user_id's entries of each of p_types created in
+-- [p_since, p_until); a null bound is open. Types without entries are left out.
+create or replace function public.activity_totals(
+    p_user_id bigint,
+    p_types text[],
+    p_since timestamptz default null,
+    p_until timestamptz default null
+)
+returns table (
+    type text,
+    entries bigint,
+    amount numeric
+)
+language sql
+stable
+as $$
+    select e.type, count(*), coalesce(sum(e.amount), 0)
+    from public.ledger_entries e
+    where e.user_id = p_user_id
+      and e.type = any (p_types)
+      and (p_since is null or e.created_at >= p_since)
+      and (p_until is null or e.created_at < p_until)
+    group by e.type;
+$$;
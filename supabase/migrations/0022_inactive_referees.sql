@@ -0,0 +1,24 @@
+-- Fraud heuristics (see lib/fraud.js): how many of a referrer's referees never
+-- watched an ad, counted in one query instead of one per referee. The
+-- unique (user_id, type, reference_id) index of ledger_entries serves the lookup.
+
+-- Number of p_user_ids without any ledger entry of p_type.
+create or replace function public.count_users_without_entry(
+    p_user_ids bigint[],
+    p_type text
+)
+returns table (
+    users_count bigint
+)
+language sql
+stable
+as $$
+    select count(*)
+    from unnest(p_user_ids) as u (id)
+    where not exists (
+        select 1
+        from public.ledger_entries e
+        where e.user_id = u.id
+          and e.type = p_type
+    );
+$$;
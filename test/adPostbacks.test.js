@@ -0,0 +1,84 @@
+// /test/adPostbacks.test.js
+
+/**
+ * Ad network postbacks (lib/adPostbacks.js): each network's callback is
+ * mapped to an action id, and ad-gated rewards wait for it.
+ */
+const { postAs, postback, completeAd } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const db = require('../lib/repositories');
+const { waterfallOrder } = require('../lib/adProviders');
+
+async function newAdAction(user) {
+    await postAs(user, { type: 'register' });
+    return (await postAs(user, { type: 'generateActionId', action_type: 'watchAd' })).body.data.action_id;
+}
+
+function monetagCallback(user, actionId, changes = {}) {
+    return postback({
+        network: 'monetag',
+        token: process.env.MONETAG_POSTBACK_SECRET,
+        ymid: actionId,
+        telegram_id: String(user.id),
+        event_type: 'impression',
+        reward_event_type: 'valued',
+        ...changes,
+    });
+}
+
+test('watchAd is not paid without a postback, whatever provider the client names', async () => {
+    const user = { id: 7401, first_name: 'Claim' };
+    const actionId = await newAdAction(user);
+
+    const result = await postAs(user, { type: 'watchAd', action_id: actionId, ad_provider: 'adsgram' });
+    assert.strictEqual(result.status, 425);
+    assert.strictEqual(result.body.code, 'AD_NOT_VERIFIED');
+});
+
+test('a valued Monetag event confirms the action in its ymid, once', async () => {
+    const user = { id: 7402, first_name: 'Monetag' };
+    const actionId = await newAdAction(user);
+
+    const first = await monetagCallback(user, actionId);
+    assert.deepStrictEqual(first.body, { ok: true, duplicate: false, ignored: false });
+    assert.strictEqual((await monetagCallback(user, actionId)).body.duplicate, true);
+
+    const reward = await postAs(user, { type: 'watchAd', action_id: actionId });
+    assert.strictEqual(reward.status, 200, JSON.stringify(reward.body));
+    assert.strictEqual((await db.adCompletions.findByActionId(actionId)).network, 'monetag');
+});
+
+test('Monetag events that are not valued are acknowledged without a completion', async () => {
+    const user = { id: 7403, first_name: 'Unvalued' };
+    const actionId = await newAdAction(user);
+
+    const result = await monetagCallback(user, actionId, { reward_event_type: 'not_valued' });
+    assert.strictEqual(result.status, 200);
+    assert.strictEqual(result.body.ignored, true);
+    assert.strictEqual(await db.adCompletions.findByActionId(actionId), null);
+});
+
+test('postbacks with a wrong token, another user or an unknown network are rejected', async () => {
+    const user = { id: 7404, first_name: 'Forged' };
+    const actionId = await newAdAction(user);
+
+    assert.strictEqual((await monetagCallback(user, actionId, { token: 'guess' })).body.reason, 'INVALID_TOKEN');
+    assert.strictEqual((await monetagCallback({ id: 7499 }, actionId)).body.reason, 'UNKNOWN_ACTION');
+    assert.strictEqual((await postback({ network: 'adsgram', token: 'x', userid: String(user.id) })).body.reason, 'UNKNOWN_NETWORK');
+
+    assert.strictEqual((await completeAd(user, actionId)).status, 200);
+    assert.strictEqual((await monetagCallback(user, actionId)).body.reason, 'ALREADY_COMPLETED');
+});
+
+test('the waterfall only offers providers whose postbacks are accepted', () => {
+    assert.deepStrictEqual(waterfallOrder(['adsgram', 'monetag', 'gigapub']), ['monetag', 'gigapub']);
+
+    const secret = process.env.MONETAG_POSTBACK_SECRET;
+    delete process.env.MONETAG_POSTBACK_SECRET;
+    try {
+        assert.deepStrictEqual(waterfallOrder(['adsgram', 'monetag', 'gigapub']), ['gigapub']);
+    } finally {
+        process.env.MONETAG_POSTBACK_SECRET = secret;
+    }
+});
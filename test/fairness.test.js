@@ -0,0 +1,74 @@
+// /test/fairness.test.js
+
+/**
+ * Provably fair spins (lib/fairness.js): a spin can be checked once its
+ * server seed is revealed, and the check must catch a stored result that
+ * does not match the seeds.
+ */
+const { postAs, completeAd } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const db = require('../lib/repositories');
+const fairness = require('../lib/fairness');
+const { getStorage } = require('../lib/storage');
+
+// One full spin as `user`: action id, the ad's postback, spin, spinResult; resolves with the spinResult data
+async function spinOnce(user) {
+    await postAs(user, { type: 'register' });
+    const actionId = (await postAs(user, { type: 'generateActionId', action_type: 'spin' })).body.data.action_id;
+    await completeAd(user, actionId);
+    const spin = await postAs(user, { type: 'spin', action_id: actionId });
+    assert.strictEqual(spin.status, 200, JSON.stringify(spin.body));
+    const result = await postAs(user, { type: 'spinResult', spin_session_id: spin.body.data.spin_session.id });
+    assert.strictEqual(result.status, 200, JSON.stringify(result.body));
+    return result.body.data;
+}
+
+test('the roll is HMAC-SHA256(server_seed, client_seed:nonce) scaled from its first 32 bits', () => {
+    const serverSeed = 'a'.repeat(64);
+    const digest = crypto.createHmac('sha256', serverSeed).update('player-seed:3').digest('hex');
+    assert.strictEqual(fairness.computeRoll(serverSeed, 'player-seed', 3), parseInt(digest.slice(0, 8), 16) / 2 ** 32);
+    assert.notStrictEqual(fairness.computeRoll(serverSeed, 'player-seed', 4), fairness.computeRoll(serverSeed, 'player-seed', 3));
+});
+
+test('a spin is only verifiable after its seed pair is rotated, and then it checks out', async () => {
+    const user = { id: 7101, first_name: 'Fair' };
+    const spin = await spinOnce(user);
+
+    const hidden = await postAs(user, { type: 'verifySpin', spin_result_id: spin.spin_result_id });
+    assert.strictEqual(hidden.body.data.revealed, false);
+    assert.strictEqual(hidden.body.data.server_seed, undefined);
+
+    const rotated = await postAs(user, { type: 'rotateSeed', client_seed: 'next-seed' });
+    assert.strictEqual(rotated.status, 200);
+
+    const verified = (await postAs(user, { type: 'verifySpin', spin_result_id: spin.spin_result_id })).body.data;
+    assert.strictEqual(verified.revealed, true);
+    assert.strictEqual(verified.hash_matches, true);
+    assert.strictEqual(verified.index_matches, true);
+    assert.strictEqual(verified.computed_index, spin.prize_index);
+    assert.strictEqual(verified.server_seed_hash, spin.fairness.server_seed_hash);
+    assert.strictEqual(crypto.createHash('sha256').update(verified.server_seed).digest('hex'), spin.fairness.server_seed_hash);
+});
+
+test('verification catches a stored result that does not match the seeds', async () => {
+    const user = { id: 7102, first_name: 'Tamper' };
+    const spin = await spinOnce(user);
+    await postAs(user, { type: 'rotateSeed' });
+
+    const stored = await db.spinResults.findById(spin.spin_result_id);
+    const sectors = (await postAs(user, { type: 'verifySpin', spin_result_id: spin.spin_result_id })).body.data.wheel.sectors;
+    await getStorage().update('spin_results', { id: stored.id }, { prize_index: (stored.prize_index + 1) % sectors.length });
+
+    const verified = await fairness.verifyStoredSpin(spin.spin_result_id);
+    assert.strictEqual(verified.hash_matches, true);
+    assert.strictEqual(verified.index_matches, false);
+});
+
+test('an unknown spin result is not found', async () => {
+    const user = { id: 7103, first_name: 'Nobody' };
+    await postAs(user, { type: 'register' });
+    const result = await postAs(user, { type: 'verifySpin', spin_result_id: 987654 });
+    assert.strictEqual(result.body.code, 'NOT_FOUND');
+});
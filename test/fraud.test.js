@@ -0,0 +1,45 @@
+// /test/fraud.test.js
+
+/**
+ * Referral heuristics of the risk score (lib/fraud.js).
+ */
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const db = require('../lib/repositories');
+const ledger = require('../lib/ledger');
+const fraud = require('../lib/fraud');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A referrer with `count` referees who signed up three days apart each, `active` of whom watched an ad
+async function referrerWith(referrerId, count, active) {
+    await db.users.create({ id: referrerId, balance: 0 });
+    for (let i = 1; i <= count; i++) {
+        const refereeId = referrerId + i;
+        await db.users.create({ id: refereeId, balance: 0, ref_by: referrerId,
+            created_at: new Date(Date.now() - (3 + 3 * i) * DAY_MS).toISOString() });
+        if (i <= active) {
+            await ledger.credit(refereeId, ledger.ENTRY_TYPES.AD_REWARD, 3, `ad-${refereeId}-1`);
+            await ledger.credit(refereeId, ledger.ENTRY_TYPES.AD_REWARD, 3, `ad-${refereeId}-2`);
+        }
+    }
+}
+
+const codes = assessment => assessment.signals.map(s => s.code);
+
+test('countUsersWithout counts each user without an entry of the type once', async () => {
+    await referrerWith(9100, 3, 1);
+    assert.strictEqual(await db.ledgerEntries.countUsersWithout([9101, 9102, 9103, 9102], ledger.ENTRY_TYPES.AD_REWARD), 2);
+    assert.strictEqual(await db.ledgerEntries.countUsersWithout([], ledger.ENTRY_TYPES.AD_REWARD), 0);
+});
+
+test('mostly inactive referees raise INACTIVE_REFEREES', async () => {
+    await referrerWith(9200, 5, 1);
+    assert.ok(codes(await fraud.evaluateUser(9200)).includes('INACTIVE_REFEREES'));
+});
+
+test('active referees do not', async () => {
+    await referrerWith(9300, 5, 2);
+    assert.ok(!codes(await fraud.evaluateUser(9300)).includes('INACTIVE_REFEREES'));
+});
@@ -0,0 +1,107 @@
+// /test/helpers.js
+
+/**
+ * Shared test setup: in-memory storage and rate limits, a fake Telegram
+ * client, and ways to call the API handler as the mini app does and the
+ * postback endpoint as an ad network does.
+ * Require it before anything from lib/ or api/.
+ */
+process.env.STORAGE_BACKEND = 'memory';
+process.env.RATE_LIMIT_STORE = 'memory';
+process.env.BOT_TOKEN = 'test-bot-token';
+process.env.ADMIN_TELEGRAM_IDS = '9999';
+process.env.GIGAPUB_POSTBACK_SECRET = 'test-gigapub-secret';
+process.env.MONETAG_POSTBACK_SECRET = 'test-monetag-secret';
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const telegram = require('../lib/telegram');
+
+telegram.setTelegramClient(telegram.createFakeClient());
+
+const ADMIN = { id: 9999, first_name: 'Admin' };
+
+// Signed Telegram initData for `user` (see lib/auth.js)
+function initData(user) {
+    const params = new URLSearchParams({ auth_date: String(Math.floor(Date.now() / 1000)), user: JSON.stringify(user) });
+    const dataCheckString = Array.from(params.entries()).map(([key, value]) => `${key}=${value}`).sort().join('\n');
+    const secretKey = crypto.createHmac('sha256', 'WebAppData').update(process.env.BOT_TOKEN).digest();
+    params.set('hash', crypto.createHmac('sha256', secretKey).update(dataCheckString).digest('hex'));
+    return params.toString();
+}
+
+// Sends a request to `handler`; resolves with { status, body }
+async function request(handler, { method, url, ip, body }) {
+    const req = new EventEmitter();
+    req.method = method;
+    req.url = url;
+    req.headers = { 'x-forwarded-for': ip, 'content-type': 'application/json' };
+    req.socket = { remoteAddress: ip };
+    let status = 200;
+    let output = '';
+    const headers = {};
+    const res = {
+        headersSent: false,
+        statusCode: 200,
+        setHeader(name, value) { headers[name.toLowerCase()] = value; },
+        getHeader(name) { return headers[name.toLowerCase()]; },
+        writeHead(code, extra) { status = code; Object.assign(headers, extra || {}); this.headersSent = true; },
+        end(data) { output = data || ''; },
+    };
+    const done = handler(req, res);
+    setImmediate(() => {
+        if (body !== undefined) req.emit('data', Buffer.from(JSON.stringify(body)));
+        req.emit('end');
+    });
+    await done;
+    return { status, body: output ? JSON.parse(output) : null };
+}
+
+// POSTs `body` to `handler` (api/index.js by default)
+function post(body, { handler = require('../api/index.js'), ip = '10.0.0.1' } = {}) {
+    return request(handler, { method: 'POST', url: '/api', ip, body });
+}
+
+// POSTs `body` as `user` (a Telegram user object)
+function postAs(user, body) {
+    return post({ ...body, initData: initData(user) });
+}
+
+// Calls /api/postback with `params` as query parameters, as the ad networks do
+function postback(params) {
+    return request(require('../api/postback.js'), {
+        method: 'GET',
+        url: `/api/postback?${new URLSearchParams(params)}`,
+        ip: '203.0.113.7',
+    });
+}
+
+// GigaPub's reward callback for `actionId`, shown to `user`
+function completeAd(user, actionId) {
+    return postback({
+        network: 'gigapub',
+        token: process.env.GIGAPUB_POSTBACK_SECRET,
+        action_id: actionId,
+        user_id: String(user.id),
+        event_id: crypto.randomBytes(8).toString('hex'),
+    });
+}
+
+// Changes settings as the admin (registered on first use)
+async function updateSettings(changes) {
+    await postAs(ADMIN, { type: 'register' });
+    const result = await postAs(ADMIN, { type: 'adminUpdateSettings', settings: changes });
+    if (result.status !== 200) {
+        throw new Error(`adminUpdateSettings failed: ${JSON.stringify(result.body)}`);
+    }
+}
+
+module.exports = {
+    ADMIN,
+    initData,
+    post,
+    postAs,
+    postback,
+    completeAd,
+    updateSettings,
+};
@@ -0,0 +1,80 @@
+// /test/ledger.test.js
+
+/**
+ * The balance ledger (lib/ledger.js) on the in-memory backend, which must
+ * reject what the ledger_entries table and apply_ledger_entry reject.
+ */
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const db = require('../lib/repositories');
+const ledger = require('../lib/ledger');
+
+let nextUserId = 8000;
+
+async function newUser() {
+    const id = ++nextUserId;
+    await db.users.create({ id, balance: 0 });
+    return id;
+}
+
+test('credits and debits keep a running balance', async () => {
+    const userId = await newUser();
+    const credit = await ledger.credit(userId, ledger.ENTRY_TYPES.AD_REWARD, 100, 'ad-1');
+    const debit = await ledger.debit(userId, ledger.ENTRY_TYPES.WITHDRAWAL, 30, 'withdraw-1');
+
+    assert.ok(credit.ok && debit.ok);
+    assert.strictEqual(Number(debit.entry.amount), -30);
+    assert.strictEqual(debit.balance, 70);
+    assert.strictEqual(Number((await db.users.findById(userId, 'balance')).balance), 70);
+});
+
+test('a reference pays once per user and type', async () => {
+    const userId = await newUser();
+    await ledger.credit(userId, ledger.ENTRY_TYPES.AD_REWARD, 100, 'ad-1');
+    const again = await ledger.credit(userId, ledger.ENTRY_TYPES.AD_REWARD, 100, 'ad-1');
+
+    assert.strictEqual(again.ok, false);
+    assert.strictEqual(again.reason, 'DUPLICATE_REFERENCE');
+    assert.strictEqual(Number((await db.users.findById(userId, 'balance')).balance), 100);
+
+    // Another type may use the same reference
+    assert.ok((await ledger.credit(userId, ledger.ENTRY_TYPES.SPIN_PRIZE, 5, 'ad-1')).ok);
+});
+
+test('a debit larger than the balance is rejected', async () => {
+    const userId = await newUser();
+    await ledger.credit(userId, ledger.ENTRY_TYPES.AD_REWARD, 50, 'ad-1');
+    const debit = await ledger.debit(userId, ledger.ENTRY_TYPES.WITHDRAWAL, 51, 'withdraw-1');
+
+    assert.strictEqual(debit.ok, false);
+    assert.strictEqual(debit.reason, 'INSUFFICIENT_BALANCE');
+    assert.strictEqual((await db.ledgerEntries.listByUser(userId)).length, 1);
+});
+
+test('credit and debit take the amount without its sign', async () => {
+    const userId = await newUser();
+    const credit = await ledger.credit(userId, ledger.ENTRY_TYPES.AD_REWARD, -20, 'ad-1');
+    assert.strictEqual(Number(credit.entry.amount), 20);
+
+    const debit = await ledger.debit(userId, ledger.ENTRY_TYPES.WITHDRAWAL, -5, 'withdraw-1');
+    assert.strictEqual(Number(debit.entry.amount), -5);
+});
+
+test('a zero amount is rejected like the table check does', async () => {
+    const userId = await newUser();
+    await assert.rejects(
+        ledger.credit(userId, ledger.ENTRY_TYPES.SPIN_PRIZE, 0, 'spin-1'),
+        /ledger_entries_amount_check/
+    );
+    assert.strictEqual((await db.ledgerEntries.listByUser(userId)).length, 0);
+});
+
+test('unknown users and entry types are rejected', async () => {
+    const missing = await ledger.credit(123456789, ledger.ENTRY_TYPES.AD_REWARD, 10, 'ad-1');
+    assert.strictEqual(missing.reason, 'USER_NOT_FOUND');
+
+    const userId = await newUser();
+    await assert.rejects(ledger.credit(userId, 'bonus', 10, 'x'), /Unknown ledger entry type/);
+    await assert.rejects(ledger.credit(userId, ledger.ENTRY_TYPES.AD_REWARD, 10, ''), /reference id/);
+});
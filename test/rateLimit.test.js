@@ -0,0 +1,44 @@
+// /test/rateLimit.test.js
+
+/**
+ * Rate limits (lib/rateLimit) when their store fails: ordinary requests go
+ * through, rewarded actions are refused.
+ */
+const { postAs, completeAd } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const rateLimit = require('../lib/rateLimit');
+
+const POLICIES = { user: { limit: 1, windowMs: 60000 } };
+
+const brokenStore = {
+    async hit() {
+        throw new Error('store unreachable');
+    },
+};
+
+test('a store failure lets requests through unless the check fails closed', async (t) => {
+    rateLimit.setRateLimitStore(brokenStore);
+    t.after(() => rateLimit.setRateLimitStore(rateLimit.createMemoryStore()));
+
+    assert.deepStrictEqual(await rateLimit.check('test', { userId: 1 }, POLICIES), { ok: true });
+
+    const denied = await rateLimit.check('test', { userId: 1 }, POLICIES, { failClosed: true });
+    assert.strictEqual(denied.ok, false);
+    assert.strictEqual(denied.scope, 'user');
+    assert.strictEqual(denied.retry_after_ms, rateLimit.BURST_WINDOW_MS);
+});
+
+test('watchAd is refused while the limit store is down', async (t) => {
+    const user = { id: 7301, first_name: 'Outage' };
+    await postAs(user, { type: 'register' });
+    const actionId = (await postAs(user, { type: 'generateActionId', action_type: 'watchAd' })).body.data.action_id;
+    await completeAd(user, actionId);
+
+    rateLimit.setRateLimitStore(brokenStore);
+    t.after(() => rateLimit.setRateLimitStore(rateLimit.createMemoryStore()));
+
+    const result = await postAs(user, { type: 'watchAd', action_id: actionId });
+    assert.strictEqual(result.status, 429);
+    assert.strictEqual(result.body.code, 'RATE_LIMITED');
+});
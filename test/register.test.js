@@ -0,0 +1,30 @@
+// /test/register.test.js
+
+/**
+ * register is sent on every app start: it must not let a user move their
+ * timezone (and so start a new day) after sign-up.
+ */
+const { postAs, updateSettings } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const db = require('../lib/repositories');
+
+test('re-registering with another timezone does not start a new day', async () => {
+    const user = { id: 7001, first_name: 'Tz' };
+    await updateSettings({ daily_reset_timezone: 'user' });
+
+    // UTC-11 at sign-up, then UTC+14: always at least one calendar day apart
+    await postAs(user, { type: 'register', timezone: 'Pacific/Pago_Pago' });
+    const before = await postAs(user, { type: 'getUserData' });
+    const checkIn = await postAs(user, { type: 'dailyCheckIn' });
+    assert.strictEqual(checkIn.status, 200);
+
+    await postAs(user, { type: 'register', timezone: 'Pacific/Kiritimati' });
+    assert.strictEqual((await db.users.findById(user.id, 'timezone')).timezone, 'Pacific/Pago_Pago');
+
+    const after = await postAs(user, { type: 'getUserData' });
+    assert.strictEqual(after.body.data.usage_day, before.body.data.usage_day);
+
+    const secondCheckIn = await postAs(user, { type: 'dailyCheckIn' });
+    assert.strictEqual(secondCheckIn.body.code, 'ALREADY_CHECKED_IN');
+});
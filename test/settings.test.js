@@ -0,0 +1,19 @@
+// /test/settings.test.js
+
+/**
+ * Runtime settings (lib/settings.js) are validated before they are stored.
+ */
+const { ADMIN, postAs } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const settings = require('../lib/settings');
+
+test('the ad reward cannot be set to 0 (the ledger refuses 0 credits)', async () => {
+    assert.match(settings.validateSetting('reward_per_ad', 0), /between 0.01 and/);
+    assert.strictEqual(settings.validateSetting('reward_per_ad', 0.01), null);
+
+    await postAs(ADMIN, { type: 'register' });
+    const result = await postAs(ADMIN, { type: 'adminUpdateSettings', settings: { reward_per_ad: 0 } });
+    assert.notStrictEqual(result.status, 200);
+    assert.strictEqual((await settings.getAll()).reward_per_ad, 3);
+});
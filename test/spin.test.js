@@ -0,0 +1,46 @@
+// /test/spin.test.js
+
+/**
+ * spinResult settles a spin session exactly once, including sectors that
+ * pay nothing (the ledger refuses 0 amounts, so they have no entry).
+ */
+const { ADMIN, postAs, completeAd } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const db = require('../lib/repositories');
+const { getStorage } = require('../lib/storage');
+
+test('a 0 prize settles the spin and cannot be re-rolled', async () => {
+    const user = { id: 7201, first_name: 'Zero' };
+    await postAs(ADMIN, { type: 'register' });
+    const published = await postAs(ADMIN, {
+        type: 'adminPublishWheel',
+        name: 'nothing',
+        sectors: [
+            { value: 0, weight: 1, color: '#000000', label: 'Miss' },
+            { value: 0, weight: 1, color: '#ffffff', label: 'Miss' },
+        ],
+    });
+    assert.strictEqual(published.status, 200, JSON.stringify(published.body));
+
+    await postAs(user, { type: 'register' });
+    const actionId = (await postAs(user, { type: 'generateActionId', action_type: 'spin' })).body.data.action_id;
+    await completeAd(user, actionId);
+    const spin = await postAs(user, { type: 'spin', action_id: actionId });
+    const sessionId = spin.body.data.spin_session.id;
+
+    const result = await postAs(user, { type: 'spinResult', spin_session_id: sessionId });
+    assert.strictEqual(result.status, 200, JSON.stringify(result.body));
+    assert.strictEqual(result.body.data.actual_prize, 0);
+    assert.strictEqual(result.body.data.new_balance, 0);
+
+    const retry = await postAs(user, { type: 'spinResult', spin_session_id: sessionId });
+    assert.strictEqual(retry.body.code, 'ALREADY_RESOLVED');
+
+    const session = await db.spinSessions.findById(sessionId);
+    assert.strictEqual(session.spin_result_id, result.body.data.spin_result_id);
+    const spins = await getStorage().select('spin_results', { filters: { user_id: user.id } });
+    assert.strictEqual(spins.length, 1);
+    const entries = await getStorage().select('ledger_entries', { filters: { user_id: user.id } });
+    assert.strictEqual(entries.length, 0);
+});
@@ -0,0 +1,82 @@
+// /test/withdrawalMethods.test.js
+
+/**
+ * Payout address checks (lib/addressFormats.js) and how a withdrawal is
+ * checked against its method (lib/withdrawalMethods.js).
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const formats = require('../lib/addressFormats');
+const { prepareWithdrawal } = require('../lib/withdrawalMethods');
+
+// EIP-55 test vectors
+const EVM_ADDRESSES = [
+    '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed',
+    '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359',
+    '0xdbF03B407c01E7cD3CBea99509d93f8DDDC8C6FB',
+    '0xD1220A0cf47c7B9Be7A2E6BA89F429762e7b9aDb',
+];
+
+const TON_ADDRESS = 'EQD4FPq-PRDieyQKkizFTRtSDyucUIqrj0v_zXJmqaDp6_0t';
+
+const METHOD_SETTINGS = {
+    bep20: { enabled: true, min: 100, max: 1000, fee_type: 'percent', fee: 10 },
+    ton: { enabled: true, min: 100, max: 1000, fee_type: 'flat', fee: 5 },
+    erc20: { enabled: false, min: 100, max: 1000, fee_type: 'flat', fee: 0 },
+};
+
+test('keccak256 is the Ethereum hash, not SHA3-256', () => {
+    assert.strictEqual(formats.keccak256('').toString('hex'),
+        'c5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470');
+});
+
+test('EVM addresses: checksummed and single-case addresses pass, a wrong checksum does not', () => {
+    for (const address of EVM_ADDRESSES) {
+        assert.strictEqual(formats.normalizeEvmAddress(address), address);
+        assert.strictEqual(formats.normalizeEvmAddress(address.toLowerCase()), address);
+        assert.strictEqual(formats.normalizeEvmAddress('0x' + address.slice(2).toUpperCase()), address);
+    }
+
+    // Flip the case of one letter of a checksummed address
+    const address = EVM_ADDRESSES[0];
+    const i = [...address].findIndex((char, index) => index > 1 && /[a-f]/.test(char));
+    const broken = address.slice(0, i) + address[i].toUpperCase() + address.slice(i + 1);
+    assert.strictEqual(formats.normalizeEvmAddress(broken), null);
+
+    assert.strictEqual(formats.normalizeEvmAddress('0x1234'), null);
+    assert.strictEqual(formats.normalizeEvmAddress(address.slice(2)), null);
+});
+
+test('TON addresses: the CRC16 checksum and tag are checked', () => {
+    assert.strictEqual(formats.normalizeTonAddress(TON_ADDRESS), TON_ADDRESS);
+    assert.strictEqual(formats.normalizeTonAddress(TON_ADDRESS.slice(0, -1) + 'u'), null);
+    assert.strictEqual(formats.normalizeTonAddress('XX' + TON_ADDRESS.slice(2)), null);
+
+    const raw = '0:' + 'AB'.repeat(32);
+    assert.strictEqual(formats.normalizeTonAddress(raw), raw.toLowerCase());
+    assert.strictEqual(formats.normalizeTonAddress('1:' + 'ab'.repeat(32)), null);
+});
+
+test('Binance Pay IDs and emails', () => {
+    assert.strictEqual(formats.normalizeBinancePayId(' 123456789 '), '123456789');
+    assert.strictEqual(formats.normalizeBinancePayId(12345678), '12345678');
+    assert.strictEqual(formats.normalizeBinancePayId('1234567'), null);
+    assert.strictEqual(formats.normalizeEmail(' User@Example.com '), 'user@example.com');
+    assert.strictEqual(formats.normalizeEmail('user@example'), null);
+});
+
+test('prepareWithdrawal returns the normalized address, fee and net amount', () => {
+    const prepared = prepareWithdrawal(METHOD_SETTINGS, { method: 'bep20', address: EVM_ADDRESSES[1].toLowerCase(), amount: 200 });
+    assert.deepStrictEqual(prepared, { ok: true, method: 'bep20', address: EVM_ADDRESSES[1], amount: 200, fee: 20, net_amount: 180 });
+
+    assert.strictEqual(prepareWithdrawal(METHOD_SETTINGS, { method: 'ton', address: TON_ADDRESS, amount: 100 }).net_amount, 95);
+});
+
+test('prepareWithdrawal refuses bad methods, addresses and amounts', () => {
+    const reason = request => prepareWithdrawal(METHOD_SETTINGS, request).reason;
+    assert.strictEqual(reason({ method: 'erc20', address: EVM_ADDRESSES[0], amount: 200 }), 'INVALID_METHOD');
+    assert.strictEqual(reason({ method: 'paypal', address: 'a@b.cd', amount: 200 }), 'INVALID_METHOD');
+    assert.strictEqual(reason({ method: 'ton', address: TON_ADDRESS.slice(0, -1) + 'u', amount: 200 }), 'INVALID_ADDRESS');
+    assert.strictEqual(reason({ method: 'bep20', address: EVM_ADDRESSES[0], amount: 99 }), 'INVALID_AMOUNT');
+    assert.strictEqual(reason({ method: 'bep20', address: EVM_ADDRESSES[0], amount: 1001 }), 'INVALID_AMOUNT');
+});